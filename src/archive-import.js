@@ -0,0 +1,330 @@
+/**
+ * X Archive Importer - Imports likes and tweets from the official data export
+ *
+ * X lets you download "an archive of your data" as a zip. Inside, data/like.js
+ * and data/tweets.js hold years of history as JavaScript assignments:
+ *
+ *   window.YTD.like.part0 = [ { "like": { "tweetId": "...", ... } } ]
+ *
+ * Large exports split these into like-part1.js, tweets-part1.js, etc.
+ * This module reads either the zip itself or an unpacked directory, normalizes
+ * entries to the prepared bookmark shape, and merges them into the pending file.
+ * Nothing here touches the network.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { loadConfig } from './config.js';
+import {
+  classifyLink,
+  formatBookmarkDate,
+  getExistingBookmarkIds,
+  getPendingIds,
+  mergeIntoPending
+} from './processor.js';
+
+// data/like.js, data/like-part1.js, data/tweets.js, data/account.js, ...
+const ARCHIVE_FILE_PATTERN = /(?:^|\/)data\/(like|tweets|account)(?:-part\d+)?\.js$/;
+
+// Twitter snowflake epoch (2010-11-04), used to recover dates for likes
+const TWITTER_EPOCH = 1288834974657n;
+const FIRST_SNOWFLAKE_ID = 29700859247n;
+
+// ============================================================================
+// Zip reading (central directory only, so multi-GB media archives stay cheap)
+// ============================================================================
+
+function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  fs.readSync(fd, buffer, 0, length, position);
+  return buffer;
+}
+
+function findEndOfCentralDirectory(fd, size) {
+  // EOCD is 22 bytes plus an optional comment of up to 64KB
+  const tailLength = Math.min(size, 22 + 0xffff);
+  const tailStart = size - tailLength;
+  const tail = readAt(fd, tailStart, tailLength);
+
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) !== 0x06054b50) continue;
+
+    let entries = tail.readUInt16LE(i + 10);
+    let cdSize = tail.readUInt32LE(i + 12);
+    let cdOffset = tail.readUInt32LE(i + 16);
+
+    // Zip64: locator sits 20 bytes before the EOCD
+    if (cdOffset === 0xffffffff || entries === 0xffff) {
+      const locator = i - 20;
+      if (locator >= 0 && tail.readUInt32LE(locator) === 0x07064b50) {
+        const zip64Offset = Number(tail.readBigUInt64LE(locator + 8));
+        const record = readAt(fd, zip64Offset, 56);
+        if (record.readUInt32LE(0) === 0x06064b50) {
+          entries = Number(record.readBigUInt64LE(32));
+          cdSize = Number(record.readBigUInt64LE(40));
+          cdOffset = Number(record.readBigUInt64LE(48));
+        }
+      }
+    }
+
+    return { entries, cdSize, cdOffset };
+  }
+
+  throw new Error('Not a zip file (end of central directory not found)');
+}
+
+function readZipEntries(fd, size) {
+  const { entries, cdSize, cdOffset } = findEndOfCentralDirectory(fd, size);
+  const cd = readAt(fd, cdOffset, cdSize);
+  const result = [];
+
+  let p = 0;
+  for (let n = 0; n < entries && p < cd.length; n++) {
+    if (cd.readUInt32LE(p) !== 0x02014b50) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const method = cd.readUInt16LE(p + 10);
+    let compressedSize = cd.readUInt32LE(p + 20);
+    let uncompressedSize = cd.readUInt32LE(p + 24);
+    const nameLength = cd.readUInt16LE(p + 28);
+    const extraLength = cd.readUInt16LE(p + 30);
+    const commentLength = cd.readUInt16LE(p + 32);
+    let localOffset = cd.readUInt32LE(p + 42);
+    const name = cd.toString('utf8', p + 46, p + 46 + nameLength);
+
+    // Zip64 extended information lives in extra field 0x0001
+    const extra = cd.subarray(p + 46 + nameLength, p + 46 + nameLength + extraLength);
+    for (let e = 0; e + 4 <= extra.length;) {
+      const id = extra.readUInt16LE(e);
+      const len = extra.readUInt16LE(e + 2);
+      if (id === 0x0001) {
+        let q = e + 4;
+        if (uncompressedSize === 0xffffffff) { uncompressedSize = Number(extra.readBigUInt64LE(q)); q += 8; }
+        if (compressedSize === 0xffffffff) { compressedSize = Number(extra.readBigUInt64LE(q)); q += 8; }
+        if (localOffset === 0xffffffff) { localOffset = Number(extra.readBigUInt64LE(q)); }
+      }
+      e += 4 + len;
+    }
+
+    result.push({ name, method, compressedSize, uncompressedSize, localOffset });
+    p += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return result;
+}
+
+function readZipEntry(fd, entry) {
+  const header = readAt(fd, entry.localOffset, 30);
+  if (header.readUInt32LE(0) !== 0x04034b50) {
+    throw new Error(`Corrupt zip entry: ${entry.name}`);
+  }
+  const dataStart = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  const data = readAt(fd, dataStart, entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return zlib.inflateRawSync(data);
+  throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.name}`);
+}
+
+/**
+ * Read the archive's data files from a zip or an unpacked directory.
+ * Returns [{ kind: 'like' | 'tweets' | 'account', name, content }] sorted by name.
+ */
+export function readArchiveFiles(archivePath) {
+  const files = [];
+  const stat = fs.statSync(archivePath);
+
+  if (stat.isDirectory()) {
+    const dataDir = path.join(archivePath, 'data');
+    if (!fs.existsSync(dataDir)) {
+      throw new Error(`No data/ directory in ${archivePath}`);
+    }
+    for (const name of fs.readdirSync(dataDir)) {
+      const match = `data/${name}`.match(ARCHIVE_FILE_PATTERN);
+      if (match) {
+        files.push({ kind: match[1], name, content: fs.readFileSync(path.join(dataDir, name), 'utf8') });
+      }
+    }
+  } else {
+    const fd = fs.openSync(archivePath, 'r');
+    try {
+      for (const entry of readZipEntries(fd, stat.size)) {
+        const match = entry.name.match(ARCHIVE_FILE_PATTERN);
+        if (match) {
+          files.push({ kind: match[1], name: path.basename(entry.name), content: readZipEntry(fd, entry).toString('utf8') });
+        }
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  return files.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+// ============================================================================
+// Parsing and normalization
+// ============================================================================
+
+/**
+ * Parse a "window.YTD.<name>.partN = [...]" file into its array
+ */
+export function parseYtdFile(content) {
+  const start = content.indexOf('[');
+  if (start === -1) return [];
+  return JSON.parse(content.slice(start));
+}
+
+/**
+ * Recover a tweet's creation time from its snowflake ID (null for pre-2010 IDs)
+ */
+export function tweetIdToDate(id) {
+  try {
+    const big = BigInt(id);
+    if (big < FIRST_SNOWFLAKE_ID) return null;
+    return new Date(Number((big >> 22n) + TWITTER_EPOCH)).toISOString();
+  } catch {
+    return null;
+  }
+}
+
+function buildLinks(text, urlEntities = []) {
+  const expandedByTco = new Map(urlEntities.map(u => [u.url, u.expanded_url]));
+  const tcoLinks = text.match(/https?:\/\/t\.co\/\w+/g) || [];
+
+  return tcoLinks.map(link => {
+    const expanded = expandedByTco.get(link);
+    // Likes carry no URL entities; leave those for the AI to treat as unexpanded
+    return expanded
+      ? { original: link, expanded, type: classifyLink(expanded), content: null, metadata: null }
+      : { original: link, expanded: link, type: 'unknown', content: null, metadata: null };
+  });
+}
+
+function preparedShape(config, fields) {
+  return {
+    id: fields.id,
+    author: fields.author,
+    authorName: fields.authorName,
+    text: fields.text,
+    tweetUrl: fields.tweetUrl,
+    createdAt: fields.createdAt,
+    links: buildLinks(fields.text, fields.urlEntities),
+    media: [],
+    tags: [],
+    // Only likes have one; the account's own tweets were never saved
+    ...(fields.origin && { origin: fields.origin }),
+    date: formatBookmarkDate(config, fields.createdAt),
+    isReply: !!fields.inReplyToStatusId,
+    replyContext: null,
+    isQuote: false,
+    quoteContext: null,
+    importedFrom: fields.importedFrom
+  };
+}
+
+/**
+ * Normalize a like.js entry. The export has no author or timestamp for likes,
+ * so the date comes from the snowflake ID and the URL uses x.com/i/status.
+ */
+export function normalizeLike(config, entry) {
+  const like = entry.like || entry;
+  const id = String(like.tweetId);
+  return preparedShape(config, {
+    id,
+    author: 'unknown',
+    authorName: 'unknown',
+    text: like.fullText || '',
+    tweetUrl: `https://x.com/i/status/${id}`,
+    createdAt: tweetIdToDate(id),
+    origin: 'like',
+    importedFrom: 'x-archive-like'
+  });
+}
+
+/**
+ * Normalize a tweets.js entry (the account owner's own tweets)
+ */
+export function normalizeTweet(config, entry, account = {}) {
+  const tweet = entry.tweet || entry;
+  const id = String(tweet.id_str || tweet.id);
+  const author = account.username || 'unknown';
+  const createdAt = tweet.created_at ? new Date(tweet.created_at).toISOString() : tweetIdToDate(id);
+  return preparedShape(config, {
+    id,
+    author,
+    authorName: account.accountDisplayName || author,
+    text: tweet.full_text || tweet.text || '',
+    tweetUrl: `https://x.com/${author === 'unknown' ? 'i' : author}/status/${id}`,
+    createdAt,
+    urlEntities: tweet.entities?.urls,
+    inReplyToStatusId: tweet.in_reply_to_status_id_str,
+    importedFrom: 'x-archive-tweet'
+  });
+}
+
+/**
+ * Parse an archive into normalized likes and tweets
+ */
+export function parseArchive(config, archivePath) {
+  const files = readArchiveFiles(archivePath);
+  const accountFile = files.find(f => f.kind === 'account');
+  const account = accountFile ? (parseYtdFile(accountFile.content)[0]?.account || {}) : {};
+
+  const likes = [];
+  const tweets = [];
+  for (const file of files) {
+    if (file.kind === 'like') {
+      likes.push(...parseYtdFile(file.content).map(e => normalizeLike(config, e)));
+    } else if (file.kind === 'tweets') {
+      tweets.push(...parseYtdFile(file.content).map(e => normalizeTweet(config, e, account)));
+    }
+  }
+
+  return { account, likes, tweets };
+}
+
+/**
+ * Import an archive into the pending file.
+ *
+ * Options:
+ *   configPath - config file to load
+ *   only       - 'likes' or 'tweets' to import just one kind
+ */
+export function importArchive(archivePath, options = {}) {
+  const config = loadConfig(options.configPath);
+  const { likes, tweets } = parseArchive(config, archivePath);
+
+  const candidates = options.only === 'likes' ? likes
+    : options.only === 'tweets' ? tweets
+    : [...likes, ...tweets];
+
+  const existingIds = getExistingBookmarkIds(config);
+  const pendingIds = getPendingIds(config);
+  const seen = new Set();
+  const toImport = [];
+  let skipped = 0;
+
+  for (const bookmark of candidates) {
+    if (existingIds.has(bookmark.id) || pendingIds.has(bookmark.id) || seen.has(bookmark.id)) {
+      skipped++;
+      continue;
+    }
+    seen.add(bookmark.id);
+    toImport.push(bookmark);
+  }
+
+  const merged = toImport.length > 0
+    ? mergeIntoPending(config, toImport, new Date().toISOString())
+    : { added: 0, total: getPendingIds(config).size };
+
+  return {
+    likes: likes.length,
+    tweets: tweets.length,
+    imported: merged.added,
+    skipped,
+    total: merged.total,
+    pendingFile: config.pendingFile
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * Link cache - Persistent on-disk cache for t.co expansion and page fetches
+ *
+ * Entries are content-addressed: the key (usually a URL) is hashed with
+ * SHA-256 and stored as <dir>/<kind>/<hash>.json. Each kind has its own TTL
+ * in days (config.cache.ttlDays), so a resolved t.co link can live for a year
+ * while GitHub stats go stale after a day. A TTL of null never expires.
+ *
+ * By default the cache lives next to the state file (./.state/cache).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolve the cache directory: config.cache.dir, or "cache" beside the state file
+ */
+export function getCacheDir(config) {
+  return config.cache?.dir || path.join(path.dirname(config.stateFile || './.state/bookmarks-state.json'), 'cache');
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function listKinds(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(d => d.isDirectory())
+      .map(d => d.name);
+  } catch {
+    return [];
+  }
+}
+
+function listEntries(dir, kind) {
+  try {
+    return fs.readdirSync(path.join(dir, kind)).filter(f => f.endsWith('.json'));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Create a cache bound to config.cache.
+ *
+ * Options:
+ *   refresh - ignore existing entries but still store fresh results
+ *
+ * When config.cache.enabled is false every lookup misses and nothing is written.
+ */
+export function createCache(config, options = {}) {
+  const settings = config.cache || {};
+  const enabled = settings.enabled !== false;
+  const dir = getCacheDir(config);
+  const ttlDays = settings.ttlDays || {};
+
+  function entryPath(kind, key) {
+    return path.join(dir, kind, `${hashKey(key)}.json`);
+  }
+
+  function isExpired(kind, entry, now = Date.now()) {
+    const ttl = ttlDays[kind];
+    if (ttl === null || ttl === undefined) return false;
+    return now - new Date(entry.storedAt).getTime() > ttl * DAY_MS;
+  }
+
+  function readEntry(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  return {
+    dir,
+    enabled,
+
+    /**
+     * Return the cached value, or undefined on a miss or expired entry
+     */
+    get(kind, key) {
+      if (!enabled || options.refresh) return undefined;
+      const entry = readEntry(entryPath(kind, key));
+      if (!entry || entry.key !== key || isExpired(kind, entry)) return undefined;
+      return entry.value;
+    },
+
+    set(kind, key, value) {
+      if (!enabled) return;
+      const file = entryPath(kind, key);
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        // Write then rename so parallel fetches never see a half-written entry
+        const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ key, kind, storedAt: new Date().toISOString(), value }));
+        fs.renameSync(tmp, file);
+      } catch (error) {
+        console.log(`  Could not write cache entry: ${error.message}`);
+      }
+    },
+
+    /**
+     * Return the cached value, or run fetchFn and cache its result.
+     * shouldStore(result) decides whether a result is worth keeping
+     * (e.g. skip failed expansions).
+     */
+    async remember(kind, key, fetchFn, shouldStore = () => true) {
+      const cached = this.get(kind, key);
+      if (cached !== undefined) return cached;
+      const value = await fetchFn();
+      if (shouldStore(value)) this.set(kind, key, value);
+      return value;
+    },
+
+    /**
+     * Entry counts and sizes per kind
+     */
+    stats() {
+      const now = Date.now();
+      const kinds = {};
+      for (const kind of listKinds(dir)) {
+        const summary = { entries: 0, expired: 0, bytes: 0 };
+        for (const name of listEntries(dir, kind)) {
+          const file = path.join(dir, kind, name);
+          summary.entries++;
+          summary.bytes += fs.statSync(file).size;
+          const entry = readEntry(file);
+          if (!entry || isExpired(kind, entry, now)) summary.expired++;
+        }
+        kinds[kind] = summary;
+      }
+      return { dir, enabled, kinds };
+    },
+
+    /**
+     * Remove entries. Pass a kind to clear just that kind, and
+     * expiredOnly to keep entries that are still fresh.
+     * Returns the number of entries removed. Throws for a kind that isn't
+     * in config.cache.ttlDays or the cache directory, so a name like ".."
+     * can't reach files outside it.
+     */
+    clear({ kind = null, expiredOnly = false } = {}) {
+      if (kind && (!/^[\w-]+$/.test(kind) || !(Object.hasOwn(ttlDays, kind) || listKinds(dir).includes(kind)))) {
+        throw new Error(`Unknown cache kind "${kind}"`);
+      }
+      let removed = 0;
+      const now = Date.now();
+      for (const k of kind ? [kind] : listKinds(dir)) {
+        for (const name of listEntries(dir, k)) {
+          const file = path.join(dir, k, name);
+          if (expiredOnly) {
+            const entry = readEntry(file);
+            if (entry && !isExpired(k, entry, now)) continue;
+          }
+          fs.rmSync(file, { force: true });
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
@@ -9,12 +9,20 @@
  *   fetch    - Fetch bookmarks and prepare them for processing
  *   process  - Process pending bookmarks with Claude Code
  *   status   - Show current configuration and status
+ *   import-archive - Import likes/tweets from an X data export
+ *   cache    - Show or clear the link cache
+ *   transcribe - Fill in transcripts for podcast/video notes from local media
+ *   folders  - List bookmark folders and add them to config.folders
  *   init     - Create a config file (non-interactive)
  */
 
 import { fetchAndPrepareBookmarks } from './processor.js';
+import { importArchive } from './archive-import.js';
+import { createCache } from './cache.js';
+import { transcribePending } from './transcribe.js';
 import { initConfig, loadConfig } from './config.js';
-import { execSync } from 'child_process';
+import { runCommand } from './commands.js';
+import { listFolders, mergeFolders, saveFolders } from './folders.js';
 import fs from 'fs';
 import path from 'path';
 import readline from 'readline';
@@ -23,6 +31,10 @@ import { fileURLToPath, pathToFileURL } from 'url';
 const args = process.argv.slice(2);
 const command = args[0];
 
+// --config <path> picks the config file for any command (default: see loadConfig)
+const configIdx = args.indexOf('--config');
+const configPath = configIdx !== -1 ? args[configIdx + 1] : undefined;
+
 function prompt(question) {
   const rl = readline.createInterface({
     input: process.stdin,
@@ -48,7 +60,7 @@ This will set up Smaug to automatically archive your Twitter bookmarks.
   // Step 1: Check for bird CLI with bookmarks support (v0.5.0+)
   console.log('Step 1: Checking for bird CLI...');
   try {
-    const versionOutput = execSync('bird --version', { stdio: 'pipe', encoding: 'utf8' });
+    const versionOutput = await runCommand('bird', ['--version'], { timeout: 15000 });
     const versionMatch = versionOutput.match(/(\d+)\.(\d+)\.(\d+)/);
 
     if (versionMatch) {
@@ -112,7 +124,7 @@ This will set up Smaug to automatically archive your Twitter bookmarks.
   console.log('\nStep 3: Testing credentials...');
   try {
     const env = { ...process.env, AUTH_TOKEN: authToken, CT0: ct0 };
-    execSync('bird bookmarks -n 1 --json', { env, stdio: 'pipe', timeout: 30000 });
+    await runCommand('bird', ['bookmarks', '-n', '1', '--json'], { env, timeout: 30000, stdoutToFile: true });
     console.log('  ✓ Credentials work!\n');
   } catch (error) {
     console.log(`  ✗ Could not fetch bookmarks. Check your credentials and try again.
@@ -224,7 +236,7 @@ async function main() {
 
       try {
         const jobModule = await import(pathToFileURL(jobPath).href);
-        const result = await jobModule.default.run({ trackTokens, limit });
+        const result = await jobModule.default.run({ configPath, trackTokens, limit });
         process.exit(result.success ? 0 : 1);
       } catch (err) {
         console.error('Failed to run job:', err.message);
@@ -234,11 +246,15 @@ async function main() {
     }
 
     case 'fetch': {
-      const count = parseInt(args.find(a => a.match(/^\d+$/)) || '20', 10);
+      // Numeric values of flags like --max-pages aren't a tweet count
+      const valueFlags = ['--max-pages', '--context-depth', '--likes-count', '--likes-max-pages'];
+      const count = parseInt(args.find((a, i) => a.match(/^\d+$/) && !valueFlags.includes(args[i - 1])) || '20', 10);
       const specificIds = args.filter(a => a.match(/^\d{10,}$/));
       const force = args.includes('--force') || args.includes('-f');
       const includeMedia = args.includes('--media') || args.includes('-m');
       const fetchAll = args.includes('--all') || args.includes('-a') || args.includes('-all');
+      const threads = args.includes('--threads') ? true : null;
+      const refreshCache = args.includes('--refresh-cache');
 
       // Parse --source flag
       const sourceIdx = args.findIndex(a => a === '--source' || a === '-s');
@@ -251,6 +267,18 @@ async function main() {
         }
       }
 
+      // Parse --context-depth flag (number of ancestors, or 'root')
+      const depthIdx = args.findIndex(a => a === '--context-depth');
+      let contextDepth = null;
+      if (depthIdx !== -1 && args[depthIdx + 1]) {
+        const value = args[depthIdx + 1];
+        contextDepth = value === 'root' ? 'root' : parseInt(value, 10);
+        if (contextDepth !== 'root' && (isNaN(contextDepth) || contextDepth < 0)) {
+          console.error(`Invalid context depth: ${value}. Must be a number or 'root'.`);
+          process.exit(1);
+        }
+      }
+
       // Parse --max-pages flag
       const maxPagesIdx = args.findIndex(a => a === '--max-pages');
       let maxPages = null;
@@ -258,14 +286,26 @@ async function main() {
         maxPages = parseInt(args[maxPagesIdx + 1], 10);
       }
 
+      // Separate limits for likes with --source likes/both
+      const likesCountIdx = args.indexOf('--likes-count');
+      const likesCount = likesCountIdx !== -1 ? parseInt(args[likesCountIdx + 1], 10) || null : null;
+      const likesMaxPagesIdx = args.indexOf('--likes-max-pages');
+      const likesMaxPages = likesMaxPagesIdx !== -1 ? parseInt(args[likesMaxPagesIdx + 1], 10) || null : null;
+
       const result = await fetchAndPrepareBookmarks({
+        configPath,
         count,
         specificIds: specificIds.length > 0 ? specificIds : null,
         force,
         source,
         includeMedia,
         all: fetchAll,
-        maxPages
+        maxPages,
+        likesCount,
+        likesMaxPages,
+        threads,
+        contextDepth,
+        refreshCache
       });
 
       if (result.count > 0) {
@@ -278,8 +318,146 @@ async function main() {
       break;
     }
 
+    case 'import-archive': {
+      const archivePath = args[1];
+      if (!archivePath || archivePath.startsWith('-')) {
+        console.error('Usage: smaug import-archive <zip-or-dir> [--only likes|tweets]');
+        process.exit(1);
+      }
+      if (!fs.existsSync(archivePath)) {
+        console.error(`Archive not found: ${archivePath}`);
+        process.exit(1);
+      }
+
+      // Parse --only flag
+      const onlyIdx = args.findIndex(a => a === '--only');
+      let only = null;
+      if (onlyIdx !== -1 && args[onlyIdx + 1]) {
+        only = args[onlyIdx + 1];
+        if (!['likes', 'tweets'].includes(only)) {
+          console.error(`Invalid --only value: ${only}. Must be 'likes' or 'tweets'.`);
+          process.exit(1);
+        }
+      }
+
+      console.log(`Importing X archive from ${archivePath}...`);
+      const result = importArchive(archivePath, { configPath, only });
+
+      console.log(`  Found ${result.likes} likes and ${result.tweets} tweets`);
+      console.log(`  Skipped ${result.skipped} already archived, pending, or duplicate`);
+      console.log(`\n✓ Imported ${result.imported} tweets into ${result.pendingFile} (total pending: ${result.total})`);
+      if (result.imported > 0) {
+        console.log('\nNext: Run `npx smaug run --limit 50` to process them in batches');
+      }
+      break;
+    }
+
+    case 'cache': {
+      const config = loadConfig(configPath);
+      const cache = createCache(config);
+      const action = args[1] || 'stats';
+
+      if (action === 'stats') {
+        const { dir, enabled, kinds } = cache.stats();
+        console.log(`Cache:       ${dir}${enabled ? '' : ' (disabled)'}`);
+        const names = Object.keys(kinds);
+        if (names.length === 0) {
+          console.log('  (empty)');
+        }
+        for (const kind of names) {
+          const { entries, expired, bytes } = kinds[kind];
+          const ttl = config.cache.ttlDays[kind];
+          const ttlInfo = ttl === null || ttl === undefined ? 'never expires' : `ttl ${ttl}d`;
+          console.log(`  ${kind.padEnd(10)} ${String(entries).padStart(6)} entries  ${(bytes / 1024).toFixed(1).padStart(9)} KB  ${expired} expired  (${ttlInfo})`);
+        }
+      } else if (action === 'clear') {
+        const kind = args[2] && !args[2].startsWith('-') ? args[2] : null;
+        const expiredOnly = args.includes('--expired');
+        let removed;
+        try {
+          removed = cache.clear({ kind, expiredOnly });
+        } catch (error) {
+          console.error(error.message);
+          process.exit(1);
+        }
+        console.log(`✓ Removed ${removed} ${expiredOnly ? 'expired ' : ''}cache entries${kind ? ` (${kind})` : ''}`);
+      } else {
+        console.error('Usage: smaug cache stats|clear [kind] [--expired]');
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'folders': {
+      const config = loadConfig(configPath);
+      const write = args.includes('--write');
+      const merge = write || args.includes('--merge');
+
+      let discovered;
+      try {
+        discovered = await listFolders(config);
+      } catch (error) {
+        console.error(`Could not list folders: ${error.message}`);
+        process.exit(1);
+      }
+
+      const configured = config.folders || {};
+      const { folders, added } = mergeFolders(configured, discovered, { prune: write });
+      if (discovered.length === 0) {
+        console.log('No bookmark folders found.');
+      }
+      for (const { id, name } of discovered) {
+        const status = configured[id] ? 'configured' : 'new';
+        console.log(`  ${id.padEnd(20)} ${name.padEnd(30)} ${folders[id].padEnd(24)} ${status}`);
+      }
+
+      if (!merge) {
+        if (added.length > 0) {
+          console.log(`\n${added.length} new folder(s). Run \`smaug folders --merge\` to add them to your config.`);
+        }
+        break;
+      }
+
+      const dropped = Object.keys(configured).filter(id => !folders[id]);
+      if (added.length === 0 && dropped.length === 0) {
+        console.log('\n✓ config.folders is up to date');
+        break;
+      }
+      const file = saveFolders(folders, configPath);
+      console.log(`\n✓ Added ${added.length}${write ? `, removed ${dropped.length}` : ''} folder(s) in ${file}`);
+      break;
+    }
+
+    case 'transcribe': {
+      const config = loadConfig(configPath);
+      const offline = args.includes('--offline');
+
+      // Parse --limit flag
+      const limitIdx = args.findIndex(a => a === '--limit' || a === '-l');
+      let limit = null;
+      if (limitIdx !== -1 && args[limitIdx + 1]) {
+        limit = parseInt(args[limitIdx + 1], 10);
+        if (isNaN(limit) || limit <= 0) {
+          console.error('Invalid --limit value. Must be a positive number.');
+          process.exit(1);
+        }
+      }
+
+      const result = await transcribePending(config, { limit, offline });
+      if (result.results.length === 0) {
+        console.log('No notes waiting for a transcript.');
+        break;
+      }
+      console.log(`\n✓ Transcribed ${result.transcribed}, skipped ${result.skipped}, failed ${result.failed}`);
+      if (result.skipped > 0 && !config.transcription.command) {
+        console.log('  Set transcription.command to transcribe audio (see README)');
+      }
+      if (result.failed > 0) process.exit(1);
+      break;
+    }
+
     case 'process': {
-      const config = loadConfig();
+      const config = loadConfig(configPath);
 
       if (!fs.existsSync(config.pendingFile)) {
         console.log('No pending bookmarks. Run `smaug fetch` first.');
@@ -309,7 +487,7 @@ async function main() {
 
     case 'reprocess': {
       // Reprocess bookmarks that are missing knowledge files
-      const config = loadConfig();
+      const config = loadConfig(configPath);
       const trackTokens = args.includes('--track-tokens') || args.includes('-t');
       const showStatus = args.includes('--status') || args.includes('-s');
       const forceReprocess = args.includes('--force') || args.includes('-f');
@@ -417,7 +595,7 @@ async function main() {
       }, null, 2));
       
       try {
-        const result = await jobModule.default.reprocess({ trackTokens, reprocessFile });
+        const result = await jobModule.default.reprocess({ configPath, trackTokens, reprocessFile });
         
         // Verify and update state after processing
         state = jobModule.default.loadReprocessState(config);
@@ -451,7 +629,7 @@ async function main() {
     }
 
     case 'status': {
-      const config = loadConfig();
+      const config = loadConfig(configPath);
 
       console.log('Smaug Status\n');
       console.log(`Archive:     ${config.archiveFile}`);
@@ -493,18 +671,33 @@ Commands:
   run -t         Run with token usage tracking (--track-tokens)
   run --limit N  Process only N bookmarks (for large backlogs)
   fetch [n]      Fetch n tweets (default: 20)
-  fetch --all    Fetch ALL bookmarks (paginated)
-  fetch --max-pages N  Limit pagination to N pages (default: 10)
+  fetch --all    Fetch ALL bookmarks (paginated, resumes where it stopped)
+  fetch --max-pages N  Limit pagination to N pages per run (default: no limit)
   fetch --force  Re-fetch even if already archived
   fetch --source <source>  Fetch from: bookmarks, likes, or both
+  fetch --likes-count N / --likes-max-pages N  Separate limits for likes
   fetch --media  EXPERIMENTAL: Include media attachments
+  fetch --threads  Unroll bookmarked self-threads into one entry
+  fetch --context-depth <n|root>  Reply ancestors to include (default: 1)
+  fetch --refresh-cache  Re-fetch links even if cached (updates the cache)
   reprocess      Create missing knowledge files for processed bookmarks
   reprocess --limit N  Process only N entries
   reprocess --status   Show reprocess status (no processing)
   reprocess --force    Reprocess all entries including completed
   reprocess --reset    Reset reprocess state (mark all as pending)
+  import-archive <zip-or-dir>  Import likes/tweets from an X data export
+  import-archive <path> --only likes  Import just likes (or tweets)
+  cache stats    Show link cache size per kind (tco, github, article, metadata)
+  cache clear [kind]  Clear the link cache (--expired: stale entries only)
+  transcribe     Transcribe notes marked needs_transcript from local media
+  transcribe --offline  Use only media already in transcription.mediaDir
+  transcribe --limit N  Transcribe only N notes
+  folders        List bookmark folders with the tag each would get
+  folders --merge  Add new folders to config.folders (keeps existing tags)
+  folders --write  Replace config.folders with the listed folders
   process        Show pending tweets
   status         Show current status
+  --config <path>  Use this config file (any command)
 
 Examples:
   smaug setup                    # First-time setup
@@ -512,17 +705,23 @@ Examples:
   smaug run --limit 50           # Process 50 bookmarks at a time
   smaug fetch                    # Fetch latest (uses config source)
   smaug fetch 50                 # Fetch 50 tweets
-  smaug fetch --all              # Fetch ALL bookmarks (paginated)
-  smaug fetch --all --max-pages 5  # Fetch up to 5 pages
+  smaug fetch --all              # Fetch new bookmarks, then continue any backfill
+  smaug fetch --all --max-pages 5  # Fetch up to 5 pages this run
   smaug fetch --source likes     # Fetch from likes only
   smaug fetch --source both      # Fetch from bookmarks AND likes
   smaug fetch --media            # Include photos/videos/GIFs (experimental)
+  smaug fetch --context-depth root  # Include replies' full conversation
   smaug fetch --force            # Re-process archived tweets
+  smaug import-archive ~/Downloads/twitter-2026.zip  # Import years of likes
+  smaug transcribe --offline     # Transcribe from captions/audio already downloaded
 
 Config (smaug.config.json):
   "source": "bookmarks"    Default source (bookmarks, likes, or both)
   "includeMedia": false    EXPERIMENTAL: Include media (default: off)
+  "unrollThreads": false   Collect full self-threads (default: off)
+  "replyContextDepth": 1   Reply ancestors to fetch, or "root"
   "folders": {}            Map folder IDs to tags (see README)
+  "autoDiscoverFolders": false  Also fetch new folders and unfoldered bookmarks
 
 More info: https://github.com/alexknowshtml/smaug
 `);
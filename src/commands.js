@@ -0,0 +1,169 @@
+/**
+ * Commands - Running external tools without a shell
+ *
+ * External programs Smaug runs itself are started with spawn() and an
+ * argument array, never a shell command line, so values from config or
+ * from Twitter (folder IDs, cursors, paths with spaces) reach the tool as
+ * single arguments. runCommand() does this for one-shot tools like bird;
+ * job.js spawns claude and opencode the same way to stream their output,
+ * locating them with findExecutable(). IDs are checked before they get
+ * that far.
+ *
+ * User-written command templates (transcription.command/downloadCommand)
+ * go through runCommand() too: transcribe.js splits them into arguments
+ * and fills in placeholders per argument, so no shell is involved.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+/**
+ * A command that failed to start, exited non-zero or timed out
+ *
+ *   command  - program that was run
+ *   args     - arguments it was run with
+ *   exitCode - exit status, or null if it never exited normally
+ *   signal   - signal that ended it, if any
+ *   stderr   - what it printed to stderr
+ *   timedOut - true when killed for running past its timeout
+ *   code     - system error code when it couldn't start (e.g. ENOENT)
+ */
+export class CommandError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CommandError';
+    this.command = details.command || null;
+    this.args = details.args || [];
+    this.exitCode = details.exitCode ?? null;
+    this.signal = details.signal || null;
+    this.stderr = details.stderr || '';
+    this.timedOut = !!details.timedOut;
+    if (details.code) this.code = details.code;
+  }
+}
+
+/**
+ * Check a numeric Twitter ID (tweet, folder) and return it as a string.
+ * Throws for anything else, e.g. a config key like "1; rm -rf ~".
+ */
+export function validateId(value, what = 'ID') {
+  const id = String(value ?? '').trim();
+  if (!/^\d{1,25}$/.test(id)) {
+    throw new Error(`Invalid ${what}: ${JSON.stringify(String(value))}`);
+  }
+  return id;
+}
+
+/**
+ * Check an opaque value passed as an option's argument (pagination cursors).
+ * Rejects values a tool could mistake for a flag or that hold control characters.
+ */
+export function validateArg(value, what = 'argument') {
+  const arg = String(value ?? '');
+  if (!arg || arg.startsWith('-') || /[\x00-\x1f\x7f]/.test(arg)) {
+    throw new Error(`Invalid ${what}: ${JSON.stringify(arg)}`);
+  }
+  return arg;
+}
+
+/**
+ * Full path of an executable found on PATH, or null (replaces `which`)
+ */
+export function findExecutable(name, envPath = process.env.PATH || '') {
+  if (name.includes(path.sep)) {
+    return isExecutable(name) ? name : null;
+  }
+  for (const dir of envPath.split(path.delimiter)) {
+    if (!dir) continue;
+    const candidate = path.join(dir, name);
+    if (isExecutable(candidate)) return candidate;
+  }
+  return null;
+}
+
+function isExecutable(file) {
+  try {
+    fs.accessSync(file, fs.constants.X_OK);
+    return fs.statSync(file).isFile();
+  } catch {
+    return false;
+  }
+}
+
+function lastLine(text) {
+  return text.trim().split('\n').pop() || '';
+}
+
+/**
+ * Run a program and resolve to its stdout
+ *
+ * Options:
+ *   env          - environment (default process.env)
+ *   cwd          - working directory
+ *   timeout      - ms before the process is killed (default 60000)
+ *   stdoutToFile - send stdout to a temp file and read it back afterwards,
+ *                  for tools that lose output written to a pipe (bird)
+ *   label        - name used in error messages (default the program's basename)
+ *   errorClass   - CommandError subclass to throw
+ */
+export async function runCommand(command, args = [], options = {}) {
+  const timeout = options.timeout || 60000;
+  const label = options.label || path.basename(command);
+  const ErrorClass = options.errorClass || CommandError;
+  const details = { command, args };
+
+  let dir = null;
+  let out = null;
+  if (options.stdoutToFile) {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'smaug-cmd-'));
+    out = await fs.promises.open(path.join(dir, 'stdout'), 'w');
+  }
+
+  try {
+    const result = await new Promise((resolve, reject) => {
+      const child = spawn(command, args, {
+        env: options.env || process.env,
+        cwd: options.cwd,
+        stdio: ['ignore', out ? out.fd : 'pipe', 'pipe']
+      });
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGTERM');
+      }, timeout);
+
+      child.stdout?.setEncoding('utf8');
+      child.stdout?.on('data', chunk => { stdout += chunk; });
+      child.stderr.setEncoding('utf8');
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(new ErrorClass(
+          error.code === 'ENOENT' ? `${label} not found (${command})` : `${label} failed to start: ${error.message}`,
+          { ...details, code: error.code }
+        ));
+      });
+      child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        resolve({ stdout, stderr, exitCode, signal, timedOut });
+      });
+    });
+
+    const { stderr, exitCode, signal, timedOut } = result;
+    if (timedOut) {
+      throw new ErrorClass(`${label} timed out after ${timeout / 1000}s`, { ...details, exitCode, signal, stderr, timedOut });
+    }
+    if (exitCode !== 0) {
+      const reason = lastLine(stderr) || (signal ? `killed by ${signal}` : `exit code ${exitCode}`);
+      throw new ErrorClass(`${label} failed: ${reason}`, { ...details, exitCode, signal, stderr });
+    }
+    return out ? await fs.promises.readFile(path.join(dir, 'stdout'), 'utf8') : result.stdout;
+  } finally {
+    await out?.close();
+    if (dir) await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
@@ -19,6 +19,17 @@ const DEFAULT_CONFIG = {
   // Off by default - enable with --media flag or config
   includeMedia: false,
 
+  // Unroll bookmarked self-threads: collect every tweet the author wrote in
+  // the reply chain and store them as one entry (enable with --threads)
+  unrollThreads: false,
+
+  // Safety cap on tweets collected per thread
+  threadMaxTweets: 50,
+
+  // How many ancestor tweets to fetch for replies: a number, or 'root' to
+  // walk all the way up to the conversation root (capped at 100)
+  replyContextDepth: 1,
+
   // Where to store the markdown archive
   archiveFile: './bookmarks.md',
 
@@ -31,9 +42,120 @@ const DEFAULT_CONFIG = {
   // Timezone for date formatting
   timezone: 'America/New_York',
 
+  // Source adapter used to talk to Twitter/X: 'bird' (default) or 'file'
+  sourceAdapter: 'bird',
+
   // Path to bird CLI (if not in PATH)
   birdPath: null,
 
+  // bird processes allowed at once (quote tweets, reply parents, threads)
+  birdConcurrency: 4,
+
+  // Retries for bookmark/likes fetches that hit a rate limit or a network
+  // error (see src/sources/retry.js). Waits double after each attempt,
+  // starting at rateLimitDelayMs for rate limits and delayMs otherwise.
+  // Expired cookies are never retried.
+  retry: {
+    attempts: 3,
+    delayMs: 5000,
+    rateLimitDelayMs: 60000,
+    maxDelayMs: 900000
+  },
+
+  // File source adapter: directory of JSON fixtures (see src/sources/file.js)
+  fileSource: {
+    dir: null
+  },
+
+  // Persistent link cache for t.co expansion and page fetches.
+  // dir defaults to "cache" next to stateFile. ttlDays is per kind; null = never expires.
+  cache: {
+    enabled: true,
+    dir: null,
+    ttlDays: {
+      tco: 365,
+      github: 1,
+      package: 7,
+      discussion: 7,
+      article: 30,
+      metadata: 30,
+      snapshot: 30,
+      paper: 30,
+      video: 30,
+      podcast: 30
+    }
+  },
+
+  // Per-domain fetch rules (see src/domains.js). Keys match the domain and its
+  // subdomains. Example:
+  //   domains: {
+  //     "ft.com": { "paywalled": false, "cookies": "FTSession=..." },
+  //     "wiki.corp.example": { "skipFetch": true },
+  //     "medium.com": { "alwaysArchive": true }
+  //   }
+  domains: {},
+
+  // Link fetching pace (see src/scheduler.js). concurrency bookmarks are
+  // prepared at once; each host then gets burst requests straight away and
+  // requestsPerSecond after that (null for no limit). Domain rules can set
+  // their own requestsPerSecond and burst:
+  //   domains: { "api.github.com": { "requestsPerSecond": 1, "burst": 10 } }
+  scheduler: {
+    concurrency: 5,
+    requestsPerSecond: 2,
+    burst: 5
+  },
+
+  // Extra link extractor modules (see src/extractors/index.js), paths relative
+  // to the working directory. Their extractors are tried before the built-ins.
+  //   extractors: ["./extractors/wiki.js"]
+  extractors: [],
+
+  // Archived-copy fallback for paywalled pages, tried in order.
+  // mirrors are URL templates with {url} or {encodedUrl} placeholders.
+  archiveFallback: {
+    enabled: true,
+    services: ['wayback', 'archive.today'],
+    mirrors: [],
+    minWords: 150
+  },
+
+  // Hacker News, Reddit and Lobsters threads: how many top-level comments to
+  // keep, and whether to fetch the page the submission links to as well
+  discussions: {
+    comments: 10,
+    fetchLinked: true
+  },
+
+  // Local transcription for knowledge files marked needs_transcript
+  // (smaug transcribe). For each file, <slug>.vtt/.srt captions or
+  // <slug>.mp3/.m4a/... audio in mediaDir are used, in that order.
+  //   command         - transcriber run on audio, e.g.
+  //                     "whisper-cli -m ~/models/ggml-base.en.bin -f {audio} -otxt -of {output}"
+  //   downloadAudio   - fetch a podcast's audio file (its `audio:` URL) into mediaDir
+  //   maxAudioMB      - give up on audio files bigger than this
+  //   downloadCommand - fetches captions/audio for other links, e.g.
+  //                     "yt-dlp --write-subs --write-auto-subs --sub-langs en --sub-format vtt -x -o {output}.%(ext)s -- {url}"
+  // Commands run without a shell (quotes group words, but no pipes or &&);
+  // give a list of commands to run several in turn.
+  transcription: {
+    mediaDir: './media',
+    command: null,
+    downloadAudio: true,
+    maxAudioMB: 1024,
+    downloadCommand: null,
+    timeoutMinutes: 60
+  },
+
+  // GitHub API access for repo links (token can also come from GITHUB_TOKEN).
+  // Without a token the API allows 60 requests/hour; with one, 5,000.
+  // rateLimitWaitMinutes: longest to wait for a rate-limit reset before
+  // giving up on a link.
+  github: {
+    token: null,
+    rateLimitWaitMinutes: 15
+  },
+
   // Twitter credentials (can also use AUTH_TOKEN and CT0 env vars)
   twitter: {
     authToken: null,
@@ -50,12 +172,17 @@ const DEFAULT_CONFIG = {
   //   }
   folders: {},
 
+  // Also fetch bookmark folders missing from `folders` (tagged with a slug of
+  // their name) and bookmarks in no folder, on every run. Needs a source
+  // adapter that can list folders; see `smaug folders`.
+  autoDiscoverFolders: false,
+
   // ---- Categories: Define how different bookmark types are handled ----
   // Each category has:
   //   - match: URL patterns or keywords to identify this type
   //   - action: 'file' (create separate file), 'capture' (bookmark only), 'transcribe' (flag for transcript)
   //   - folder: where to save files (if action is 'file')
-  //   - template: 'tool', 'article', 'podcast', 'video', or custom template name
+  //   - template: 'tool', 'article', 'paper', 'podcast', 'video', or custom template name
   categories: {
     github: {
       match: ['github.com'],
@@ -64,6 +191,13 @@ const DEFAULT_CONFIG = {
       template: 'tool',
       description: 'GitHub repositories and code'
     },
+    package: {
+      match: ['npmjs.com', 'pypi.org', 'crates.io', 'huggingface.co'],
+      action: 'file',
+      folder: './knowledge/tools',
+      template: 'tool',
+      description: 'Packages and models (npm, PyPI, crates.io, Hugging Face)'
+    },
     article: {
       match: ['medium.com', 'substack.com', 'dev.to', 'blog', 'article'],
       action: 'file',
@@ -71,6 +205,13 @@ const DEFAULT_CONFIG = {
       template: 'article',
       description: 'Blog posts and articles'
     },
+    paper: {
+      match: ['arxiv.org', 'openreview.net', 'biorxiv.org', 'medrxiv.org', 'aclanthology.org', '.pdf'],
+      action: 'file',
+      folder: './knowledge/papers',
+      template: 'paper',
+      description: 'Research papers and PDFs'
+    },
     podcast: {
       match: ['podcasts.apple.com', 'spotify.com/episode', 'overcast.fm', 'pocketcasts.com', 'castro.fm', 'podcast'],
       action: 'transcribe',
@@ -142,6 +283,23 @@ export function expandTilde(filepath) {
   return filepath;
 }
 
+// Config files tried in order; the first one that exists is used
+function configLocations(configPath) {
+  return [
+    configPath,
+    './smaug.config.json',
+    path.join(os.homedir(), '.smaug.json'),
+    path.join(os.homedir(), '.config/smaug/config.json')
+  ].filter(Boolean);
+}
+
+/**
+ * Path of the config file loadConfig would read, or null if there is none
+ */
+export function findConfigFile(configPath) {
+  return configLocations(configPath).find(loc => fs.existsSync(loc)) || null;
+}
+
 /**
  * Load configuration from file and environment
  */
@@ -149,14 +307,7 @@ export function loadConfig(configPath) {
   let fileConfig = {};
 
   // Try to load config file
-  const configLocations = [
-    configPath,
-    './smaug.config.json',
-    path.join(os.homedir(), '.smaug.json'),
-    path.join(os.homedir(), '.config/smaug/config.json')
-  ].filter(Boolean);
-
-  for (const loc of configLocations) {
+  for (const loc of configLocations(configPath)) {
     try {
       if (fs.existsSync(loc)) {
         const content = fs.readFileSync(loc, 'utf8');
@@ -177,6 +328,46 @@ export function loadConfig(configPath) {
       ...DEFAULT_CONFIG.twitter,
       ...fileConfig.twitter
     },
+    github: {
+      ...DEFAULT_CONFIG.github,
+      ...fileConfig.github
+    },
+    cache: {
+      ...DEFAULT_CONFIG.cache,
+      ...fileConfig.cache,
+      ttlDays: {
+        ...DEFAULT_CONFIG.cache.ttlDays,
+        ...fileConfig.cache?.ttlDays
+      }
+    },
+    domains: {
+      ...DEFAULT_CONFIG.domains,
+      ...fileConfig.domains
+    },
+    retry: {
+      ...DEFAULT_CONFIG.retry,
+      ...fileConfig.retry
+    },
+    scheduler: {
+      ...DEFAULT_CONFIG.scheduler,
+      ...fileConfig.scheduler
+    },
+    archiveFallback: {
+      ...DEFAULT_CONFIG.archiveFallback,
+      ...fileConfig.archiveFallback
+    },
+    discussions: {
+      ...DEFAULT_CONFIG.discussions,
+      ...fileConfig.discussions
+    },
+    transcription: {
+      ...DEFAULT_CONFIG.transcription,
+      ...fileConfig.transcription
+    },
+    fileSource: {
+      ...DEFAULT_CONFIG.fileSource,
+      ...fileConfig.fileSource
+    },
     // Deep merge categories - user categories override defaults
     categories: {
       ...DEFAULT_CONFIG.categories,
@@ -205,18 +396,37 @@ export function loadConfig(configPath) {
   if (process.env.BIRD_PATH) {
     config.birdPath = process.env.BIRD_PATH;
   }
+  if (process.env.SOURCE_ADAPTER) {
+    config.sourceAdapter = process.env.SOURCE_ADAPTER;
+  }
   if (process.env.SOURCE) {
     config.source = process.env.SOURCE;
   }
   if (process.env.INCLUDE_MEDIA !== undefined) {
     config.includeMedia = process.env.INCLUDE_MEDIA === 'true';
   }
+  if (process.env.UNROLL_THREADS !== undefined) {
+    config.unrollThreads = process.env.UNROLL_THREADS === 'true';
+  }
+  if (process.env.REPLY_CONTEXT_DEPTH) {
+    const depth = process.env.REPLY_CONTEXT_DEPTH.trim();
+    if (depth === 'root') {
+      config.replyContextDepth = 'root';
+    } else if (/^\d+$/.test(depth)) {
+      config.replyContextDepth = parseInt(depth, 10);
+    } else {
+      console.warn(`Ignoring REPLY_CONTEXT_DEPTH=${JSON.stringify(depth)}: must be a number of ancestors (0 or more) or "root"`);
+    }
+  }
   if (process.env.AUTH_TOKEN) {
     config.twitter.authToken = process.env.AUTH_TOKEN;
   }
   if (process.env.CT0) {
     config.twitter.ct0 = process.env.CT0;
   }
+  if (process.env.GITHUB_TOKEN) {
+    config.github.token = process.env.GITHUB_TOKEN;
+  }
 
   // Automation env vars
   if (process.env.AUTO_INVOKE_CLAUDE !== undefined) {
@@ -243,6 +453,10 @@ export function loadConfig(configPath) {
   config.pendingFile = expandTilde(config.pendingFile);
   config.stateFile = expandTilde(config.stateFile);
   config.birdPath = expandTilde(config.birdPath);
+  config.fileSource.dir = expandTilde(config.fileSource.dir);
+  config.cache.dir = expandTilde(config.cache.dir);
+  config.transcription.mediaDir = expandTilde(config.transcription.mediaDir);
+  config.extractors = (config.extractors || []).map(expandTilde);
   config.projectRoot = expandTilde(config.projectRoot);
 
   // Expand ~ in category folders
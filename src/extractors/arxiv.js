@@ -0,0 +1,84 @@
+/**
+ * arXiv papers - Resolves abs/pdf/html URLs to paper metadata via the arXiv API
+ *
+ * Any of these resolve to the same paper:
+ *   https://arxiv.org/abs/1706.03762v7
+ *   https://arxiv.org/pdf/1706.03762.pdf
+ *   https://arxiv.org/html/1706.03762
+ *   https://export.arxiv.org/abs/cs/0112017   (old-style IDs)
+ */
+
+import { findAll, findFirst, parseHtml, textContent } from '../html.js';
+
+const ARXIV_URL = /^https?:\/\/(?:www\.|export\.)?arxiv\.org\/(?:abs|pdf|html|format)\/((?:\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})(?:v\d+)?)(?:\.pdf)?\/?(?:[?#].*)?$/i;
+
+/**
+ * Extract the arXiv ID (with version, if given) from a URL, or null
+ */
+export function parseArxivId(url) {
+  return url?.match(ARXIV_URL)?.[1] || null;
+}
+
+/**
+ * Parse an arXiv API Atom response into paper metadata (first entry)
+ */
+export function parseArxivFeed(xml) {
+  const root = parseHtml(xml);
+  const entry = findFirst(root, n => n.tag === 'entry');
+  if (!entry) return null;
+
+  const child = (tag) => findFirst(entry, n => n.tag === tag);
+  const text = (tag) => {
+    const node = child(tag);
+    return node ? textContent(node) || null : null;
+  };
+
+  const idUrl = text('id') || '';
+  const id = idUrl.replace(/^https?:\/\/arxiv\.org\/abs\//, '');
+  if (!id || /api\/errors/.test(idUrl)) return null;
+
+  const links = findAll(entry, n => n.tag === 'link');
+  const pdfLink = links.find(l => l.attrs.title === 'pdf' || l.attrs.type === 'application/pdf');
+  const primary = child('arxiv:primary_category');
+
+  return {
+    id,
+    title: text('title'),
+    authors: findAll(entry, n => n.tag === 'author').map(a => textContent(findFirst(a, n => n.tag === 'name') || a)),
+    abstract: text('summary'),
+    categories: findAll(entry, n => n.tag === 'category').map(c => c.attrs.term).filter(Boolean),
+    primaryCategory: primary?.attrs.term || null,
+    published: text('published'),
+    updated: text('updated'),
+    doi: text('arxiv:doi'),
+    comment: text('arxiv:comment'),
+    absUrl: `https://arxiv.org/abs/${id}`,
+    pdfUrl: pdfLink?.attrs.href || `https://arxiv.org/pdf/${id}`
+  };
+}
+
+/**
+ * Fetch paper metadata for an arXiv URL. Throws if the URL isn't an arXiv
+ * paper or the API has no such entry. options.fetch replaces the global
+ * fetch (e.g. a scheduled one).
+ */
+export async function fetchArxivContent(url, timeout = 15000, options = {}) {
+  const fetchFn = options.fetch ?? fetch;
+  const id = parseArxivId(url);
+  if (!id) {
+    throw new Error(`Not an arXiv paper URL: ${url}`);
+  }
+
+  const response = await fetchFn(`https://export.arxiv.org/api/query?id_list=${encodeURIComponent(id)}`, {
+    signal: AbortSignal.timeout(timeout)
+  });
+  if (!response.ok) {
+    throw new Error(`arXiv API returned HTTP ${response.status}`);
+  }
+
+  const paper = parseArxivFeed(await response.text());
+  if (!paper) {
+    throw new Error(`arXiv has no entry for ${id}`);
+  }
+  return paper;
+}
@@ -0,0 +1,231 @@
+/**
+ * Discussion threads - Hacker News, Reddit and Lobsters
+ *
+ * A discussion page is mostly comments around a link, so reading it as an
+ * article gets neither. Each site's JSON API gives us the submission (title,
+ * points, the URL it links to, or its own text for Ask HN and self posts) and
+ * its top-level comments in the site's own ranking:
+ *
+ *   news.ycombinator.com/item?id=N     hacker-news.firebaseio.com (comment links
+ *                                      resolve to their story)
+ *   reddit.com/r/sub/comments/id/...   reddit.com/comments/id.json (also redd.it/id)
+ *   lobste.rs/s/id                     lobste.rs/s/id.json
+ *
+ * The linked page itself is fetched by the caller (see the discussion
+ * extractors in extractors/index.js), so it gets the usual extractor and
+ * paywall handling.
+ */
+
+import { decodeEntities } from '../html.js';
+import { getHostname, matchesDomain } from '../domains.js';
+
+const USER_AGENT = 'smaug';
+
+const COMMENT_LIMIT = 2000;
+const TEXT_LIMIT = 5000;
+
+// How far up a comment link's parents we'll walk looking for its story
+const MAX_PARENT_HOPS = 50;
+
+/**
+ * Work out which thread a discussion URL points at
+ *
+ * Returns { site, id } where site is 'hackernews', 'reddit' or 'lobsters',
+ * or null for other pages (front pages, user profiles, subreddits).
+ */
+export function parseDiscussionUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const hostname = getHostname(url);
+  const segments = parsed.pathname.split('/').filter(Boolean);
+
+  if (hostname === 'news.ycombinator.com' && parsed.pathname === '/item') {
+    const id = parsed.searchParams.get('id');
+    return /^\d+$/.test(id || '') ? { site: 'hackernews', id } : null;
+  }
+
+  if (hostname === 'redd.it' && /^[a-z0-9]+$/i.test(segments[0] || '')) {
+    return { site: 'reddit', id: segments[0] };
+  }
+  if (matchesDomain(hostname, 'reddit.com')) {
+    const at = segments.indexOf('comments');
+    const id = at !== -1 ? segments[at + 1] : null;
+    return id && /^[a-z0-9]+$/i.test(id) ? { site: 'reddit', id } : null;
+  }
+
+  if (hostname === 'lobste.rs' && segments[0] === 's' && /^[a-z0-9]+$/i.test(segments[1] || '')) {
+    return { site: 'lobsters', id: segments[1] };
+  }
+
+  return null;
+}
+
+/**
+ * Plain text from a comment's HTML (Hacker News): paragraphs kept, links
+ * replaced by their full URL
+ */
+export function commentText(html) {
+  if (!html) return '';
+  return decodeEntities(html
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>[\s\S]*?<\/a>/gi, (match, href) => decodeEntities(href))
+    .replace(/<p>/gi, '\n\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function truncate(text, limit) {
+  if (!text) return null;
+  return text.length > limit ? text.slice(0, limit) + '...[truncated]' : text;
+}
+
+async function fetchJson(url, timeout, fetchFn) {
+  const response = await fetchFn(url, {
+    headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' },
+    signal: AbortSignal.timeout(timeout)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from ${url}`);
+  }
+  return response.json();
+}
+
+// ============================================================================
+// Sites
+// ============================================================================
+
+const HN_API = 'https://hacker-news.firebaseio.com/v0';
+
+async function fetchHackerNews(id, limit, timeout, fetchFn) {
+  let item = await fetchJson(`${HN_API}/item/${id}.json`, timeout, fetchFn);
+  if (!item) {
+    throw new Error(`Hacker News item not found: ${id}`);
+  }
+
+  // A link to a comment: keep it, but report the story it belongs to
+  let linkedComment = null;
+  if (item.type === 'comment') {
+    linkedComment = { author: item.by || null, points: null, text: truncate(commentText(item.text), COMMENT_LIMIT) };
+    for (let hops = 0; item?.type === 'comment' && item.parent && hops < MAX_PARENT_HOPS; hops++) {
+      item = await fetchJson(`${HN_API}/item/${item.parent}.json`, timeout, fetchFn);
+    }
+    if (!item || item.type === 'comment') {
+      throw new Error(`Could not find the story for Hacker News comment ${id}`);
+    }
+  }
+
+  const kids = await Promise.all((item.kids || []).slice(0, limit)
+    .map(kid => fetchJson(`${HN_API}/item/${kid}.json`, timeout, fetchFn).catch(() => null)));
+
+  return {
+    id: String(item.id),
+    title: item.title || null,
+    url: `https://news.ycombinator.com/item?id=${item.id}`,
+    targetUrl: item.url || null,
+    author: item.by || null,
+    points: item.score ?? null,
+    commentCount: item.descendants ?? null,
+    published: item.time ? new Date(item.time * 1000).toISOString() : null,
+    text: truncate(commentText(item.text), TEXT_LIMIT),
+    tags: [],
+    comments: kids
+      .filter(kid => kid && !kid.deleted && !kid.dead && kid.text)
+      .map(kid => ({ author: kid.by || null, points: null, text: truncate(commentText(kid.text), COMMENT_LIMIT) })),
+    ...(linkedComment && { linkedComment })
+  };
+}
+
+async function fetchReddit(id, limit, timeout, fetchFn) {
+  // raw_json=1 returns text unescaped (no &amp;)
+  const listings = await fetchJson(`https://www.reddit.com/comments/${id}.json?sort=top&depth=1&limit=${limit}&raw_json=1`, timeout, fetchFn);
+  const post = listings?.[0]?.data?.children?.[0]?.data;
+  if (!post) {
+    throw new Error(`Reddit post not found: ${id}`);
+  }
+  const permalink = `https://www.reddit.com${post.permalink}`;
+  const replies = (listings[1]?.data?.children || [])
+    .filter(child => child.kind === 't1' && !child.data.stickied && child.data.body && child.data.body !== '[deleted]' && child.data.body !== '[removed]')
+    .slice(0, limit);
+
+  return {
+    id: post.id,
+    title: post.title || null,
+    url: permalink,
+    targetUrl: post.is_self || post.url === permalink ? null : post.url || null,
+    author: post.author || null,
+    points: post.score ?? null,
+    commentCount: post.num_comments ?? null,
+    published: post.created_utc ? new Date(post.created_utc * 1000).toISOString() : null,
+    text: truncate(post.selftext || null, TEXT_LIMIT),
+    tags: [post.subreddit_name_prefixed, post.link_flair_text].filter(Boolean),
+    comments: replies.map(child => ({
+      author: child.data.author || null,
+      points: child.data.score ?? null,
+      text: truncate(child.data.body.trim(), COMMENT_LIMIT)
+    }))
+  };
+}
+
+function username(user) {
+  return typeof user === 'string' ? user : user?.username || null;
+}
+
+async function fetchLobsters(id, limit, timeout, fetchFn) {
+  const story = await fetchJson(`https://lobste.rs/s/${id}.json`, timeout, fetchFn);
+  const comments = (story.comments || [])
+    .filter(c => c.depth === 0 && !c.is_deleted && !c.is_moderated && c.comment_plain)
+    .slice(0, limit);
+
+  return {
+    id: story.short_id || id,
+    title: story.title || null,
+    url: story.short_id_url || `https://lobste.rs/s/${id}`,
+    targetUrl: story.url || null,
+    author: username(story.submitter_user),
+    points: story.score ?? null,
+    commentCount: story.comment_count ?? null,
+    published: story.created_at ? new Date(story.created_at).toISOString() : null,
+    text: truncate(story.description_plain || null, TEXT_LIMIT),
+    tags: story.tags || [],
+    comments: comments.map(c => ({
+      author: username(c.commenting_user),
+      points: c.score ?? null,
+      text: truncate(c.comment_plain.trim(), COMMENT_LIMIT)
+    }))
+  };
+}
+
+const SITES = {
+  hackernews: fetchHackerNews,
+  reddit: fetchReddit,
+  lobsters: fetchLobsters
+};
+
+/**
+ * Fetch a discussion thread. Throws if the thread can't be read.
+ *
+ * Options:
+ *   comments - how many top-level comments to keep (default 10)
+ *   timeout  - per request, in ms
+ *   fetch    - replaces the global fetch (e.g. a scheduled one)
+ *
+ * Returns { kind: 'discussion', site, id, title, url, targetUrl, author,
+ * points, commentCount, published, text, tags, comments: [{ author, points,
+ * text }] }. targetUrl is null for self posts (Ask HN, text posts); Hacker
+ * News has no comment scores, so its comment points are null. A link to an
+ * HN comment also gets linkedComment.
+ */
+export async function fetchDiscussionContent(url, options = {}) {
+  const info = parseDiscussionUrl(url);
+  if (!info) {
+    throw new Error('Could not parse discussion URL');
+  }
+  const thread = await SITES[info.site](info.id, options.comments ?? 10, options.timeout || 15000, options.fetch ?? fetch);
+  return { kind: 'discussion', site: info.site, ...thread };
+}
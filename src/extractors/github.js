@@ -0,0 +1,362 @@
+/**
+ * GitHub links - Repos, files, directories, issues, releases, gists and profiles
+ *
+ * URLs are parsed into what they point at rather than assumed to be repos:
+ *
+ *   github.com/owner/repo                        repo
+ *   github.com/owner/repo/blob/main/docs/x.md    file (plus repo)
+ *   github.com/owner/repo/tree/main/packages/a   directory (plus repo)
+ *   github.com/owner/repo/issues/12, /pull/34    issue / pull request (plus repo)
+ *   github.com/owner/repo/releases/tag/v1.2      release (plus repo)
+ *   gist.github.com/user/abc123                  gist
+ *   github.com/owner, github.com/orgs/owner      user or organization
+ *
+ * Repo results include health signals (license, archived, last push, latest
+ * release) so notes can say whether a tool is still maintained.
+ *
+ * Requests are authenticated when a token is given (5,000 requests/hour
+ * instead of 60). When the rate limit runs out we wait for the reset, up to
+ * maxWaitMs, rather than burning through the rest of a backfill with errors.
+ */
+
+import { getHostname, matchesDomain } from '../domains.js';
+
+const API = 'https://api.github.com';
+
+// Top-level github.com paths that aren't users or orgs
+const RESERVED_PATHS = new Set([
+  'about', 'apps', 'collections', 'contact', 'customer-stories', 'enterprise', 'events',
+  'explore', 'features', 'issues', 'login', 'marketplace', 'new', 'notifications',
+  'pricing', 'pulls', 'readme', 'search', 'security', 'settings', 'site', 'sponsors',
+  'team', 'topics', 'trending', 'codespaces'
+]);
+
+const README_LIMIT = 5000;
+const BODY_LIMIT = 5000;
+
+// A repo pushed to within this long counts as active
+const ACTIVE_DAYS = 365;
+
+/**
+ * Work out what a GitHub URL points at
+ *
+ * Returns { kind, owner, repo?, ref?, path?, number?, tag?, gistId? } where
+ * kind is 'repo', 'file', 'tree', 'issue', 'pull', 'release', 'gist', 'user'
+ * or 'org'. Returns null for non-GitHub URLs and site pages (features, topics, ...).
+ */
+export function parseGitHubUrl(url) {
+  let segments;
+  try {
+    segments = new URL(url).pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    // Not a URL, or malformed percent-encoding (decodeURIComponent throws)
+    return null;
+  }
+  const hostname = getHostname(url);
+
+  if (hostname === 'gist.github.com') {
+    const gistId = segments.find(s => /^[0-9a-f]{20,}$/i.test(s));
+    if (!gistId) return null;
+    return { kind: 'gist', owner: segments[0] === gistId ? null : segments[0], gistId };
+  }
+
+  if (hostname === 'raw.githubusercontent.com') {
+    if (segments.length < 4) return null;
+    const [owner, repo, ref, ...rest] = segments;
+    return { kind: 'file', owner, repo, ref, path: rest.join('/') };
+  }
+
+  if (!matchesDomain(hostname, 'github.com') || segments.length === 0) return null;
+
+  if (segments[0] === 'orgs' && segments[1]) {
+    return { kind: 'org', owner: segments[1] };
+  }
+  if (RESERVED_PATHS.has(segments[0].toLowerCase())) return null;
+  if (segments.length === 1) {
+    return { kind: 'user', owner: segments[0] };
+  }
+
+  const owner = segments[0];
+  const repo = segments[1].replace(/\.git$/, '');
+  const [section, ...rest] = segments.slice(2);
+
+  if ((section === 'blob' || section === 'tree') && rest.length > 0) {
+    const [ref, ...pathParts] = rest;
+    const filePath = pathParts.join('/');
+    if (section === 'blob' && filePath) return { kind: 'file', owner, repo, ref, path: filePath };
+    return { kind: 'tree', owner, repo, ref, path: filePath };
+  }
+  if ((section === 'issues' || section === 'pull') && /^\d+$/.test(rest[0] || '')) {
+    return { kind: section === 'pull' ? 'pull' : 'issue', owner, repo, number: Number(rest[0]) };
+  }
+  if (section === 'releases' && rest[0] === 'tag' && rest[1]) {
+    return { kind: 'release', owner, repo, tag: rest.slice(1).join('/') };
+  }
+  // Wiki pages, commits, actions, discussions, ... describe the repo itself
+  return { kind: 'repo', owner, repo };
+}
+
+// ============================================================================
+// API client
+// ============================================================================
+
+// Shared across requests so one exhausted limit pauses every later call
+const rateLimit = { remaining: null, reset: null };
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function recordRateLimit(response) {
+  const remaining = response.headers.get('x-ratelimit-remaining');
+  const reset = response.headers.get('x-ratelimit-reset');
+  if (remaining !== null) rateLimit.remaining = Number(remaining);
+  if (reset !== null) rateLimit.reset = Number(reset) * 1000;
+}
+
+async function waitForRateLimit(ms, maxWaitMs) {
+  if (ms > maxWaitMs) {
+    throw new Error(`GitHub rate limit exhausted; resets in ${Math.ceil(ms / 60000)} min (set a github.token for 5,000 requests/hour)`);
+  }
+  console.log(`  GitHub rate limit reached; waiting ${Math.ceil(ms / 1000)}s for reset`);
+  await sleep(ms);
+}
+
+/**
+ * GET a GitHub API path. Returns parsed JSON, or null for 404.
+ * Waits out rate limits (primary and secondary) up to options.maxWaitMs.
+ */
+export async function githubRequest(apiPath, options = {}) {
+  const maxWaitMs = options.maxWaitMs ?? 15 * 60 * 1000;
+  const headers = {
+    'Accept': 'application/vnd.github+json',
+    'X-GitHub-Api-Version': '2022-11-28',
+    'User-Agent': 'smaug'
+  };
+  if (options.token) headers['Authorization'] = `Bearer ${options.token}`;
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    if (rateLimit.remaining === 0 && rateLimit.reset > Date.now()) {
+      await waitForRateLimit(rateLimit.reset - Date.now() + 1000, maxWaitMs);
+    }
+
+    const response = await (options.fetch ?? fetch)(`${API}${apiPath}`, {
+      headers,
+      signal: AbortSignal.timeout(options.timeout || 15000)
+    });
+    recordRateLimit(response);
+
+    if (response.status === 404) return null;
+    if (response.ok) return response.json();
+
+    if (response.status === 403 || response.status === 429) {
+      const retryAfter = Number(response.headers.get('retry-after'));
+      if (retryAfter > 0) {
+        // Secondary (abuse) limit: GitHub says exactly how long to back off
+        await waitForRateLimit(retryAfter * 1000, maxWaitMs);
+        continue;
+      }
+      if (rateLimit.remaining === 0) continue; // waits at the top of the loop
+    }
+
+    const body = await response.json().catch(() => ({}));
+    throw new Error(`GitHub API returned HTTP ${response.status}${body.message ? `: ${body.message}` : ''}`);
+  }
+  throw new Error('GitHub API rate limited after retries');
+}
+
+/**
+ * Forget recorded rate-limit state (for tests)
+ */
+export function resetGitHubRateLimit() {
+  rateLimit.remaining = null;
+  rateLimit.reset = null;
+}
+
+// ============================================================================
+// Content
+// ============================================================================
+
+function decodeContent(json, limit) {
+  if (!json?.content) return null;
+  const text = Buffer.from(json.content, json.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+  return text.length > limit ? text.slice(0, limit) + '\n...[truncated]' : text;
+}
+
+function truncate(text, limit) {
+  if (!text) return text ?? null;
+  return text.length > limit ? text.slice(0, limit) + '\n...[truncated]' : text;
+}
+
+/**
+ * 'archived', 'active' (pushed within the last year) or 'stale'
+ */
+export function repoHealth(repo, now = Date.now()) {
+  if (repo.archived) return 'archived';
+  const lastActivity = Math.max(
+    repo.pushedAt ? Date.parse(repo.pushedAt) : 0,
+    repo.latestRelease?.publishedAt ? Date.parse(repo.latestRelease.publishedAt) : 0
+  );
+  if (!lastActivity) return null;
+  return now - lastActivity <= ACTIVE_DAYS * 24 * 60 * 60 * 1000 ? 'active' : 'stale';
+}
+
+async function fetchRepo(owner, repo, options, readmePath = '') {
+  const base = `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  const repoJson = await githubRequest(base, options);
+  if (!repoJson) {
+    throw new Error(`GitHub repo not found: ${owner}/${repo}`);
+  }
+
+  const [readmeJson, releaseJson] = await Promise.all([
+    githubRequest(`${base}/readme${readmePath ? `/${readmePath}` : ''}`, options).catch(() => null),
+    githubRequest(`${base}/releases/latest`, options).catch(() => null)
+  ]);
+
+  const result = {
+    name: repoJson.name,
+    fullName: repoJson.full_name,
+    description: repoJson.description || '',
+    stars: repoJson.stargazers_count,
+    forks: repoJson.forks_count,
+    language: repoJson.language,
+    topics: repoJson.topics || [],
+    license: repoJson.license?.spdx_id && repoJson.license.spdx_id !== 'NOASSERTION'
+      ? repoJson.license.spdx_id
+      : repoJson.license?.name || null,
+    archived: !!repoJson.archived,
+    pushedAt: repoJson.pushed_at || null,
+    homepage: repoJson.homepage || null,
+    latestRelease: releaseJson ? {
+      tag: releaseJson.tag_name,
+      name: releaseJson.name || releaseJson.tag_name,
+      publishedAt: releaseJson.published_at,
+      url: releaseJson.html_url
+    } : null,
+    readme: decodeContent(readmeJson, README_LIMIT) || '',
+    url: repoJson.html_url
+  };
+  result.health = repoHealth(result);
+  return { base, repo: result };
+}
+
+async function fetchGist(info, options) {
+  const gist = await githubRequest(`/gists/${info.gistId}`, options);
+  if (!gist) {
+    throw new Error(`Gist not found: ${info.gistId}`);
+  }
+  const files = Object.values(gist.files || {});
+  return {
+    kind: 'gist',
+    name: files[0]?.filename || info.gistId,
+    fullName: `${gist.owner?.login || info.owner || 'anonymous'}/${info.gistId}`,
+    description: gist.description || '',
+    owner: gist.owner?.login || null,
+    files: files.map(f => ({
+      filename: f.filename,
+      language: f.language || null,
+      content: truncate(f.content, BODY_LIMIT)
+    })),
+    createdAt: gist.created_at,
+    updatedAt: gist.updated_at,
+    url: gist.html_url
+  };
+}
+
+async function fetchProfile(info, options) {
+  const profile = await githubRequest(`/users/${encodeURIComponent(info.owner)}`, options);
+  if (!profile) {
+    throw new Error(`GitHub user not found: ${info.owner}`);
+  }
+  return {
+    kind: profile.type === 'Organization' ? 'org' : 'user',
+    name: profile.name || profile.login,
+    fullName: profile.login,
+    description: profile.bio || profile.description || '',
+    homepage: profile.blog || null,
+    publicRepos: profile.public_repos,
+    followers: profile.followers,
+    url: profile.html_url
+  };
+}
+
+/**
+ * Fetch what a GitHub URL points at. Throws for unparseable URLs, missing
+ * resources and API errors.
+ *
+ * Options:
+ *   token     - personal access token (optional)
+ *   maxWaitMs - longest to wait for a rate-limit reset (default 15 min)
+ *   fetch     - replaces the global fetch (e.g. a scheduled one)
+ *
+ * Repo-based kinds return the repo fields (name, fullName, description,
+ * stars, forks, language, topics, license, archived, pushedAt, homepage,
+ * latestRelease, health, readme, url) plus `kind` and one of `file`,
+ * `directory`, `issue` or `release`. Gists and profiles have their own shape.
+ */
+export async function fetchGitHubContent(url, options = {}) {
+  const info = parseGitHubUrl(url);
+  if (!info) {
+    throw new Error('Could not parse GitHub URL');
+  }
+
+  if (info.kind === 'gist') return fetchGist(info, options);
+  if (info.kind === 'user' || info.kind === 'org') return fetchProfile(info, options);
+
+  // Directory links get that directory's README instead of the root one
+  const readmePath = info.kind === 'tree' && info.path ? info.path : '';
+  const { base, repo } = await fetchRepo(info.owner, info.repo, options, readmePath);
+  const result = { kind: info.kind, ...repo };
+  const ref = info.ref ? `?ref=${encodeURIComponent(info.ref)}` : '';
+  const encodedPath = (info.path || '').split('/').map(encodeURIComponent).join('/');
+
+  if (info.kind === 'file') {
+    const file = await githubRequest(`${base}/contents/${encodedPath}${ref}`, options);
+    result.file = {
+      path: info.path,
+      ref: info.ref,
+      content: Array.isArray(file) ? null : decodeContent(file, BODY_LIMIT)
+    };
+  } else if (info.kind === 'tree') {
+    const listing = await githubRequest(`${base}/contents/${encodedPath}${ref}`, options);
+    result.directory = {
+      path: info.path,
+      ref: info.ref,
+      entries: Array.isArray(listing)
+        ? listing.slice(0, 100).map(e => (e.type === 'dir' ? `${e.name}/` : e.name))
+        : []
+    };
+  } else if (info.kind === 'issue' || info.kind === 'pull') {
+    const issue = await githubRequest(`${base}/issues/${info.number}`, options);
+    if (issue) {
+      result.issue = {
+        number: issue.number,
+        title: issue.title,
+        state: issue.state,
+        author: issue.user?.login || null,
+        labels: (issue.labels || []).map(l => (typeof l === 'string' ? l : l.name)),
+        comments: issue.comments,
+        createdAt: issue.created_at,
+        closedAt: issue.closed_at,
+        isPullRequest: !!issue.pull_request,
+        merged: issue.pull_request ? !!issue.pull_request.merged_at : null,
+        body: truncate(issue.body, BODY_LIMIT),
+        url: issue.html_url
+      };
+    }
+  } else if (info.kind === 'release') {
+    const release = await githubRequest(`${base}/releases/tags/${encodeURIComponent(info.tag)}`, options);
+    if (release) {
+      result.release = {
+        tag: release.tag_name,
+        name: release.name || release.tag_name,
+        publishedAt: release.published_at,
+        prerelease: !!release.prerelease,
+        body: truncate(release.body, BODY_LIMIT),
+        url: release.html_url
+      };
+    }
+  }
+
+  return result;
+}
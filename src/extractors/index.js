@@ -0,0 +1,250 @@
+/**
+ * Link extractors - Typed content for links on specific sites
+ *
+ * An extractor declares which links it handles and how to read them:
+ *
+ *   {
+ *     name: 'wiki',                    // unique; also the default cache kind
+ *     type: 'wiki',                    // link type given to matching links
+ *     domains: ['wiki.corp.example'],  // hostname suffix match (see domains.js)
+ *     patterns: [/\/display\/\w+/],    // and/or URL regexes
+ *     match(url) { return true; },     // optional extra check on candidates
+ *     source: 'wiki',                  // content.source (default: name)
+ *     cacheKind: 'wiki',               // cache kind (default: name)
+ *     fallback: true,                  // fetch the page as an article if extract fails
+ *     async extract(url, { config, headers, cache, fetch, fetchLink }) { return { title, ... }; }
+ *   }
+ *
+ * A link is handled by the first extractor whose domains or patterns match
+ * (and whose match(), if any, agrees). extract() returns the link's content,
+ * null when there's nothing to report, or throws on failure. `headers` holds
+ * the domain rule's cookies and auth headers for the URL; `cache` (when set)
+ * is the link cache, for extractors that chain into other lookups, and
+ * fetchLink(url) reads another link the way a bookmarked one would be.
+ * `fetch` (when set) is the fetch to make requests with - during a fetch run
+ * it waits its host's turn (see scheduler.js) - so use `context.fetch ?? fetch`.
+ *
+ * Extractors registered later take precedence, and re-registering a name
+ * replaces it, so config modules can override the built-ins. Modules listed
+ * in config.extractors export one extractor (or an array) as default.
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { getHostname, matchesDomain } from '../domains.js';
+import { fetchArxivContent, parseArxivId } from './arxiv.js';
+import { fetchDiscussionContent, parseDiscussionUrl } from './discussions.js';
+import { fetchGitHubContent } from './github.js';
+import { fetchPackageContent, parsePackageUrl } from './packages.js';
+import { fetchPodcastContent } from './podcast.js';
+import { fetchVideoContent } from './video.js';
+
+const DESCRIPTION_LIMIT = 5000;
+
+function githubOptions({ config, fetch } = {}) {
+  return {
+    token: config?.github?.token,
+    maxWaitMs: (config?.github?.rateLimitWaitMinutes ?? 15) * 60 * 1000,
+    fetch
+  };
+}
+
+/**
+ * Package details plus, when it names a GitHub repo, that repo's stars and
+ * maintenance signals (cached like any other GitHub link)
+ */
+async function extractPackage(url, context = {}) {
+  const { cache } = context;
+  const pkg = await fetchPackageContent(url, undefined, { fetch: context.fetch });
+  if (!pkg.repository?.startsWith('https://github.com/')) {
+    return { ...pkg, github: null };
+  }
+
+  let repo = null;
+  try {
+    const lookup = () => fetchGitHubContent(pkg.repository, githubOptions(context));
+    repo = cache ? await cache.remember('github', pkg.repository, lookup) : await lookup();
+  } catch (error) {
+    console.log(`  GitHub lookup failed for ${pkg.repository}: ${error.message}`);
+  }
+  if (!repo) return { ...pkg, github: null };
+
+  const { readme, kind, ...github } = repo;
+  return { ...pkg, readme: pkg.readme || readme || null, github };
+}
+
+function packageExtractor(name, domains) {
+  return {
+    name,
+    type: 'package',
+    domains,
+    match: url => parsePackageUrl(url)?.registry === name,
+    source: 'package',
+    cacheKind: 'package',
+    extract: extractPackage
+  };
+}
+
+/**
+ * A discussion thread plus the page it links to (unless that's another
+ * thread, or config.discussions.fetchLinked is off)
+ */
+async function extractDiscussion(url, { config, fetch, fetchLink } = {}) {
+  const settings = config?.discussions || {};
+  const thread = await fetchDiscussionContent(url, { comments: settings.comments, fetch });
+
+  let linked = null;
+  const target = thread.targetUrl;
+  if (target && fetchLink && settings.fetchLinked !== false && !parseDiscussionUrl(target)) {
+    try {
+      linked = await fetchLink(target);
+    } catch (error) {
+      console.log(`  Could not fetch ${target} from discussion: ${error.message}`);
+    }
+  }
+  return { ...thread, linked };
+}
+
+function discussionExtractor(name, domains) {
+  return {
+    name,
+    type: 'discussion',
+    domains,
+    match: url => parseDiscussionUrl(url)?.site === name,
+    source: 'discussion',
+    cacheKind: 'discussion',
+    extract: extractDiscussion
+  };
+}
+
+const BUILTIN_EXTRACTORS = [
+  {
+    name: 'github',
+    type: 'github',
+    domains: ['github.com', 'raw.githubusercontent.com'],
+    source: 'github-api',
+    extract: (url, context = {}) => fetchGitHubContent(url, githubOptions(context))
+  },
+  packageExtractor('npm', ['npmjs.com']),
+  packageExtractor('pypi', ['pypi.org']),
+  packageExtractor('crates', ['crates.io']),
+  packageExtractor('huggingface', ['huggingface.co']),
+  discussionExtractor('hackernews', ['news.ycombinator.com']),
+  discussionExtractor('reddit', ['reddit.com', 'redd.it']),
+  discussionExtractor('lobsters', ['lobste.rs']),
+  {
+    name: 'arxiv',
+    type: 'paper',
+    domains: ['arxiv.org'],
+    match: url => !!parseArxivId(url),
+    cacheKind: 'paper',
+    extract: (url, context = {}) => fetchArxivContent(url, undefined, { fetch: context.fetch })
+  },
+  {
+    name: 'video',
+    type: 'video',
+    domains: ['youtube.com', 'youtu.be', 'vimeo.com', 'loom.com'],
+    fallback: false,
+    extract: async (url, context = {}) => {
+      const video = await fetchVideoContent(url, undefined, { fetch: context.fetch });
+      return { ...video, description: video.description?.slice(0, DESCRIPTION_LIMIT) ?? null };
+    }
+  },
+  {
+    name: 'podcast',
+    type: 'podcast',
+    // Podcast apps whose links are single episodes (Spotify only under /episode/)
+    domains: ['podcasts.apple.com', 'overcast.fm', 'pca.st', 'pocketcasts.com', 'castro.fm', 'castbox.fm'],
+    patterns: [/^https?:\/\/open\.spotify\.com\/episode\//],
+    fallback: false,
+    extract: async (url, context = {}) => {
+      const episode = await fetchPodcastContent(url, undefined, { fetch: context.fetch });
+      return { ...episode, description: episode.description?.slice(0, DESCRIPTION_LIMIT) ?? null };
+    }
+  }
+];
+
+// Most recently registered first
+let extractors = [...BUILTIN_EXTRACTORS].reverse();
+const loadedModules = new Set();
+
+/**
+ * Add an extractor, replacing any existing one with the same name
+ */
+export function registerExtractor(extractor) {
+  if (!extractor?.name || typeof extractor.extract !== 'function') {
+    throw new Error('Extractor needs a name and an extract(url, context) function');
+  }
+  if (!extractor.domains?.length && !extractor.patterns?.length && typeof extractor.match !== 'function') {
+    throw new Error(`Extractor ${extractor.name} must declare domains, patterns or match(url)`);
+  }
+  extractors = [extractor, ...extractors.filter(e => e.name !== extractor.name)];
+}
+
+/**
+ * Registered extractors, in the order they're tried
+ */
+export function listExtractors() {
+  return [...extractors];
+}
+
+/**
+ * Restore the built-in extractors only (for tests)
+ */
+export function resetExtractors() {
+  extractors = [...BUILTIN_EXTRACTORS].reverse();
+  loadedModules.clear();
+}
+
+function handles(extractor, url, hostname) {
+  const declared = extractor.domains?.length || extractor.patterns?.length;
+  const candidate = !declared ||
+    (extractor.domains || []).some(domain => matchesDomain(hostname, domain)) ||
+    (extractor.patterns || []).some(pattern => pattern.test(url));
+  if (!candidate) return false;
+  return typeof extractor.match === 'function' ? !!extractor.match(url) : true;
+}
+
+/**
+ * The extractor for a URL, or null (no network access)
+ */
+export function findExtractor(url) {
+  const hostname = getHostname(url);
+  if (!hostname) return null;
+  return extractors.find(extractor => handles(extractor, url, hostname)) || null;
+}
+
+/**
+ * Import the extractor modules listed in config.extractors (paths are
+ * relative to the working directory). Each module is loaded once.
+ */
+export async function loadExtractorModules(config) {
+  for (const modulePath of config.extractors || []) {
+    const resolved = path.resolve(modulePath);
+    if (loadedModules.has(resolved)) continue;
+
+    let mod;
+    try {
+      mod = await import(pathToFileURL(resolved).href);
+    } catch (error) {
+      throw new Error(`Could not load extractor module ${modulePath}: ${error.message}`);
+    }
+    const exported = mod.default ?? mod.extractor ?? mod.extractors;
+    for (const extractor of [].concat(exported || [])) {
+      registerExtractor(extractor);
+    }
+    loadedModules.add(resolved);
+  }
+}
+
+/**
+ * Run an extractor for a URL. Returns its content with `source` set, or
+ * null when it found nothing; throws if it failed.
+ */
+export async function runExtractor(extractor, url, context = {}, cache = null) {
+  const extract = () => extractor.extract(url, context);
+  const content = cache
+    ? await cache.remember(extractor.cacheKind || extractor.name, url, extract, result => !!result)
+    : await extract();
+  return content ? { ...content, source: extractor.source || extractor.name } : null;
+}
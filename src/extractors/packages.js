@@ -0,0 +1,299 @@
+/**
+ * Package registries - npm, PyPI, crates.io and Hugging Face
+ *
+ * Registry pages are mostly script and navigation, so we read each registry's
+ * JSON API instead:
+ *
+ *   npmjs.com/package/name[/v/1.2.3]       registry.npmjs.org + api.npmjs.org downloads
+ *   pypi.org/project/name[/1.2.3]          pypi.org/pypi/name/json + pypistats.org downloads
+ *   crates.io/crates/name[/1.2.3]          crates.io/api/v1
+ *   huggingface.co/owner/model             huggingface.co/api/models (also datasets/, spaces/)
+ *
+ * Every result has the same core fields (registry, name, version, description,
+ * license, weeklyDownloads, repository), so tool notes can treat them alike.
+ * When the package links a GitHub repo, the caller chains into the GitHub
+ * extractor for stars and maintenance signals.
+ */
+
+import { getHostname, matchesDomain } from '../domains.js';
+import { parseGitHubUrl } from './github.js';
+
+const USER_AGENT = 'smaug';
+
+const README_LIMIT = 5000;
+
+// Top-level huggingface.co paths that aren't model owners
+const HF_RESERVED_PATHS = new Set([
+  'api', 'blog', 'chat', 'collections', 'docs', 'join', 'learn', 'login', 'models',
+  'new', 'organizations', 'papers', 'posts', 'pricing', 'settings', 'tasks'
+]);
+
+/**
+ * Work out which package a registry URL points at
+ *
+ * Returns { registry, name, version?, repoType? } where registry is 'npm',
+ * 'pypi', 'crates' or 'huggingface' (repoType 'model', 'dataset' or 'space'),
+ * or null for anything else (search pages, docs, user profiles).
+ */
+export function parsePackageUrl(url) {
+  let segments;
+  try {
+    segments = new URL(url).pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    // Not a URL, or malformed percent-encoding (decodeURIComponent throws)
+    return null;
+  }
+  const hostname = getHostname(url);
+
+  if (matchesDomain(hostname, 'npmjs.com') && segments[0] === 'package' && segments[1]) {
+    const scoped = segments[1].startsWith('@');
+    const name = scoped ? segments.slice(1, 3).join('/') : segments[1];
+    const rest = segments.slice(scoped ? 3 : 2);
+    if (scoped && !segments[2]) return null;
+    return { registry: 'npm', name, version: rest[0] === 'v' ? rest[1] || null : null };
+  }
+
+  if (matchesDomain(hostname, 'pypi.org') && segments[0] === 'project' && segments[1]) {
+    return { registry: 'pypi', name: segments[1], version: segments[2] || null };
+  }
+
+  if (hostname === 'crates.io' && segments[0] === 'crates' && segments[1]) {
+    return { registry: 'crates', name: segments[1], version: segments[2] || null };
+  }
+
+  if (hostname === 'huggingface.co') {
+    const repoType = segments[0] === 'datasets' ? 'dataset' : segments[0] === 'spaces' ? 'space' : 'model';
+    const [owner, repo] = repoType === 'model' ? segments : segments.slice(1);
+    if (!owner || !repo || (repoType === 'model' && HF_RESERVED_PATHS.has(owner))) return null;
+    return { registry: 'huggingface', name: `${owner}/${repo}`, version: null, repoType };
+  }
+
+  return null;
+}
+
+/**
+ * The https://github.com/owner/repo URL inside a repository field, or null
+ * (handles git+https://, git://, git@github.com: and github:owner/repo forms)
+ */
+export function findGitHubRepo(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  const shorthand = text.match(/^github:([\w.-]+)\/([\w.-]+?)(?:\.git)?$/);
+  const match = shorthand || text.match(/github\.com[/:]([\w.-]+)\/([\w.-]+?)(?:\.git)?(?:[/#?]|$)/);
+  if (!match) return null;
+  const repoUrl = `https://github.com/${match[1]}/${match[2]}`;
+  return parseGitHubUrl(repoUrl)?.kind === 'repo' ? repoUrl : null;
+}
+
+async function fetchJson(url, timeout, fetchFn, { optional = false } = {}) {
+  const response = await fetchFn(url, {
+    headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' },
+    signal: AbortSignal.timeout(timeout)
+  });
+  if (response.status === 404 && optional) return null;
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from ${url}`);
+  }
+  return response.json();
+}
+
+async function fetchText(url, timeout, fetchFn) {
+  const response = await fetchFn(url, {
+    headers: { 'User-Agent': USER_AGENT },
+    signal: AbortSignal.timeout(timeout)
+  });
+  return response.ok ? response.text() : null;
+}
+
+/**
+ * For extras (download counts, model cards) whose failure shouldn't lose the package
+ */
+async function optional(promise) {
+  try {
+    return await promise;
+  } catch {
+    return null;
+  }
+}
+
+function truncate(text, limit) {
+  if (!text) return null;
+  return text.length > limit ? text.slice(0, limit) + '\n...[truncated]' : text;
+}
+
+// ============================================================================
+// Registries
+// ============================================================================
+
+async function fetchNpm(info, timeout, fetchFn) {
+  const encoded = info.name.replace('/', '%2F');
+  const manifest = await fetchJson(`https://registry.npmjs.org/${encoded}/${info.version || 'latest'}`, timeout, fetchFn, { optional: true });
+  if (!manifest) {
+    throw new Error(`npm package not found: ${info.name}${info.version ? `@${info.version}` : ''}`);
+  }
+  const downloads = await optional(fetchJson(`https://api.npmjs.org/downloads/point/last-week/${info.name}`, timeout, fetchFn));
+  const repository = typeof manifest.repository === 'string' ? manifest.repository : manifest.repository?.url;
+
+  return {
+    name: manifest.name,
+    version: manifest.version,
+    description: manifest.description || null,
+    license: typeof manifest.license === 'string' ? manifest.license : manifest.license?.type || null,
+    weeklyDownloads: downloads?.downloads ?? null,
+    homepage: manifest.homepage || null,
+    repository: findGitHubRepo(repository) || repository?.replace(/^git\+/, '') || null,
+    keywords: manifest.keywords || [],
+    readme: null,
+    url: `https://www.npmjs.com/package/${manifest.name}`
+  };
+}
+
+// Keys of PyPI project_urls that point at the source
+const PYPI_SOURCE_KEYS = /^(source|source code|code|repository|github|git)$/i;
+
+function pypiLicense(info) {
+  if (info.license_expression) return info.license_expression;
+  // Some projects paste the whole license text here; the classifier is tidier
+  if (info.license && info.license.length <= 60) return info.license;
+  const classifier = (info.classifiers || []).find(c => c.startsWith('License ::'));
+  return classifier ? classifier.split(' :: ').pop() : null;
+}
+
+async function fetchPypi(info, timeout, fetchFn) {
+  const path = info.version ? `${info.name}/${info.version}` : info.name;
+  const json = await fetchJson(`https://pypi.org/pypi/${path}/json`, timeout, fetchFn, { optional: true });
+  if (!json) {
+    throw new Error(`PyPI project not found: ${info.name}${info.version ? ` ${info.version}` : ''}`);
+  }
+  const project = json.info;
+  const stats = await optional(fetchJson(`https://pypistats.org/api/packages/${project.name.toLowerCase()}/recent`, timeout, fetchFn));
+
+  const projectUrls = Object.entries(project.project_urls || {});
+  const sourceUrl = projectUrls.find(([key]) => PYPI_SOURCE_KEYS.test(key.trim()))?.[1];
+  const githubUrl = [sourceUrl, project.home_page, ...projectUrls.map(([, value]) => value)]
+    .map(findGitHubRepo)
+    .find(Boolean);
+  const homepage = projectUrls.find(([key]) => /^home ?page$/i.test(key.trim()))?.[1] || project.home_page || null;
+
+  return {
+    name: project.name,
+    version: project.version,
+    description: project.summary || null,
+    license: pypiLicense(project),
+    weeklyDownloads: stats?.data?.last_week ?? null,
+    homepage,
+    repository: githubUrl || sourceUrl || null,
+    keywords: (project.keywords || '').split(/[,\s]+/).filter(Boolean),
+    readme: truncate(project.description, README_LIMIT),
+    url: `https://pypi.org/project/${project.name}/`
+  };
+}
+
+/**
+ * Sum the last seven days of crates.io's daily download series
+ */
+function lastWeekDownloads(json) {
+  const days = [...(json?.version_downloads || []), ...(json?.meta?.extra_downloads || [])];
+  if (days.length === 0) return null;
+  const latest = days.map(d => d.date).sort().pop();
+  const cutoff = new Date(Date.parse(latest) - 6 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return days.filter(d => d.date >= cutoff).reduce((total, d) => total + d.downloads, 0);
+}
+
+async function fetchCrate(info, timeout, fetchFn) {
+  const base = `https://crates.io/api/v1/crates/${encodeURIComponent(info.name)}`;
+  const json = await fetchJson(base, timeout, fetchFn, { optional: true });
+  if (!json?.crate) {
+    throw new Error(`Crate not found: ${info.name}`);
+  }
+  const crate = json.crate;
+  const downloads = await optional(fetchJson(`${base}/downloads`, timeout, fetchFn));
+  const version = info.version || crate.max_stable_version || crate.newest_version;
+  const release = (json.versions || []).find(v => v.num === version);
+
+  return {
+    name: crate.name,
+    version,
+    description: crate.description?.trim() || null,
+    license: release?.license || null,
+    weeklyDownloads: lastWeekDownloads(downloads),
+    homepage: crate.homepage || crate.documentation || null,
+    repository: findGitHubRepo(crate.repository) || crate.repository || null,
+    keywords: crate.keywords || [],
+    readme: null,
+    url: `https://crates.io/crates/${crate.name}`
+  };
+}
+
+/**
+ * First prose paragraph of a model card (skipping its YAML header, headings,
+ * badges, images and HTML)
+ */
+export function summarizeModelCard(markdown) {
+  if (!markdown) return null;
+  const body = markdown.replace(/^---\n[\s\S]*?\n---\n/, '');
+  for (const block of body.split(/\n\s*\n/)) {
+    const text = block.trim();
+    if (!text || /^(#|!\[|\[!\[|<|\||```|>)/.test(text)) continue;
+    return text.replace(/\s+/g, ' ');
+  }
+  return null;
+}
+
+async function fetchHuggingFace(info, timeout, fetchFn) {
+  const plural = `${info.repoType}s`;
+  const json = await fetchJson(`https://huggingface.co/api/${plural}/${info.name}`, timeout, fetchFn, { optional: true });
+  if (!json) {
+    throw new Error(`Hugging Face ${info.repoType} not found: ${info.name}`);
+  }
+  const pagePath = info.repoType === 'model' ? info.name : `${plural}/${info.name}`;
+  const card = await optional(fetchText(`https://huggingface.co/${pagePath}/raw/main/README.md`, timeout, fetchFn));
+  const tags = json.tags || [];
+  const license = json.cardData?.license || tags.find(t => t.startsWith('license:'))?.slice('license:'.length) || null;
+
+  return {
+    name: json.id || info.name,
+    version: null,
+    description: json.cardData?.short_description || json.description || summarizeModelCard(card),
+    license: Array.isArray(license) ? license.join(', ') : license,
+    weeklyDownloads: null,
+    // Hugging Face only reports the last 30 days
+    monthlyDownloads: json.downloads ?? null,
+    likes: json.likes ?? null,
+    repoType: info.repoType,
+    pipelineTag: json.pipeline_tag || null,
+    library: json.library_name || null,
+    homepage: null,
+    repository: findGitHubRepo(json.cardData?.repository) || null,
+    keywords: tags.filter(t => !t.includes(':')),
+    lastModified: json.lastModified || null,
+    readme: truncate(card?.replace(/^---\n[\s\S]*?\n---\n/, '').trim(), README_LIMIT),
+    url: `https://huggingface.co/${pagePath}`
+  };
+}
+
+const REGISTRIES = {
+  npm: fetchNpm,
+  pypi: fetchPypi,
+  crates: fetchCrate,
+  huggingface: fetchHuggingFace
+};
+
+/**
+ * Fetch details for a package link. Throws if the package can't be found.
+ *
+ * Returns { kind: 'package', registry, name, version, description, license,
+ * weeklyDownloads, homepage, repository, keywords, readme, url } (Hugging
+ * Face adds repoType, monthlyDownloads, likes, pipelineTag, library,
+ * lastModified). `repository` is a github.com/owner/repo URL when the
+ * package names one. options.fetch replaces the global fetch.
+ */
+export async function fetchPackageContent(url, timeout = 15000, options = {}) {
+  const fetchFn = options.fetch ?? fetch;
+  const info = parsePackageUrl(url);
+  if (!info) {
+    throw new Error('Could not parse package URL');
+  }
+  const details = await REGISTRIES[info.registry](info, timeout, fetchFn);
+  return { kind: 'package', registry: info.registry, ...details };
+}
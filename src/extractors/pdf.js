@@ -0,0 +1,523 @@
+/**
+ * PDF text extraction - Pulls readable text out of a PDF without dependencies
+ *
+ * Handles what research papers and reports actually use: Flate-compressed
+ * content streams, object streams (PDF 1.5+), the page tree for ordering,
+ * ToUnicode CMaps for embedded/CID fonts, and the document info dictionary.
+ * Scanned PDFs (images only) come back with empty text - no OCR here.
+ *
+ * Streams are only inflated when text extraction needs them (page content,
+ * object streams, ToUnicode maps), never images, and each document has a
+ * budget for inflated bytes: once it's spent, parsing stops with the text
+ * found so far.
+ */
+
+import zlib from 'zlib';
+
+/**
+ * True if the buffer starts like a PDF file
+ */
+export function isPdf(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.subarray(0, 1024).toString('latin1').includes('%PDF-');
+}
+
+// ============================================================================
+// Object parsing
+// ============================================================================
+
+// Largest a single decompressed stream may get; anything bigger (e.g. a
+// compression bomb) is skipped rather than inflated
+const MAX_STREAM_BYTES = 16 * 1024 * 1024;
+
+// Most all inflated streams of one document may add up to
+const MAX_DOCUMENT_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Inflate a Flate stream to at most limit bytes. Returns null for data that
+ * won't inflate; throws ERR_BUFFER_TOO_LARGE past the limit.
+ */
+function inflate(data, limit) {
+  try {
+    return zlib.inflateSync(data, { maxOutputLength: limit });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw error;
+    try {
+      // Truncated or slightly corrupt streams still hold usable text
+      return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: limit });
+    } catch (retryError) {
+      if (retryError.code === 'ERR_BUFFER_TOO_LARGE') throw retryError;
+      return null;
+    }
+  }
+}
+
+function decodeStream(dict, data, budget) {
+  // Images never carry text, whatever they're compressed with
+  if (/\/Subtype\s*\/Image\b/.test(dict)) return null;
+  const filter = dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || '';
+  if (!filter) return data;
+  const filters = filter.match(/\/\w+/g) || [];
+  let out = data;
+  for (const f of filters) {
+    if (f === '/FlateDecode' || f === '/Fl') {
+      if (budget.remaining <= 0) return null;
+      const limit = Math.min(MAX_STREAM_BYTES, budget.remaining);
+      try {
+        out = inflate(out, limit);
+      } catch {
+        // Past the per-stream limit only this stream is skipped; past what's
+        // left of the document budget, nothing more gets inflated
+        if (limit === budget.remaining) budget.remaining = 0;
+        return null;
+      }
+      if (!out) return null;
+      budget.remaining -= out.length;
+    } else {
+      // Other encodings (DCT, JBIG2, ...) are images, which never carry text
+      return null;
+    }
+  }
+  return out;
+}
+
+/**
+ * Decoded stream of an object, inflated on first use and kept for later ones
+ */
+function streamOf(obj, budget) {
+  if (!obj?.data) return null;
+  if (obj.stream === undefined) obj.stream = decodeStream(obj.dict, obj.data, budget);
+  return obj.stream;
+}
+
+/**
+ * Index every object: num -> { dict, data }, where data is the raw stream
+ * (see streamOf)
+ */
+function readObjects(buffer, budget) {
+  const source = buffer.toString('latin1');
+  const objects = new Map();
+  const pattern = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+
+  while ((match = pattern.exec(source))) {
+    const num = Number(match[1]);
+    const start = pattern.lastIndex;
+    const end = source.indexOf('endobj', start);
+    if (end === -1) break;
+
+    let body = source.slice(start, end);
+    let data = null;
+    const streamAt = body.search(/\bstream\r?\n/);
+    if (streamAt !== -1) {
+      const dataStart = start + streamAt + body.slice(streamAt).match(/^stream\r?\n/)[0].length;
+      const dataEnd = source.lastIndexOf('endstream', end);
+      body = body.slice(0, streamAt);
+      data = trimStreamEol(buffer.subarray(dataStart, dataEnd));
+    }
+    objects.set(num, { dict: body.trim(), data });
+    pattern.lastIndex = end + 6;
+  }
+
+  // Objects packed inside object streams
+  for (const obj of [...objects.values()]) {
+    if (!obj.data || !/\/Type\s*\/ObjStm/.test(obj.dict)) continue;
+    const stream = streamOf(obj, budget);
+    if (!stream) continue;
+    const { dict } = obj;
+    const n = Number(dict.match(/\/N\s+(\d+)/)?.[1] || 0);
+    const first = Number(dict.match(/\/First\s+(\d+)/)?.[1] || 0);
+    const text = stream.toString('latin1');
+    const header = text.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < n; i++) {
+      const num = header[i * 2];
+      const offset = first + header[i * 2 + 1];
+      const next = i + 1 < n ? first + header[(i + 1) * 2 + 1] : text.length;
+      if (!objects.has(num)) {
+        objects.set(num, { dict: text.slice(offset, next).trim(), data: null });
+      }
+    }
+  }
+
+  return { objects, source };
+}
+
+function trimStreamEol(data) {
+  let end = data.length;
+  if (data[end - 1] === 0x0a) end--;
+  if (data[end - 1] === 0x0d) end--;
+  return data.subarray(0, end);
+}
+
+function refNumber(value) {
+  const m = value?.match(/^\s*(\d+)\s+\d+\s+R/);
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * Value of /Key in a dictionary string: a ref, name, number, array or nested dict
+ */
+function dictValue(dict, key) {
+  const at = dict.search(new RegExp(`/${key}(?=[\\s/<\\[(])`));
+  if (at === -1) return null;
+  const rest = dict.slice(at + key.length + 1).trimStart();
+  if (rest.startsWith('<<')) return balanced(rest, '<<', '>>');
+  if (rest.startsWith('[')) return balanced(rest, '[', ']');
+  if (rest.startsWith('(')) return balanced(rest, '(', ')');
+  const ref = rest.match(/^\d+\s+\d+\s+R/);
+  if (ref) return ref[0];
+  return rest.match(/^[^\s/<>\[\]()]+|^\/[^\s/<>\[\]()]+|^<[0-9a-fA-F\s]*>/)?.[0] || null;
+}
+
+function balanced(text, open, close) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (open === '(' && text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (text.startsWith(open, i)) {
+      depth++;
+      i += open.length - 1;
+    } else if (text.startsWith(close, i)) {
+      depth--;
+      if (depth === 0) return text.slice(0, i + close.length);
+      i += close.length - 1;
+    }
+  }
+  return text;
+}
+
+function resolve(objects, value) {
+  const num = refNumber(value);
+  return num !== null ? objects.get(num)?.dict ?? null : value;
+}
+
+// ============================================================================
+// Strings and fonts
+// ============================================================================
+
+function literalBytes(literal) {
+  const bytes = [];
+  const s = literal.slice(1, -1);
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (c !== '\\') {
+      bytes.push(s.charCodeAt(i) & 0xff);
+      continue;
+    }
+    const next = s[++i];
+    const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12, '(': 40, ')': 41, '\\': 92 };
+    if (next in escapes) {
+      bytes.push(escapes[next]);
+    } else if (/[0-7]/.test(next)) {
+      let octal = next;
+      while (octal.length < 3 && /[0-7]/.test(s[i + 1])) octal += s[++i];
+      bytes.push(parseInt(octal, 8) & 0xff);
+    } else if (next === '\r') {
+      if (s[i + 1] === '\n') i++;
+    }
+    // A backslash before a newline is a line continuation
+  }
+  return bytes;
+}
+
+function hexBytes(hex) {
+  const digits = hex.replace(/[<>\s]/g, '');
+  const padded = digits.length % 2 ? digits + '0' : digits;
+  const bytes = [];
+  for (let i = 0; i < padded.length; i += 2) bytes.push(parseInt(padded.slice(i, i + 2), 16));
+  return bytes;
+}
+
+function utf16be(bytes) {
+  let out = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) out += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+  return out;
+}
+
+/**
+ * Decode a PDF text string (info dictionary values): UTF-16BE with BOM or PDFDocEncoding
+ */
+function textString(value) {
+  if (!value) return null;
+  const bytes = value.startsWith('(') ? literalBytes(value) : value.startsWith('<') ? hexBytes(value) : null;
+  if (!bytes) return null;
+  const text = bytes[0] === 0xfe && bytes[1] === 0xff
+    ? utf16be(bytes.slice(2))
+    : String.fromCharCode(...bytes);
+  return text.replace(/\0/g, '').trim() || null;
+}
+
+/**
+ * Parse a ToUnicode CMap into { codeLength, map: Map<code, string> }
+ */
+export function parseCMap(text) {
+  const map = new Map();
+  let codeLength = 1;
+
+  const space = text.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  if (space) codeLength = Math.max(1, space[1].length / 2);
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, src, dst] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(src, 16), utf16be(hexBytes(dst)));
+    }
+  }
+
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const rangePattern = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g;
+    for (const [, lo, hi, dst] of block[1].matchAll(rangePattern)) {
+      const start = parseInt(lo, 16);
+      const end = Math.min(parseInt(hi, 16), start + 0xffff);
+      if (dst.startsWith('[')) {
+        const targets = [...dst.matchAll(/<([0-9a-fA-F]*)>/g)].map(m => utf16be(hexBytes(m[1])));
+        targets.forEach((t, i) => map.set(start + i, t));
+      } else {
+        const base = hexBytes(dst);
+        for (let code = start; code <= end; code++) {
+          const bytes = [...base];
+          // Increment the last byte for each code in the range
+          bytes[bytes.length - 1] += code - start;
+          map.set(code, utf16be(bytes));
+        }
+      }
+    }
+  }
+
+  return { codeLength, map };
+}
+
+function decodeWithFont(bytes, font) {
+  if (!font?.cmap) return String.fromCharCode(...bytes);
+  const { codeLength, map } = font.cmap;
+  let out = '';
+  for (let i = 0; i + codeLength <= bytes.length; i += codeLength) {
+    let code = 0;
+    for (let j = 0; j < codeLength; j++) code = (code << 8) | bytes[i + j];
+    out += map.get(code) ?? (codeLength === 1 ? String.fromCharCode(code) : '');
+  }
+  return out;
+}
+
+function loadFonts(objects, resourcesValue, cmapCache, budget) {
+  const fonts = {};
+  const resources = resolve(objects, resourcesValue);
+  if (!resources) return fonts;
+  const fontDict = resolve(objects, dictValue(resources, 'Font'));
+  if (!fontDict) return fonts;
+
+  for (const [, name, ref] of fontDict.matchAll(/\/([^\s/<>\[\]()]+)\s+(\d+\s+\d+\s+R)/g)) {
+    const num = refNumber(ref);
+    if (!cmapCache.has(num)) {
+      const font = objects.get(num)?.dict || '';
+      const toUnicode = refNumber(dictValue(font, 'ToUnicode'));
+      const stream = toUnicode !== null ? streamOf(objects.get(toUnicode), budget) : null;
+      cmapCache.set(num, stream ? { cmap: parseCMap(stream.toString('latin1')) } : null);
+    }
+    fonts[name] = cmapCache.get(num);
+  }
+  return fonts;
+}
+
+// ============================================================================
+// Content streams
+// ============================================================================
+
+function* tokenize(content) {
+  const s = content;
+  let i = 0;
+  while (i < s.length) {
+    const c = s[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === '%') {
+      while (i < s.length && s[i] !== '\n' && s[i] !== '\r') i++;
+    } else if (c === '(') {
+      const literal = balanced(s.slice(i), '(', ')');
+      yield { type: 'string', bytes: literalBytes(literal) };
+      i += literal.length;
+    } else if (c === '<' && s[i + 1] === '<') {
+      yield { type: 'op', value: '<<' };
+      i += 2;
+    } else if (c === '>' && s[i + 1] === '>') {
+      yield { type: 'op', value: '>>' };
+      i += 2;
+    } else if (c === '<') {
+      const end = s.indexOf('>', i);
+      yield { type: 'string', bytes: hexBytes(s.slice(i, end + 1)) };
+      i = end === -1 ? s.length : end + 1;
+    } else if (c === '[' || c === ']') {
+      yield { type: c };
+      i++;
+    } else if (c === '/') {
+      const m = s.slice(i + 1).match(/^[^\s/<>\[\]()%{}]*/)[0];
+      yield { type: 'name', value: m };
+      i += 1 + m.length;
+    } else {
+      const m = s.slice(i).match(/^[^\s/<>\[\]()%{}]+/);
+      if (!m) {
+        i++;
+        continue;
+      }
+      const word = m[0];
+      yield /^[+-]?(\d+\.?\d*|\.\d+)$/.test(word) ? { type: 'number', value: Number(word) } : { type: 'op', value: word };
+      i += word.length;
+    }
+  }
+}
+
+/**
+ * Extract text from one page's content stream
+ */
+function pageText(content, fonts) {
+  let out = '';
+  let font = null;
+  let operands = [];
+  let array = null;
+  let lastY = null;
+
+  const newline = () => {
+    if (out && !out.endsWith('\n')) out += '\n';
+  };
+
+  for (const token of tokenize(content)) {
+    if (token.type === '[') {
+      array = [];
+      continue;
+    }
+    if (token.type === ']') {
+      operands.push({ type: 'array', items: array || [] });
+      array = null;
+      continue;
+    }
+    if (array) {
+      array.push(token);
+      continue;
+    }
+    if (token.type !== 'op') {
+      operands.push(token);
+      continue;
+    }
+
+    switch (token.value) {
+      case 'Tf':
+        font = fonts[operands[0]?.value] || null;
+        break;
+      case 'Td':
+      case 'TD': {
+        const ty = operands[1]?.value ?? 0;
+        if (ty !== 0) newline();
+        else if (!out.endsWith(' ') && !out.endsWith('\n')) out += ' ';
+        break;
+      }
+      case 'Tm': {
+        const y = operands[5]?.value ?? null;
+        if (lastY !== null && y !== lastY) newline();
+        lastY = y;
+        break;
+      }
+      case 'T*':
+        newline();
+        break;
+      case 'Tj':
+        out += decodeWithFont(operands[0]?.bytes || [], font);
+        break;
+      case "'":
+      case '"':
+        newline();
+        out += decodeWithFont(operands[operands.length - 1]?.bytes || [], font);
+        break;
+      case 'TJ':
+        for (const item of operands[0]?.items || []) {
+          if (item.type === 'string') out += decodeWithFont(item.bytes, font);
+          // Large negative kerning is how many PDFs encode a word space
+          else if (item.type === 'number' && item.value < -200 && !out.endsWith(' ')) out += ' ';
+        }
+        break;
+      case 'ET':
+        if (!out.endsWith('\n') && !out.endsWith(' ')) out += ' ';
+        break;
+    }
+    operands = [];
+  }
+
+  return out;
+}
+
+function collectPages(objects, pagesValue, seen = new Set()) {
+  const num = refNumber(pagesValue);
+  if (num === null || seen.has(num)) return [];
+  seen.add(num);
+  const dict = objects.get(num)?.dict;
+  if (!dict) return [];
+  if (/\/Type\s*\/Page\b/.test(dict)) return [num];
+  const kids = dictValue(dict, 'Kids') || '';
+  return [...kids.matchAll(/\d+\s+\d+\s+R/g)].flatMap(m => collectPages(objects, m[0], seen));
+}
+
+function tidy(text) {
+  return text
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    // Re-join words hyphenated across line breaks
+    .replace(/(\p{Ll})-\n(\p{Ll})/gu, '$1$2')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract text and document info from a PDF buffer.
+ *
+ * Returns { text, pageCount, title, author, wordCount }.
+ * Pages are separated by blank lines.
+ */
+export function extractPdfText(buffer) {
+  const budget = { remaining: MAX_DOCUMENT_BYTES };
+  const { objects, source } = readObjects(buffer, budget);
+
+  // The catalog is named by the trailer (or an xref stream); fall back to a search
+  const rootRef = [...source.matchAll(/\/Root\s+(\d+\s+\d+\s+R)/g)].pop()?.[1];
+  let catalogNum = refNumber(rootRef);
+  if (catalogNum === null || !objects.has(catalogNum)) {
+    catalogNum = [...objects].find(([, o]) => /\/Type\s*\/Catalog/.test(o.dict))?.[0] ?? null;
+  }
+
+  let pageNums = catalogNum !== null
+    ? collectPages(objects, dictValue(objects.get(catalogNum).dict, 'Pages'))
+    : [];
+  if (pageNums.length === 0) {
+    pageNums = [...objects].filter(([, o]) => /\/Type\s*\/Page\b/.test(o.dict)).map(([num]) => num);
+  }
+
+  const cmapCache = new Map();
+  const pages = [];
+  for (const num of pageNums) {
+    if (budget.remaining <= 0) break;
+    const dict = objects.get(num).dict;
+    const contents = dictValue(dict, 'Contents') || '';
+    const streams = [...contents.matchAll(/(\d+)\s+\d+\s+R/g)]
+      .flatMap(m => {
+        const obj = objects.get(Number(m[1]));
+        // /Contents may point at an array object of further refs
+        if (obj && !obj.data && obj.dict.startsWith('[')) {
+          return [...obj.dict.matchAll(/(\d+)\s+\d+\s+R/g)].map(r => streamOf(objects.get(Number(r[1])), budget));
+        }
+        return [streamOf(obj, budget)];
+      })
+      .filter(Boolean);
+    const fonts = loadFonts(objects, dictValue(dict, 'Resources'), cmapCache, budget);
+    pages.push(tidy(pageText(streams.map(s => s.toString('latin1')).join('\n'), fonts)));
+  }
+
+  const infoRef = [...source.matchAll(/\/Info\s+(\d+\s+\d+\s+R)/g)].pop()?.[1];
+  const info = resolve(objects, infoRef) || '';
+  const text = pages.filter(Boolean).join('\n\n');
+
+  return {
+    text,
+    pageCount: pageNums.length,
+    title: textString(dictValue(info, 'Title')),
+    author: textString(dictValue(info, 'Author')),
+    wordCount: (text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length
+  };
+}
@@ -0,0 +1,270 @@
+/**
+ * Podcast episodes - Show, episode title, audio enclosure and duration
+ *
+ * Sources, in order:
+ *   Apple Podcasts - the iTunes lookup API (show, feed URL, episode audio)
+ *   Episode pages  - OpenGraph/JSON-LD metadata, <audio> sources, og:audio
+ *   RSS feed       - discovered from the page (or Apple's feedUrl); the
+ *                    matching <item> supplies the enclosure and duration
+ *
+ * Spotify hides audio behind its player, so Spotify episodes only get the
+ * page metadata (show, title, description).
+ */
+
+import { decodeEntities } from '../html.js';
+import { extractMetadata, parseDuration } from '../metadata.js';
+import { getHostname, matchesDomain } from '../domains.js';
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36';
+
+// ============================================================================
+// RSS
+// ============================================================================
+
+function unwrap(value) {
+  const cdata = value.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  return cdata ? cdata[1].trim() : decodeEntities(value).trim();
+}
+
+function tagText(xml, tag) {
+  const escaped = tag.replace(':', '\\:');
+  const match = xml.match(new RegExp(`<${escaped}(?:\\s[^>]*)?>([\\s\\S]*?)</${escaped}>`, 'i'));
+  return match ? unwrap(match[1]) || null : null;
+}
+
+function tagAttr(xml, tag, attr) {
+  const element = xml.match(new RegExp(`<${tag.replace(':', '\\:')}\\s[^>]*>`, 'i'))?.[0];
+  const value = element?.match(new RegExp(`\\s${attr}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  return value ? decodeEntities(value[1] ?? value[2]) : null;
+}
+
+/**
+ * Strip markup from show notes, keeping paragraph breaks
+ */
+function plainText(html) {
+  if (!html) return null;
+  const text = decodeEntities(html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(?:p|div|li|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n\s*/g, '\n\n')
+    .trim();
+  return text || null;
+}
+
+/**
+ * Parse a podcast RSS feed
+ *
+ * Returns { show, author, image, episodes: [{ title, guid, link, audioUrl,
+ * duration (seconds), published, description }] }.
+ */
+export function parsePodcastFeed(xml) {
+  const channel = xml.replace(/<item[\s>][\s\S]*$/i, '');
+  const items = xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || [];
+
+  return {
+    show: tagText(channel, 'title'),
+    author: tagText(channel, 'itunes:author'),
+    image: tagAttr(channel, 'itunes:image', 'href') || tagText(tagText(channel, 'image') || '', 'url'),
+    episodes: items.map(item => {
+      const published = tagText(item, 'pubDate');
+      return {
+        title: tagText(item, 'title'),
+        guid: tagText(item, 'guid'),
+        link: tagText(item, 'link'),
+        audioUrl: tagAttr(item, 'enclosure', 'url'),
+        duration: parseDuration(tagText(item, 'itunes:duration')),
+        published: published && !isNaN(Date.parse(published)) ? new Date(published).toISOString() : published,
+        description: plainText(tagText(item, 'content:encoded') || tagText(item, 'description') || tagText(item, 'itunes:summary'))
+      };
+    })
+  };
+}
+
+function normalizeTitle(title) {
+  return (title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function sameUrl(a, b) {
+  if (!a || !b) return false;
+  const strip = (u) => u.replace(/^https?:\/\/(?:www\.)?/, '').replace(/[#?].*$/, '').replace(/\/$/, '');
+  return strip(a) === strip(b);
+}
+
+/**
+ * Find the feed item for an episode by page URL, audio URL or title
+ */
+export function findEpisode(feed, { url, audioUrl, title }) {
+  const wanted = normalizeTitle(title);
+  return feed.episodes.find(e => sameUrl(e.link, url) || sameUrl(e.guid, url)) ||
+    feed.episodes.find(e => audioUrl && sameUrl(e.audioUrl, audioUrl)) ||
+    feed.episodes.find(e => wanted && normalizeTitle(e.title) === wanted) ||
+    feed.episodes.find(e => wanted && normalizeTitle(e.title).length > 8 && wanted.includes(normalizeTitle(e.title))) ||
+    null;
+}
+
+// ============================================================================
+// Episode pages
+// ============================================================================
+
+/**
+ * Read episode details from an episode page
+ *
+ * Returns { show, title, audioUrl, feedUrl, published, description, image }.
+ */
+export function parsePodcastPage(html, url = null) {
+  const metadata = extractMetadata(html, url);
+  const hostname = getHostname(url);
+
+  const audioTag = html.match(/<(?:audio|source)\s[^>]*src\s*=\s*"([^"]+\.(?:mp3|m4a|aac|ogg|opus)[^"]*)"/i)?.[1];
+  const ogAudio = html.match(/<meta\s[^>]*property="og:audio(?::url|:secure_url)?"\s[^>]*content="([^"]+)"/i)?.[1] ||
+    html.match(/<meta\s[^>]*content="([^"]+)"\s[^>]*property="og:audio(?::url|:secure_url)?"/i)?.[1];
+  const audioUrl = [ogAudio, audioTag].filter(Boolean).map(u => decodeEntities(u).replace(/#t=[\d.]+$/, ''))[0] || null;
+
+  const feedHref = html.match(/<link\s[^>]*type="application\/rss\+xml"[^>]*>/i)?.[0].match(/href="([^"]+)"/)?.[1];
+  let feedUrl = null;
+  if (feedHref) {
+    try {
+      feedUrl = new URL(decodeEntities(feedHref), url || undefined).href;
+    } catch {
+      feedUrl = null;
+    }
+  }
+
+  let show = null;
+  let title = metadata.title;
+  if (matchesDomain(hostname, 'spotify.com')) {
+    // "Listen to this episode from <show> on Spotify. ..."
+    show = metadata.description?.match(/^Listen to this episode from (.+?) on Spotify\./)?.[1] || null;
+  } else if (title && metadata.siteName && /overcast|pocket ?casts|castro/i.test(metadata.siteName)) {
+    // Aggregator titles read "Episode — Show"
+    const parts = title.split(/\s+[—–|]\s+/);
+    if (parts.length > 1) {
+      show = parts.pop();
+      title = parts.join(' — ');
+    }
+  }
+  if (!show && metadata.siteName && metadata.siteName !== hostname?.replace(/^www\./, '')) {
+    show = metadata.siteName;
+  }
+
+  return {
+    show,
+    title,
+    audioUrl,
+    feedUrl,
+    published: metadata.published,
+    description: metadata.description,
+    image: metadata.image
+  };
+}
+
+// ============================================================================
+// Fetching
+// ============================================================================
+
+async function fetchText(url, timeout, fetchFn) {
+  const response = await fetchFn(url, {
+    headers: { 'User-Agent': USER_AGENT },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(timeout)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from ${url}`);
+  }
+  return { text: await response.text(), url: response.url || url };
+}
+
+function fillGaps(episode, fallback) {
+  const merged = { ...episode };
+  for (const [key, value] of Object.entries(fallback)) {
+    if (!merged[key] && value) merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * Apple Podcasts episode via the iTunes lookup API (covers the show's
+ * most recent 200 episodes; older ones are matched through the feed)
+ */
+async function fetchApplePodcast(url, timeout, fetchFn) {
+  const showId = url.match(/\/id(\d+)/)?.[1];
+  if (!showId) return null;
+  const episodeId = new URL(url).searchParams.get('i');
+
+  const lookup = `https://itunes.apple.com/lookup?id=${showId}&entity=podcastEpisode&limit=200`;
+  const { text } = await fetchText(lookup, timeout, fetchFn);
+  const results = JSON.parse(text).results || [];
+  const podcast = results.find(r => r.kind === 'podcast') || {};
+  const episode = episodeId ? results.find(r => String(r.trackId) === episodeId && r.kind === 'podcast-episode') : null;
+
+  return {
+    show: podcast.collectionName || episode?.collectionName || null,
+    title: episode?.trackName || null,
+    audioUrl: episode?.episodeUrl || null,
+    feedUrl: podcast.feedUrl || null,
+    published: episode?.releaseDate || null,
+    description: episode?.description || null,
+    image: episode?.artworkUrl600 || podcast.artworkUrl600 || null,
+    duration: episode?.trackTimeMillis ? Math.round(episode.trackTimeMillis / 1000) : null
+  };
+}
+
+/**
+ * Fetch details for a podcast episode link. Throws if nothing identifies
+ * the episode. options.fetch replaces the global fetch.
+ *
+ * Returns { show, title, audioUrl, feedUrl, duration (seconds), published,
+ * description, image }.
+ */
+export async function fetchPodcastContent(url, timeout = 15000, options = {}) {
+  const fetchFn = options.fetch ?? fetch;
+  let episode = null;
+  if (matchesDomain(getHostname(url), 'podcasts.apple.com')) {
+    try {
+      episode = await fetchApplePodcast(url, timeout, fetchFn);
+    } catch (error) {
+      console.log(`  iTunes lookup failed for ${url}: ${error.message}`);
+    }
+  }
+
+  if (!episode?.title) {
+    const page = await fetchText(url, timeout, fetchFn);
+    episode = fillGaps(episode || {}, parsePodcastPage(page.text, page.url));
+  }
+
+  // The feed fills in whatever the page leaves out: enclosure, duration, show
+  if (episode.feedUrl && (!episode.audioUrl || !episode.duration || !episode.show)) {
+    try {
+      const feed = parsePodcastFeed((await fetchText(episode.feedUrl, timeout, fetchFn)).text);
+      const item = findEpisode(feed, { url, audioUrl: episode.audioUrl, title: episode.title });
+      episode = fillGaps(episode, {
+        show: feed.show,
+        title: item?.title,
+        audioUrl: item?.audioUrl,
+        duration: item?.duration,
+        published: item?.published,
+        description: item?.description,
+        image: feed.image
+      });
+    } catch (error) {
+      console.log(`  Podcast feed unavailable for ${url}: ${error.message}`);
+    }
+  }
+
+  if (!episode.title && !episode.show) {
+    throw new Error(`No episode details found for ${url}`);
+  }
+
+  return {
+    show: episode.show || null,
+    title: episode.title || null,
+    audioUrl: episode.audioUrl || null,
+    feedUrl: episode.feedUrl || null,
+    duration: episode.duration ?? null,
+    published: episode.published || null,
+    description: episode.description || null,
+    image: episode.image || null
+  };
+}
@@ -0,0 +1,269 @@
+/**
+ * Video links - Title, channel, duration, description and chapters
+ *
+ * YouTube watch pages embed the player data (ytInitialPlayerResponse) and the
+ * chapter markers (ytInitialData), which carry everything the oEmbed endpoint
+ * leaves out. When the page can't be read (consent walls, bot checks) we fall
+ * back to oEmbed, which still gives the title and channel.
+ *
+ * Vimeo and Loom publish duration and description through oEmbed directly.
+ * Chapters come from the player when it has them, otherwise from timestamp
+ * lines in the description ("0:00 Intro"), the way YouTube derives them.
+ */
+
+import { extractMetadata, mergeOembed, parseDuration } from '../metadata.js';
+import { getHostname, matchesDomain } from '../domains.js';
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36';
+
+const OEMBED_ENDPOINTS = {
+  'youtube.com': 'https://www.youtube.com/oembed',
+  'youtu.be': 'https://www.youtube.com/oembed',
+  'vimeo.com': 'https://vimeo.com/api/oembed.json',
+  'loom.com': 'https://www.loom.com/v1/oembed'
+};
+
+const YOUTUBE_ID = /^[\w-]{11}$/;
+
+/**
+ * Extract the 11-character video ID from a YouTube URL, or null
+ * (watch, youtu.be, shorts, live, embed)
+ */
+export function parseYouTubeId(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const hostname = getHostname(url);
+  if (matchesDomain(hostname, 'youtu.be')) {
+    const id = parsed.pathname.split('/')[1];
+    return YOUTUBE_ID.test(id) ? id : null;
+  }
+  if (!matchesDomain(hostname, 'youtube.com') && !matchesDomain(hostname, 'youtube-nocookie.com')) {
+    return null;
+  }
+  const v = parsed.searchParams.get('v');
+  if (v && YOUTUBE_ID.test(v)) return v;
+  const id = parsed.pathname.match(/^\/(?:shorts|live|embed|v)\/([\w-]{11})/)?.[1];
+  return id || null;
+}
+
+/**
+ * Read the JSON object assigned after a marker in a page's inline script
+ */
+function extractJsonAfter(html, marker) {
+  const start = html.search(marker);
+  if (start === -1) return null;
+  const open = html.indexOf('{', start);
+  if (open === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = open; i < html.length; i++) {
+    const c = html[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (c === '\\') escaped = true;
+      else if (c === '"') inString = false;
+    } else if (c === '"') {
+      inString = true;
+    } else if (c === '{') {
+      depth++;
+    } else if (c === '}' && --depth === 0) {
+      try {
+        return JSON.parse(html.slice(open, i + 1));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function findChapterRenderers(value, results = []) {
+  if (Array.isArray(value)) {
+    value.forEach(v => findChapterRenderers(v, results));
+  } else if (value && typeof value === 'object') {
+    if (value.chapterRenderer) results.push(value.chapterRenderer);
+    else Object.values(value).forEach(v => findChapterRenderers(v, results));
+  }
+  return results;
+}
+
+const TIMESTAMP_LINE = /^\s*[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*(?:[-–—:|]\s*)?(.+?)\s*$/;
+
+/**
+ * Chapters from timestamp lines in a description. Like YouTube, only counts
+ * them when the first starts at 0:00 and there are at least three, in order.
+ * Returns [{ start (seconds), title }] or [].
+ */
+export function parseChapters(description) {
+  const chapters = [];
+  for (const line of (description || '').split('\n')) {
+    const match = line.match(TIMESTAMP_LINE);
+    if (!match) continue;
+    const start = parseDuration(match[1]);
+    if (chapters.length > 0 && start <= chapters[chapters.length - 1].start) return [];
+    chapters.push({ start, title: match[2] });
+  }
+  if (chapters.length < 3 || chapters[0].start !== 0) return [];
+  return chapters;
+}
+
+/**
+ * Read video details from a YouTube watch page
+ *
+ * Returns { videoId, title, channel, channelUrl, duration (seconds),
+ * description, chapters, published, thumbnail, viewCount, keywords }.
+ * Fields the page doesn't have are null.
+ */
+export function parseYouTubePage(html, url = null) {
+  const player = extractJsonAfter(html, /ytInitialPlayerResponse\s*=\s*\{/) || {};
+  const details = player.videoDetails || {};
+  const microformat = player.microformat?.playerMicroformatRenderer || {};
+  const metadata = extractMetadata(html, url);
+
+  const description = details.shortDescription ?? microformat.description?.simpleText ?? metadata.description ?? null;
+
+  const markers = findChapterRenderers(extractJsonAfter(html, /ytInitialData\s*=\s*\{/) || {});
+  const chapters = markers.length > 0
+    ? markers.map(c => ({
+      start: Math.round((c.timeRangeStartMillis || 0) / 1000),
+      title: c.title?.simpleText || c.title?.runs?.map(r => r.text).join('') || ''
+    }))
+    : parseChapters(description);
+
+  const thumbnails = details.thumbnail?.thumbnails || [];
+  const channelUrl = microformat.ownerProfileUrl ||
+    (details.channelId ? `https://www.youtube.com/channel/${details.channelId}` : null);
+  const durationMeta = html.match(/itemprop="duration"\s+content="([^"]+)"/)?.[1];
+
+  return {
+    videoId: details.videoId || (url && parseYouTubeId(url)) || null,
+    title: details.title || metadata.title || null,
+    channel: details.author || microformat.ownerChannelName || null,
+    channelUrl,
+    duration: parseDuration(details.lengthSeconds) ?? parseDuration(durationMeta),
+    description,
+    chapters,
+    published: microformat.publishDate || microformat.uploadDate || metadata.published || null,
+    thumbnail: thumbnails[thumbnails.length - 1]?.url || metadata.image || null,
+    viewCount: details.viewCount ? Number(details.viewCount) : null,
+    keywords: details.keywords || []
+  };
+}
+
+function oembedEndpoint(url) {
+  const hostname = getHostname(url);
+  const domain = Object.keys(OEMBED_ENDPOINTS).find(d => matchesDomain(hostname, d));
+  return domain ? OEMBED_ENDPOINTS[domain] : null;
+}
+
+async function fetchOembed(url, timeout, fetchFn) {
+  const endpoint = oembedEndpoint(url);
+  if (!endpoint) return null;
+  const response = await fetchFn(`${endpoint}?url=${encodeURIComponent(url)}&format=json`, {
+    headers: { 'User-Agent': USER_AGENT },
+    signal: AbortSignal.timeout(timeout)
+  });
+  if (!response.ok) return null;
+  return response.json();
+}
+
+async function fetchYouTubeVideo(url, id, timeout, fetchFn) {
+  const watchUrl = `https://www.youtube.com/watch?v=${id}`;
+  let video = null;
+  try {
+    const response = await fetchFn(watchUrl, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept-Language': 'en-US,en;q=0.9',
+        // Skips the EU cookie consent interstitial
+        'Cookie': 'CONSENT=YES+1'
+      },
+      signal: AbortSignal.timeout(timeout)
+    });
+    if (response.ok) {
+      video = parseYouTubePage(await response.text(), watchUrl);
+    }
+  } catch (error) {
+    console.log(`  YouTube page unavailable for ${id}: ${error.message}`);
+  }
+
+  if (!video?.title || !video.channel) {
+    const oembed = await fetchOembed(watchUrl, timeout, fetchFn);
+    if (!oembed && !video?.title) {
+      throw new Error(`No video details found for ${url}`);
+    }
+    video = {
+      ...(video || parseYouTubePage('', watchUrl)),
+      title: video?.title || oembed?.title || null,
+      channel: video?.channel || oembed?.author_name || null,
+      channelUrl: video?.channelUrl || oembed?.author_url || null,
+      thumbnail: video?.thumbnail || oembed?.thumbnail_url || null
+    };
+  }
+
+  return { ...video, platform: 'youtube', url: watchUrl };
+}
+
+/**
+ * Fetch details for a video link. YouTube reads the watch page; other
+ * platforms use their oEmbed endpoint, then the page's own metadata.
+ * Throws if nothing identifies the video. options.fetch replaces the
+ * global fetch.
+ */
+export async function fetchVideoContent(url, timeout = 15000, options = {}) {
+  const fetchFn = options.fetch ?? fetch;
+  const youtubeId = parseYouTubeId(url);
+  if (youtubeId) {
+    return fetchYouTubeVideo(url, youtubeId, timeout, fetchFn);
+  }
+
+  let oembed = null;
+  try {
+    oembed = await fetchOembed(url, timeout, fetchFn);
+  } catch (error) {
+    console.log(`  oEmbed lookup failed for ${url}: ${error.message}`);
+  }
+
+  let metadata = null;
+  let pageDuration = null;
+  if (!oembed) {
+    const response = await fetchFn(url, {
+      headers: { 'User-Agent': USER_AGENT },
+      signal: AbortSignal.timeout(timeout)
+    });
+    if (!response.ok) {
+      throw new Error(`Video page returned HTTP ${response.status}`);
+    }
+    const html = await response.text();
+    metadata = extractMetadata(html, response.url || url);
+    if (!metadata.title) {
+      throw new Error(`No video details found for ${url}`);
+    }
+    pageDuration = html.match(/(?:itemprop="duration"|property="(?:og:)?video:duration")\s+content="([^"]+)"/)?.[1];
+  }
+
+  const merged = mergeOembed(metadata || extractMetadata('', url), oembed);
+  const description = oembed?.description || merged.description || null;
+
+  return {
+    videoId: oembed?.video_id ? String(oembed.video_id) : null,
+    title: merged.title,
+    channel: merged.author,
+    channelUrl: oembed?.author_url || null,
+    duration: parseDuration(oembed?.duration) ?? parseDuration(pageDuration),
+    description,
+    chapters: parseChapters(description),
+    published: oembed?.upload_date || merged.published || null,
+    thumbnail: merged.image,
+    viewCount: null,
+    keywords: [],
+    platform: oembed?.provider_name?.toLowerCase() || merged.siteName || getHostname(url),
+    url
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * Bookmark folders - Discovering folders and keeping config.folders in sync
+ *
+ * config.folders maps folder IDs to the tag their bookmarks get. Folders are
+ * listed through the source adapter (`smaug folders`), and new ones get a tag
+ * slugified from their name ("AI Tools & Agents" -> "ai-tools-agents").
+ * Tags already in config are never renamed.
+ *
+ * The bird CLI has no way to list folders, so with the bird adapter folder
+ * IDs still come from browser URLs; adapters that can list them (file, or a
+ * registered one) get discovery.
+ */
+
+import fs from 'fs';
+import { getSourceAdapter } from './sources/index.js';
+import { findConfigFile } from './config.js';
+
+/**
+ * Tag for a folder name: lowercase ASCII words joined by hyphens
+ */
+export function slugifyFolderName(name) {
+  const slug = String(name ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'folder';
+}
+
+/**
+ * True if the configured source adapter can list folders
+ */
+export function canListFolders(config) {
+  return typeof getSourceAdapter(config).listFolders === 'function';
+}
+
+/**
+ * Folders from the source adapter as [{ id, name }]. Entries without a
+ * numeric ID are dropped, since they couldn't be fetched anyway. Throws if
+ * the adapter can't list folders.
+ */
+export async function listFolders(config) {
+  const adapter = getSourceAdapter(config);
+  if (typeof adapter.listFolders !== 'function') {
+    throw new Error(`the ${adapter.name || config.sourceAdapter} source cannot list bookmark folders - add folder IDs to config.folders`);
+  }
+  const folders = await adapter.listFolders();
+  return folders
+    .map(folder => ({ id: String(folder.id ?? '').trim(), name: folder.name || String(folder.id) }))
+    .filter(folder => /^\d+$/.test(folder.id));
+}
+
+/**
+ * Add discovered folders missing from configured ({ id: tag }), tagged with
+ * a slug of their name (suffixed -2, -3, ... if another folder has it).
+ * Returns { folders, added: [{ id, name, tag }] }.
+ *
+ * With options.prune, configured folders that weren't discovered are dropped.
+ */
+export function mergeFolders(configured = {}, discovered = [], options = {}) {
+  const discoveredIds = new Set(discovered.map(folder => folder.id));
+  const folders = Object.fromEntries(
+    Object.entries(configured).filter(([id]) => !options.prune || discoveredIds.has(id))
+  );
+  const used = new Set(Object.values(folders));
+  const added = [];
+
+  for (const { id, name } of discovered) {
+    if (folders[id]) continue;
+    const base = slugifyFolderName(name);
+    let tag = base;
+    for (let n = 2; used.has(tag); n++) tag = `${base}-${n}`;
+    used.add(tag);
+    folders[id] = tag;
+    added.push({ id, name, tag });
+  }
+
+  return { folders, added };
+}
+
+/**
+ * Write folders into a config file, keeping everything else in it. Writes
+ * to the file loadConfig reads (./smaug.config.json if there is none yet).
+ * Returns the path written.
+ */
+export function saveFolders(folders, configPath) {
+  const file = findConfigFile(configPath) || configPath || './smaug.config.json';
+  const fileConfig = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  fileConfig.folders = folders;
+  fs.writeFileSync(file, JSON.stringify(fileConfig, null, 2) + '\n');
+  return file;
+}
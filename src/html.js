@@ -0,0 +1,183 @@
+/**
+ * Minimal HTML parser - builds a forgiving element tree without a DOM library
+ *
+ * Good enough for pulling articles and metadata out of real-world pages:
+ * void elements, raw-text elements (script/style), implied end tags for
+ * <p>/<li>, and stray or mismatched closing tags are all tolerated.
+ *
+ * Nodes are plain objects:
+ *   element: { type: 'element', tag, attrs, children, parent }
+ *   text:    { type: 'text', text, parent }
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript']);
+
+// Opening one of these closes an open <p>
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main',
+  'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', copy: '©', reg: '®',
+  trade: '™', middot: '·', bull: '•', deg: '°', times: '×', euro: '€',
+  pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶', shy: ''
+};
+
+/**
+ * Decode named and numeric character references
+ */
+export function decodeEntities(text) {
+  if (!text || !text.includes('&')) return text || '';
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);?/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch {
+        return match;
+      }
+    }
+    const named = NAMED_ENTITIES[ref.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+function parseAttrs(source) {
+  const attrs = {};
+  const pattern = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const name = match[1].toLowerCase();
+    if (!(name in attrs)) {
+      attrs[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+  }
+  return attrs;
+}
+
+/**
+ * Parse an HTML string into a root element node
+ */
+export function parseHtml(html) {
+  const root = { type: 'element', tag: '#root', attrs: {}, children: [], parent: null };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  const append = (node) => {
+    node.parent = current();
+    current().children.push(node);
+  };
+
+  const closeTag = (tag) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tag === tag) {
+        stack.length = i;
+        return;
+      }
+    }
+    // No matching open tag: ignore the stray close
+  };
+
+  const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  // Case-insensitive searches for </script> etc., without lowercasing the page each time
+  const rawClosePatterns = {};
+  let last = 0;
+  let match;
+
+  while ((match = tagPattern.exec(html))) {
+    if (match.index > last) {
+      append({ type: 'text', text: decodeEntities(html.slice(last, match.index)) });
+    }
+    last = tagPattern.lastIndex;
+
+    const [, closing, opening, rawAttrs = ''] = match;
+    if (closing) {
+      closeTag(closing.toLowerCase());
+      continue;
+    }
+    if (!opening) continue; // comment, doctype, processing instruction
+
+    const tag = opening.toLowerCase();
+    if (CLOSES_P.has(tag) && stack.some(n => n.tag === 'p')) closeTag('p');
+    if (tag === 'li' && current().tag === 'li') closeTag('li');
+
+    const node = { type: 'element', tag, attrs: parseAttrs(rawAttrs), children: [] };
+    append(node);
+
+    const selfClosing = rawAttrs.trimEnd().endsWith('/');
+    if (VOID_ELEMENTS.has(tag) || selfClosing) continue;
+
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      const closePattern = rawClosePatterns[tag] ||= new RegExp(`</${tag}`, 'gi');
+      closePattern.lastIndex = last;
+      const end = closePattern.exec(html)?.index ?? -1;
+      const stop = end === -1 ? html.length : end;
+      const raw = html.slice(last, stop);
+      if (raw) {
+        node.children.push({ type: 'text', text: tag === 'title' || tag === 'textarea' ? decodeEntities(raw) : raw, parent: node });
+      }
+      const closeEnd = end === -1 ? html.length : html.indexOf('>', end) + 1 || html.length;
+      last = closeEnd;
+      tagPattern.lastIndex = closeEnd;
+      continue;
+    }
+
+    stack.push(node);
+  }
+
+  if (last < html.length) {
+    append({ type: 'text', text: decodeEntities(html.slice(last)) });
+  }
+
+  return root;
+}
+
+/**
+ * Depth-first search for every element matching a predicate
+ */
+export function findAll(node, predicate, results = []) {
+  for (const child of node.children || []) {
+    if (child.type !== 'element') continue;
+    if (predicate(child)) results.push(child);
+    findAll(child, predicate, results);
+  }
+  return results;
+}
+
+/**
+ * First element matching a predicate, or null
+ */
+export function findFirst(node, predicate) {
+  for (const child of node.children || []) {
+    if (child.type !== 'element') continue;
+    if (predicate(child)) return child;
+    const found = findFirst(child, predicate);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Concatenated text of a node with whitespace collapsed (skips script/style)
+ */
+export function textContent(node) {
+  const parts = [];
+  const walk = (n) => {
+    if (n.type === 'text') {
+      parts.push(n.text);
+    } else if (n.tag !== 'script' && n.tag !== 'style') {
+      n.children.forEach(walk);
+    }
+  };
+  walk(node);
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
@@ -10,13 +10,29 @@ export {
   fetchBookmarks,
   fetchTweet,
   expandTcoLink,
+  expandLink,
   fetchGitHubContent,
   fetchArticleContent,
+  fetchLinkMetadata,
   isPaywalled,
   loadState,
   saveState
 } from './processor.js';
 
+// Page metadata (OpenGraph, Twitter cards, JSON-LD)
+export { extractMetadata } from './metadata.js';
+
+// Link extractors
+export { registerExtractor } from './extractors/index.js';
+
+// Link cache
+export { createCache } from './cache.js';
+
+// Tweet source adapters
+export { getSourceAdapter, registerSourceAdapter } from './sources/index.js';
+export { BirdError } from './sources/bird.js';
+export { TwitterAuthError, classifySourceError } from './sources/retry.js';
+
 // Configuration
 export { loadConfig, initConfig } from './config.js';
 
@@ -12,11 +12,14 @@
  * - Any other scheduler
  */
 
-import { execSync, spawn } from 'child_process';
+import { spawn } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { fetchAndPrepareBookmarks } from './processor.js';
+import { canonicalizeUrl } from './urls.js';
+import { findExecutable } from './commands.js';
+import { TwitterAuthError } from './sources/retry.js';
 import { loadConfig, getAIProvider, getOpenCodeConfig, getClaudeCodeConfig } from './config.js';
 
 const JOB_NAME = 'smaug-oc';
@@ -154,6 +157,26 @@ function saveReprocessState(config, state) {
   fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
 }
 
+// Furthest along wins when two keys turn out to be the same link
+const REPROCESS_STATUS_RANK = { completed: 5, in_progress: 4, failed: 3, pending: 2, skipped: 1, removed: 0 };
+
+/**
+ * Move entries keyed by a non-canonical URL (tracking params, twitter.com,
+ * trailing slash) onto the canonical key, merging duplicates
+ */
+function rekeyReprocessEntries(state) {
+  for (const [link, entry] of Object.entries(state.entries)) {
+    const canonical = canonicalizeUrl(link);
+    if (canonical === link) continue;
+    delete state.entries[link];
+    const existing = state.entries[canonical];
+    if (!existing || (REPROCESS_STATUS_RANK[entry.status] ?? 0) > (REPROCESS_STATUS_RANK[existing.status] ?? 0)) {
+      state.entries[canonical] = entry;
+    }
+  }
+  return state;
+}
+
 function syncReprocessState(config, state) {
   // Scan bookmarks.md for entries needing knowledge files
   const archiveFile = config.archiveFile;
@@ -162,6 +185,8 @@ function syncReprocessState(config, state) {
   }
   
   const content = fs.readFileSync(archiveFile, 'utf8');
+
+  rekeyReprocessEntries(state);
   
   // Find all bookmark entries
   const entryPattern = /## @[\s\S]*?(?=\n## @|\n# |\n---\n# |$)/g;
@@ -206,7 +231,7 @@ function syncReprocessState(config, state) {
     
     // Check Link field first
     if (linkFieldMatch) {
-      potentialLinks.push({ url: linkFieldMatch[1], source: 'link_field' });
+      potentialLinks.push({ url: canonicalizeUrl(linkFieldMatch[1]), source: 'link_field' });
     }
     
     // Also scan the entire entry text for URLs
@@ -220,6 +245,7 @@ function syncReprocessState(config, state) {
         if (!url.startsWith('http')) {
           url = 'https://' + url;
         }
+        url = canonicalizeUrl(url);
         
         potentialLinks.push({ url, type, source: 'text' });
       }
@@ -498,13 +524,9 @@ async function invokeClaudeCode(config, bookmarkCount, options = {}) {
       break;
     }
   }
-  // Also check via which if we haven't found it
+  // Also search PATH if we haven't found it
   if (claudePath === 'claude') {
-    try {
-      claudePath = execSync('which claude', { encoding: 'utf8' }).trim() || 'claude';
-    } catch {
-      // which failed, stick with 'claude'
-    }
+    claudePath = findExecutable('claude') || 'claude';
   }
 
   // Dramatic dragon reveal with fire animation
@@ -1046,13 +1068,9 @@ async function invokeOpenCode(config, bookmarkCount, options = {}) {
       break;
     }
   }
-  // Also check via which if we haven't found it
+  // Also search PATH if we haven't found it
   if (opencodePath === 'opencode') {
-    try {
-      opencodePath = execSync('which opencode', { encoding: 'utf8' }).trim() || 'opencode';
-    } catch {
-      // which failed, stick with 'opencode'
-    }
+    opencodePath = findExecutable('opencode') || 'opencode';
   }
 
   // Dramatic dragon reveal with fire animation
@@ -1762,11 +1780,31 @@ export async function run(options = {}) {
     }
 
   } catch (error) {
+    if (error instanceof TwitterAuthError) {
+      // Retrying on the next run won't help until the cookies are replaced
+      console.error(`[${now}] Twitter login expired: ${error.message}`);
+      await notify(
+        config,
+        'Smaug: Twitter Login Expired',
+        'Twitter rejected the saved cookies, so no bookmarks were fetched. ' +
+          'Refresh your auth_token/ct0 (twitter.authToken and twitter.ct0 in smaug.config.json, ' +
+          'or AUTH_TOKEN/CT0) from a logged-in browser session.\n\n' +
+          `Error: ${error.cause?.message || error.message}`,
+        false
+      );
+      return {
+        success: false,
+        error: error.message,
+        authFailed: true,
+        duration: Date.now() - startTime
+      };
+    }
+
     console.error(`[${now}] Job error:`, error.message);
 
     await notify(
       config,
-      'Smaug Job Failed',
+      error.kind === 'rate_limited' ? 'Smaug Job Failed: Rate Limited' : 'Smaug Job Failed',
       `Error: ${error.message}`,
       false
     );
@@ -1794,7 +1832,7 @@ async function reprocess(options = {}) {
   }
 
   try {
-    const config = loadConfig();
+    const config = loadConfig(options.configPath);
     const reprocessFile = options.reprocessFile;
     
     if (!fs.existsSync(reprocessFile)) {
@@ -1860,11 +1898,7 @@ async function invokeOpenCodeReprocess(config, count, reprocessFile, options = {
     }
   }
   if (opencodePath === 'opencode') {
-    try {
-      opencodePath = execSync('which opencode', { encoding: 'utf8' }).trim() || 'opencode';
-    } catch {
-      // which failed, stick with 'opencode'
-    }
+    opencodePath = findExecutable('opencode') || 'opencode';
   }
 
   console.log(`
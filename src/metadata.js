@@ -0,0 +1,185 @@
+/**
+ * Page metadata - Structured facts about a linked page
+ *
+ * Reads, in order of preference:
+ * - OpenGraph (og:title, og:description, og:image, article:published_time, ...)
+ * - Twitter cards (twitter:title, twitter:creator, ...)
+ * - JSON-LD (schema.org Article / VideoObject / Product, including @graph)
+ * - Plain <meta name="author|description">, <title>, <time datetime>
+ * - oEmbed discovery (<link type="application/json+oembed">), fetched separately
+ *
+ * Every field is null when the page doesn't say; nothing here is guessed.
+ */
+
+import { decodeEntities, findAll, findFirst, parseHtml, textContent } from './html.js';
+
+const PREFERRED_LD_TYPES = /Article|BlogPosting|NewsArticle|Report|ScholarlyArticle|VideoObject|PodcastEpisode|SoftwareSourceCode|SoftwareApplication|Product|Book|Recipe/i;
+
+function metaContent(head, ...keys) {
+  for (const key of keys) {
+    const meta = findFirst(head, n => n.tag === 'meta' &&
+      (n.attrs.property === key || n.attrs.name === key || n.attrs.itemprop === key));
+    const value = meta?.attrs.content?.trim();
+    if (value) return value;
+  }
+  return null;
+}
+
+function readJsonLd(root) {
+  const items = [];
+  for (const script of findAll(root, n => n.tag === 'script' && /ld\+json/i.test(n.attrs.type || ''))) {
+    try {
+      const data = JSON.parse(script.children.map(c => c.text).join(''));
+      const queue = Array.isArray(data) ? [...data] : [data];
+      while (queue.length) {
+        const item = queue.shift();
+        if (!item || typeof item !== 'object') continue;
+        items.push(item);
+        if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+      }
+    } catch {
+      // Malformed JSON-LD is common; ignore it
+    }
+  }
+  return items.find(i => PREFERRED_LD_TYPES.test([].concat(i['@type'] || []).join(' '))) || items[0] || null;
+}
+
+function personName(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(personName).filter(Boolean).join(', ') || null;
+  return value.name || null;
+}
+
+function imageUrl(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return imageUrl(value[0]);
+  return value.url || value.contentUrl || null;
+}
+
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    return new URL(href, baseUrl || undefined).href;
+  } catch {
+    return href;
+  }
+}
+
+function hostname(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Strip a trailing " | Site Name" (or " - Site Name") from a page title
+ */
+export function cleanTitle(title, siteName) {
+  if (!title) return null;
+  const text = decodeEntities(title).replace(/\s+/g, ' ').trim();
+  if (siteName) {
+    const suffix = new RegExp(`\\s+[|\\-–—·:]\\s+${siteName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    return text.replace(suffix, '');
+  }
+  return text;
+}
+
+/**
+ * Duration in whole seconds from the forms pages and feeds publish it in:
+ * ISO 8601 ("PT1H2M3S"), clock time ("1:02:03", "62:03") or plain seconds.
+ * Returns null for anything else.
+ */
+export function parseDuration(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+
+  const text = String(value).trim();
+  const iso = text.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  if (iso && text.length > 1) {
+    const [, d = 0, h = 0, m = 0, s = 0] = iso;
+    return Number(d) * 86400 + Number(h) * 3600 + Number(m) * 60 + Math.round(Number(s));
+  }
+  if (/^\d+(?::\d{1,2}){1,2}$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  }
+  if (/^\d+(?:\.\d+)?$/.test(text)) return Math.round(Number(text));
+  return null;
+}
+
+/**
+ * Read metadata from an already-parsed document (see html.js)
+ *
+ * Returns { title, description, image, author, published, siteName,
+ *           type, canonicalUrl, oembedUrl }.
+ */
+export function readMetadata(root, url = null) {
+  const head = findFirst(root, n => n.tag === 'head') || root;
+  const jsonLd = readJsonLd(root);
+
+  const siteName = metaContent(head, 'og:site_name', 'application-name') ||
+    personName(jsonLd?.publisher) || hostname(url);
+
+  const docTitle = textContent(findFirst(root, n => n.tag === 'title') || { type: 'text', text: '' });
+  const title = cleanTitle(
+    metaContent(head, 'og:title', 'twitter:title') || jsonLd?.headline || jsonLd?.name || docTitle || null,
+    siteName
+  ) || null;
+
+  const authorNode = findFirst(root, n => n.attrs.rel === 'author' || /\bbyline\b/i.test(n.attrs.class || ''));
+  const author = metaContent(head, 'author', 'article:author', 'parsely-author', 'sailthru.author') ||
+    personName(jsonLd?.author) ||
+    (authorNode ? textContent(authorNode).replace(/^by\s+/i, '') || null : null) ||
+    metaContent(head, 'twitter:creator');
+
+  const timeNode = findFirst(root, n => n.tag === 'time' && n.attrs.datetime);
+  const published = metaContent(head, 'article:published_time', 'og:published_time', 'datePublished', 'uploadDate',
+    'pubdate', 'publishdate', 'date', 'dc.date') ||
+    jsonLd?.datePublished || jsonLd?.uploadDate || timeNode?.attrs.datetime || null;
+
+  const description = metaContent(head, 'og:description', 'description', 'twitter:description') ||
+    jsonLd?.description || null;
+
+  const image = resolveUrl(metaContent(head, 'og:image', 'og:image:url', 'twitter:image', 'twitter:image:src') ||
+    imageUrl(jsonLd?.image) || imageUrl(jsonLd?.thumbnailUrl), url);
+
+  const canonical = findFirst(head, n => n.tag === 'link' && (n.attrs.rel || '').toLowerCase() === 'canonical');
+  const oembed = findFirst(root, n => n.tag === 'link' && /application\/json\+oembed/i.test(n.attrs.type || ''));
+
+  return {
+    title,
+    description,
+    image,
+    author,
+    published,
+    siteName,
+    type: metaContent(head, 'og:type') || [].concat(jsonLd?.['@type'] || [])[0] || null,
+    canonicalUrl: resolveUrl(canonical?.attrs.href || metaContent(head, 'og:url'), url),
+    oembedUrl: resolveUrl(oembed?.attrs.href, url)
+  };
+}
+
+/**
+ * Parse HTML and read its metadata
+ */
+export function extractMetadata(html, url = null) {
+  return readMetadata(parseHtml(html || ''), url);
+}
+
+/**
+ * Fill gaps in page metadata from an oEmbed response
+ */
+export function mergeOembed(metadata, oembed) {
+  if (!oembed) return metadata;
+  return {
+    ...metadata,
+    title: metadata.title || oembed.title || null,
+    author: metadata.author || oembed.author_name || null,
+    image: metadata.image || oembed.thumbnail_url || null,
+    siteName: metadata.siteName || oembed.provider_name || null,
+    type: metadata.type || oembed.type || null
+  };
+}
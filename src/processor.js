@@ -2,40 +2,48 @@
  * Bookmark Processor - Fetches and prepares Twitter bookmarks for analysis
  *
  * This handles the mechanical work:
- * - Fetching bookmarks via bird CLI
- * - Expanding t.co links
- * - Extracting content from linked pages (articles, GitHub repos)
- * - Optional: Bypassing paywalls via archive.ph
+ * - Fetching bookmarks via a source adapter (bird CLI by default)
+ * - Expanding t.co links (cached on disk, see cache.js)
+ * - Extracting content from linked pages (readable article text, GitHub repos,
+ *   papers, video and podcast details)
+ * - Falling back to Wayback Machine / archive.today snapshots for paywalled pages
  *
  * Outputs a JSON bundle for AI analysis (Claude Code, etc.)
  */
 
-import { execSync, spawn } from 'child_process';
 import fs from 'fs';
 import path from 'path';
-import os from 'os';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import timezone from 'dayjs/plugin/timezone.js';
 import { loadConfig } from './config.js';
+import { getSourceAdapter } from './sources/index.js';
+import { TwitterAuthError, withRetries } from './sources/retry.js';
+import { canListFolders, listFolders, mergeFolders } from './folders.js';
+import { createCache } from './cache.js';
+import { extractArticle } from './readability.js';
+import { extractMetadata, mergeOembed } from './metadata.js';
+import { fetchFromSnapshots } from './snapshots.js';
+import { getDomainRule, getHostname, getRuleHeaders, matchesDomain } from './domains.js';
+import { extractPdfText, isPdf } from './extractors/pdf.js';
+import { fetchGitHubContent as fetchGitHubDetails } from './extractors/github.js';
+import { findExtractor, loadExtractorModules, runExtractor } from './extractors/index.js';
+import { canonicalizeUrl, tweetIdFromUrl } from './urls.js';
+import { resolveRedirects } from './redirects.js';
+import { createScheduler, runPool } from './scheduler.js';
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
 
-// Sites that typically require paywall bypass
-const PAYWALL_DOMAINS = [
-  'nytimes.com',
-  'wsj.com',
-  'washingtonpost.com',
-  'theatlantic.com',
-  'newyorker.com',
-  'bloomberg.com',
-  'ft.com',
-  'economist.com',
-  'bostonglobe.com',
-  'latimes.com',
-  'wired.com'
-];
+// Larger downloads (datasets, videos) aren't worth reading for text
+const MAX_DOWNLOAD_BYTES = 25 * 1024 * 1024;
+
+// Sources of fetchContent results read from the page itself (anything else
+// came from an extractor and is passed through as-is)
+const PAGE_SOURCES = ['direct', 'pdf', 'archive', 'paywalled', 'skipped'];
+
+// Subscribe prompts that, on a short page, mean the article body is withheld
+const PAYWALL_PROMPT = /This article is for subscribers|Subscribe to (?:continue|read)|to continue reading|already a subscriber\? sign in/i;
 
 export function loadState(config) {
   try {
@@ -43,9 +51,12 @@ export function loadState(config) {
     return JSON.parse(content);
   } catch (error) {
     return {
-      last_processed_id: null,
       last_check: null,
-      last_processing_run: null
+      last_processing_run: null,
+      // Per-timeline pagination checkpoints, keyed 'bookmarks' or 'folder:<id>':
+      // { cursor, newest_id } - cursor is where an unfinished backfill resumes;
+      // catchup_cursor/catchup_newest_id mark a catch-up that ran out of pages
+      pagination: {}
     };
   }
 }
@@ -58,186 +69,446 @@ export function saveState(config, state) {
   fs.writeFileSync(config.stateFile, JSON.stringify(state, null, 2) + '\n');
 }
 
-function buildBirdEnv(config) {
-  const env = { ...process.env };
-  if (config.twitter?.authToken) {
-    env.AUTH_TOKEN = config.twitter.authToken;
+/**
+ * Page through bookmarks (or one folder), or likes, a page at a time.
+ *
+ * Starts from the newest page and stops at the first page containing a known
+ * ID. If an earlier backfill left a cursor behind, continues from there with
+ * whatever page budget is left. Returns { tweets, cursor, newestId }, where
+ * cursor is the place to resume next time (null once the timeline is done).
+ *
+ * If the budget runs out (or a page fails) before catch-up reaches a known
+ * ID, the saved cursor and newest_id are kept and the result also carries
+ * catchup: { cursor, newestId } - where catch-up stopped and the newest ID it
+ * started from. The next run finishes that gap first, and only then moves
+ * newest_id up.
+ *
+ * Options:
+ *   kind      - 'bookmarks' (default) or 'likes'
+ *   folderId  - bookmark folder to page through
+ *   maxPages  - page budget for this call (unlimited if omitted)
+ *   knownIds  - Set of tweet IDs already archived or pending
+ *   resume    - saved checkpoint { cursor, newest_id, catchup_cursor,
+ *               catchup_newest_id } from a previous run
+ */
+export async function fetchPaginated(config, options = {}) {
+  const { kind = 'bookmarks', folderId, maxPages, knownIds = new Set(), resume = {} } = options;
+  const source = getSourceAdapter(config);
+  const fetchList = kind === 'likes' ? source.fetchLikes.bind(source) : source.fetchBookmarks.bind(source);
+  const pageLimit = maxPages || Infinity;
+  const tweets = [];
+  let pages = 0;
+  let cursor = resume.catchup_cursor || null;
+  let newestId = cursor ? resume.catchup_newest_id || null : null;
+  let caughtUp = false;
+
+  const isKnown = (tweet) => {
+    const id = String(tweet.id);
+    return knownIds.has(id) || id === resume.newest_id;
+  };
+
+  const fetchPage = () => {
+    pages++;
+    return withRetries(() => fetchList({ all: true, maxPages: 1, cursor, folderId }),
+      config.retry, { label: `${kind} page ${pages}` });
+  };
+
+  try {
+    // Catch up on anything bookmarked since the last run, finishing the gap
+    // an earlier catch-up left first
+    if (cursor) {
+      console.log(`  Resuming catch-up from saved cursor`);
+    }
+    while (pages < pageLimit) {
+      const page = await fetchPage();
+      if (pages === 1 && !resume.catchup_cursor && page.tweets.length > 0) {
+        newestId = String(page.tweets[0].id);
+      }
+      tweets.push(...page.tweets);
+      cursor = page.tweets.length > 0 ? page.nextCursor : null;
+
+      if (page.tweets.some(isKnown)) {
+        caughtUp = true;
+        break;
+      }
+      if (!cursor) {
+        return { tweets, cursor: null, newestId };
+      }
+    }
+
+    // Back in known territory - continue an unfinished backfill, if any
+    if (caughtUp) {
+      cursor = resume.cursor || null;
+      if (cursor) {
+        console.log(`  Resuming backfill from saved cursor`);
+      }
+    }
+
+    while (caughtUp && cursor && pages < pageLimit) {
+      const page = await fetchPage();
+      tweets.push(...page.tweets);
+      cursor = page.tweets.length > 0 ? page.nextCursor : null;
+    }
+  } catch (error) {
+    // Keep what we have; the failed page's cursor is where to resume. Expired
+    // cookies stop the run instead, since every later request would fail too
+    if (tweets.length === 0 || error instanceof TwitterAuthError) throw error;
+    console.error(`  Pagination stopped after ${pages - 1} page(s): ${error.message}`);
   }
-  if (config.twitter?.ct0) {
-    env.CT0 = config.twitter.ct0;
+
+  console.log(`  Fetched ${tweets.length} tweets in ${pages} page(s)${cursor ? ' (more remaining)' : ''}`);
+
+  // Catch-up stopped short of the tweets seen last run: keep the old
+  // checkpoint, or the gap below here and the backfill would be lost
+  if (!caughtUp && resume.newest_id) {
+    return {
+      tweets,
+      cursor: resume.cursor || null,
+      newestId: resume.newest_id,
+      catchup: { cursor, newestId }
+    };
   }
-  return env;
+  return { tweets, cursor, newestId };
 }
 
-export function fetchBookmarks(config, count = 10, options = {}) {
-  try {
-    const env = buildBirdEnv(config);
-    const birdCmd = config.birdPath || 'bird';
-
-    // Use --all for large fetches (> 50) or when explicitly requested
-    const useAll = options.all || count > 50;
-    const folderId = options.folderId;
-
-    let cmd;
-    if (useAll) {
-      // Paginated fetch - use longer timeout
-      const maxPages = options.maxPages || 10; // Limit pages to prevent runaway
-      cmd = folderId
-        ? `${birdCmd} bookmarks --folder-id ${folderId} --all --max-pages ${maxPages} --json`
-        : `${birdCmd} bookmarks --all --max-pages ${maxPages} --json`;
-    } else {
-      cmd = folderId
-        ? `${birdCmd} bookmarks --folder-id ${folderId} -n ${count} --json`
-        : `${birdCmd} bookmarks -n ${count} --json`;
+/**
+ * "Failed to fetch <what>" error keeping the original's kind (see
+ * sources/retry.js); auth failures pass through unchanged
+ */
+function fetchError(what, error) {
+  if (error instanceof TwitterAuthError) return error;
+  const wrapped = new Error(`Failed to fetch ${what}: ${error.message}`, { cause: error });
+  if (error.kind) wrapped.kind = error.kind;
+  return wrapped;
+}
+
+/**
+ * Fetch bookmarks or likes, paginating for large fetches (> 50) or when
+ * options.all is set. options.pagination is shared with the caller
+ * ({ saved, updates, knownIds }); each timeline (bookmarks, each folder,
+ * likes) keeps its own checkpoint in it.
+ */
+async function fetchTimeline(config, kind, count, options) {
+  const source = getSourceAdapter(config);
+  const fetchList = kind === 'likes' ? source.fetchLikes.bind(source) : source.fetchBookmarks.bind(source);
+
+  if (options.all || count > 50) {
+    const key = options.folderId ? `folder:${options.folderId}` : kind;
+    const pagination = options.pagination;
+    const result = await fetchPaginated(config, {
+      kind,
+      folderId: options.folderId,
+      maxPages: options.maxPages,
+      knownIds: pagination?.knownIds,
+      resume: pagination?.saved?.[key]
+    });
+    if (pagination) {
+      const checkpoint = { cursor: result.cursor, newest_id: result.newestId };
+      if (result.catchup) {
+        checkpoint.catchup_cursor = result.catchup.cursor;
+        checkpoint.catchup_newest_id = result.catchup.newestId;
+      }
+      pagination.updates[key] = checkpoint;
     }
+    return result.tweets;
+  }
 
-    console.log(`  Running: ${cmd.replace(/--json/, '').trim()}`);
+  const result = await withRetries(() => fetchList({ count, folderId: options.folderId }), config.retry, { label: kind });
+  return result.tweets;
+}
 
-    // Use temp file to work around bird CLI pipe buffering bug
-    const tmpFile = path.join(os.tmpdir(), `smaug-bookmarks-${Date.now()}.json`);
-    execSync(`${cmd} > "${tmpFile}"`, {
-      timeout: useAll ? 180000 : 60000, // 3 min for --all, 60s otherwise
-      env,
-      shell: true
-    });
-    const output = fs.readFileSync(tmpFile, 'utf8');
-    fs.unlinkSync(tmpFile);
-    const parsed = JSON.parse(output);
-    // bird CLI v0.6.0+ returns { tweets: [...], nextCursor: ... } for paginated requests
-    // but plain arrays for non-paginated. Handle both formats.
-    return Array.isArray(parsed) ? parsed : (parsed.tweets || []);
+export async function fetchBookmarks(config, count = 10, options = {}) {
+  try {
+    return await fetchTimeline(config, 'bookmarks', count, options);
   } catch (error) {
-    throw new Error(`Failed to fetch bookmarks: ${error.message}`);
+    throw fetchError('bookmarks', error);
   }
 }
 
-export function fetchLikes(config, count = 10) {
+/**
+ * Fetch likes; takes the same options as fetchBookmarks (except folderId)
+ */
+export async function fetchLikes(config, count = 10, options = {}) {
   try {
-    const env = buildBirdEnv(config);
-    const birdCmd = config.birdPath || 'bird';
-    // Use temp file to work around bird CLI pipe buffering bug
-    const tmpFile = path.join(os.tmpdir(), `smaug-likes-${Date.now()}.json`);
-    execSync(`${birdCmd} likes -n ${count} --json > "${tmpFile}"`, {
-      timeout: 60000,
-      env,
-      shell: true
-    });
-    const output = fs.readFileSync(tmpFile, 'utf8');
-    fs.unlinkSync(tmpFile);
-    const parsed = JSON.parse(output);
-    // Handle both array and object formats for consistency
-    return Array.isArray(parsed) ? parsed : (parsed.tweets || []);
+    return await fetchTimeline(config, 'likes', count, { ...options, folderId: null });
   } catch (error) {
-    throw new Error(`Failed to fetch likes: ${error.message}`);
+    throw fetchError('likes', error);
   }
 }
 
-export function fetchFromSource(config, count = 10, options = {}) {
+/**
+ * Record where each tweet came from ('bookmark' or 'like') for the prepared JSON
+ */
+function withOrigin(tweets, origin) {
+  for (const tweet of tweets) tweet._origin = origin;
+  return tweets;
+}
+
+/**
+ * Fetch config.source: 'bookmarks', 'likes' or 'both'. Likes use
+ * options.likesCount and options.likesMaxPages when given, otherwise the
+ * same count and page budget as bookmarks. A tweet that is both bookmarked
+ * and liked appears once, with origin 'both'.
+ */
+export async function fetchFromSource(config, count = 10, options = {}) {
   const source = config.source || 'bookmarks';
+  const likesCount = options.likesCount || count;
+  const likesOptions = { ...options, maxPages: options.likesMaxPages ?? options.maxPages };
 
   if (source === 'bookmarks') {
-    return fetchBookmarks(config, count, options);
+    return withOrigin(await fetchBookmarks(config, count, options), 'bookmark');
   } else if (source === 'likes') {
-    return fetchLikes(config, count);
+    return withOrigin(await fetchLikes(config, likesCount, likesOptions), 'like');
   } else if (source === 'both') {
-    const bookmarks = fetchBookmarks(config, count, options);
-    const likes = fetchLikes(config, count);
+    const [bookmarks, likes] = await Promise.all([
+      fetchBookmarks(config, count, options),
+      fetchLikes(config, likesCount, likesOptions)
+    ]);
     // Merge and dedupe by ID
-    const seen = new Set();
-    const merged = [];
-    for (const item of [...bookmarks, ...likes]) {
-      if (!seen.has(item.id)) {
-        seen.add(item.id);
-        merged.push(item);
+    const byId = new Map();
+    for (const item of withOrigin(bookmarks, 'bookmark')) {
+      if (!byId.has(String(item.id))) byId.set(String(item.id), item);
+    }
+    for (const item of withOrigin(likes, 'like')) {
+      const seen = byId.get(String(item.id));
+      if (!seen) {
+        byId.set(String(item.id), item);
+      } else if (seen._origin === 'bookmark') {
+        seen._origin = 'both';
       }
     }
-    return merged;
+    return [...byId.values()];
   } else {
     throw new Error(`Invalid source: ${source}. Must be 'bookmarks', 'likes', or 'both'.`);
   }
 }
 
 /**
- * Fetch bookmarks from configured folders, tagging each with its folder name
+ * config.folders plus any folders the source adapter lists that it's missing
+ * (tagged with a slug of their name, see folders.js). If listing fails, just
+ * the configured ones.
  */
-export function fetchFromFolders(config, count = 10, options = {}) {
+async function discoverFolders(config) {
   const folders = config.folders || {};
+  try {
+    const { folders: merged, added } = mergeFolders(folders, await listFolders(config));
+    for (const folder of added) {
+      console.log(`  Discovered folder "${folder.name}" (${folder.id}), tagged ${folder.tag}`);
+    }
+    return merged;
+  } catch (error) {
+    if (error instanceof TwitterAuthError) throw error;
+    console.error(`  Could not list folders: ${error.message}`);
+    return folders;
+  }
+}
+
+/**
+ * Fetch bookmarks from configured folders, tagging each with its folder name
+ *
+ * With config.autoDiscoverFolders, folders missing from config.folders are
+ * listed through the source adapter and fetched too, followed by bookmarks
+ * in no folder: the main bookmark list minus anything a folder already
+ * returned. Pass options.folders to skip listing when the caller already did.
+ */
+export async function fetchFromFolders(config, count = 10, options = {}) {
+  const { folders: knownFolders, ...fetchOptions } = options;
+  const discover = !!config.autoDiscoverFolders;
+  const folders = knownFolders || (discover ? await discoverFolders(config) : config.folders || {});
+
   const folderIds = Object.keys(folders);
 
-  if (folderIds.length === 0) {
+  if (folderIds.length === 0 && !discover) {
     return [];
   }
 
-  console.log(`Fetching from ${folderIds.length} configured folder(s)...`);
+  console.log(`Fetching from ${folderIds.length} folder(s)...`);
 
   const allBookmarks = [];
   const seen = new Set();
 
-  for (const folderId of folderIds) {
-    const folderTag = folders[folderId];
-    console.log(`\n📁 Folder "${folderTag}" (${folderId}):`);
-
-    try {
-      const bookmarks = fetchBookmarks(config, count, { ...options, folderId });
-      let added = 0;
-
-      for (const bookmark of bookmarks) {
-        if (!seen.has(bookmark.id)) {
-          seen.add(bookmark.id);
+  const addBookmarks = (bookmarks, folderId) => {
+    let added = 0;
+    for (const bookmark of bookmarks) {
+      if (!seen.has(bookmark.id)) {
+        seen.add(bookmark.id);
+        if (folderId) {
           // Add folder tag to the bookmark
-          bookmark._folderTag = folderTag;
+          bookmark._folderTag = folders[folderId];
           bookmark._folderId = folderId;
-          allBookmarks.push(bookmark);
-          added++;
         }
+        bookmark._origin = 'bookmark';
+        allBookmarks.push(bookmark);
+        added++;
       }
+    }
+    console.log(`  Found ${bookmarks.length} bookmarks, ${added} new`);
+  };
+
+  for (const folderId of folderIds) {
+    console.log(`\n📁 Folder "${folders[folderId]}" (${folderId}):`);
 
-      console.log(`  Found ${bookmarks.length} bookmarks, ${added} new`);
+    try {
+      addBookmarks(await fetchBookmarks(config, count, { ...fetchOptions, folderId }), folderId);
     } catch (error) {
+      if (error instanceof TwitterAuthError) throw error;
       console.error(`  Error fetching folder ${folderId}: ${error.message}`);
     }
   }
 
+  if (discover) {
+    console.log('\n📑 Bookmarks in no folder:');
+    try {
+      addBookmarks(await fetchBookmarks(config, count, fetchOptions), null);
+    } catch (error) {
+      if (error instanceof TwitterAuthError) throw error;
+      console.error(`  Error fetching bookmarks: ${error.message}`);
+    }
+  }
+
   return allBookmarks;
 }
 
-export function fetchTweet(config, tweetId) {
+export async function fetchTweet(config, tweetId) {
   try {
-    const env = buildBirdEnv(config);
-    const birdCmd = config.birdPath || 'bird';
-    const output = execSync(`${birdCmd} read ${tweetId} --json`, {
-      encoding: 'utf8',
-      timeout: 15000,
-      env
-    });
-    return JSON.parse(output);
+    return await getSourceAdapter(config).readTweet(tweetId);
   } catch (error) {
     console.log(`  Could not fetch parent tweet ${tweetId}: ${error.message}`);
     return null;
   }
 }
 
-export async function expandTcoLink(url, timeout = 10000) {
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+/**
+ * Reduce a tweet to the fields stored in prepared bookmarks
+ */
+function summarizeTweet(tweet) {
+  const author = tweet.author?.username || 'unknown';
+  return {
+    id: tweet.id,
+    author,
+    authorName: tweet.author?.name || author,
+    text: tweet.text || tweet.full_text || '',
+    tweetUrl: `https://x.com/${author}/status/${tweet.id}`
+  };
+}
 
-    const response = await fetch(url, {
-      method: 'HEAD',
-      redirect: 'follow',
-      signal: controller.signal
-    });
-    clearTimeout(timeoutId);
+/**
+ * Unroll the author's self-reply chain around a tweet.
+ *
+ * Walks up through parents written by the same author, then down through
+ * the author's replies to each tweet. Returns the thread oldest-first
+ * (including the tweet itself), or null if the tweet is not part of a thread.
+ */
+export async function collectThread(config, tweet, maxTweets = 50) {
+  const author = (tweet.author?.username || '').toLowerCase();
+  if (!author) return null;
+
+  const isSameAuthor = (t) => (t?.author?.username || '').toLowerCase() === author;
+  const seen = new Set([String(tweet.id)]);
+  const thread = [tweet];
+
+  // Walk up to the thread root
+  let current = tweet;
+  while (current.inReplyToStatusId && thread.length < maxTweets) {
+    const parent = await fetchTweet(config, current.inReplyToStatusId);
+    if (!parent || !isSameAuthor(parent) || seen.has(String(parent.id))) break;
+    seen.add(String(parent.id));
+    thread.unshift(parent);
+    current = parent;
+  }
 
-    return response.url || url;
-  } catch (error) {
-    console.error(`Failed to expand ${url}: ${error.message}`);
-    return url;
+  // Walk down through the author's own replies
+  const source = getSourceAdapter(config);
+  current = tweet;
+  while (thread.length < maxTweets) {
+    let replies;
+    try {
+      replies = (await source.fetchReplies(current.id)).tweets;
+    } catch (error) {
+      console.log(`  Could not fetch replies to ${current.id}: ${error.message}`);
+      break;
+    }
+
+    const next = replies
+      .filter(r => isSameAuthor(r) && String(r.inReplyToStatusId) === String(current.id) && !seen.has(String(r.id)))
+      .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0))[0];
+    if (!next) break;
+
+    seen.add(String(next.id));
+    thread.push(next);
+    current = next;
   }
+
+  return thread.length > 1 ? thread : null;
 }
 
-export function isPaywalled(url) {
-  return PAYWALL_DOMAINS.some(domain => url.includes(domain));
+// Upper bound for replyContextDepth: 'root', so a broken chain can't loop forever
+const MAX_CONVERSATION_DEPTH = 100;
+
+/**
+ * Fetch the ancestors of a reply, oldest (conversation root) first.
+ *
+ * depth is a number of parents to fetch or 'root'. Tweets listed in skipIds
+ * (e.g. the bookmark and its own thread) are never repeated. Stops early when
+ * a parent can't be fetched (deleted, protected).
+ */
+export async function collectConversation(config, tweet, depth = 1, skipIds = []) {
+  const limit = depth === 'root' ? MAX_CONVERSATION_DEPTH : Math.min(Number(depth) || 0, MAX_CONVERSATION_DEPTH);
+  const seen = new Set([String(tweet.id), ...skipIds.map(String)]);
+  const ancestors = [];
+
+  let current = tweet;
+  while (current.inReplyToStatusId && ancestors.length < limit) {
+    const parentId = String(current.inReplyToStatusId);
+    if (seen.has(parentId)) break;
+    const parent = await fetchTweet(config, parentId);
+    if (!parent) break;
+    seen.add(parentId);
+    ancestors.unshift(parent);
+    current = parent;
+  }
+
+  return ancestors;
+}
+
+/**
+ * Follow a link's redirect chain (see redirects.js). Answers are cached when
+ * options.cache is given; network failures and server errors aren't.
+ * options.fetch replaces the global fetch.
+ *
+ * Returns { url, status, dead, chain, error }.
+ */
+export async function expandLink(url, options = {}) {
+  if (options.cache) {
+    const resolved = await options.cache.remember('tco', url, () => expandLink(url, { timeout: options.timeout, fetch: options.fetch }),
+      result => !result.error && result.status !== null && result.status < 500);
+    // Entries cached before redirect chains were recorded hold just the URL
+    return typeof resolved === 'string'
+      ? { url: resolved, status: null, dead: false, chain: [], error: null }
+      : resolved;
+  }
+
+  const resolved = await resolveRedirects(url, { timeout: options.timeout, fetch: options.fetch });
+  if (resolved.error) {
+    console.error(`Failed to expand ${url}: ${resolved.error}`);
+  }
+  return resolved;
+}
+
+/**
+ * Resolve a t.co link to its destination URL (the link itself if the first
+ * request fails). Use expandLink() for the redirect chain and status.
+ */
+export async function expandTcoLink(url, timeout = 10000, options = {}) {
+  return (await expandLink(url, { timeout, cache: options.cache, fetch: options.fetch })).url;
+}
+
+/**
+ * True if the URL's host (or a parent domain) is marked paywalled in the
+ * built-in or config.domains rules
+ */
+export function isPaywalled(url, config = null) {
+  return !!getDomainRule(config, url).paywalled;
 }
 
 export function stripQuerystring(url) {
@@ -249,172 +520,450 @@ export function stripQuerystring(url) {
   }
 }
 
-function extractGitHubInfo(url) {
-  const match = url.match(/github\.com\/([^\/]+)\/([^\/]+)/);
-  if (!match) return null;
-  return { owner: match[1], repo: match[2].replace(/\.git$/, '') };
+/**
+ * GitHub repo, file, issue, release, gist or profile details (see
+ * extractors/github.js). options.token authenticates the API calls.
+ */
+export async function fetchGitHubContent(url, options = {}) {
+  if (options.cache) {
+    // Rate-limit and not-found responses have no fullName; don't keep those
+    return options.cache.remember('github', url, () => fetchGitHubContent(url, { token: options.token, maxWaitMs: options.maxWaitMs, fetch: options.fetch }),
+      result => !!result?.fullName);
+  }
+
+  try {
+    return await fetchGitHubDetails(url, { token: options.token, maxWaitMs: options.maxWaitMs, fetch: options.fetch });
+  } catch (error) {
+    console.error(`  GitHub API error for ${url}: ${error.message}`);
+    throw error;
+  }
 }
 
-export async function fetchGitHubContent(url) {
-  const info = extractGitHubInfo(url);
-  if (!info) {
-    throw new Error('Could not parse GitHub URL');
+/**
+ * Read a response body, giving up (null) once it passes limit bytes.
+ * content-length alone isn't enough: chunked responses don't send it.
+ */
+async function readBodyCapped(response, limit) {
+  if (!response.body) return Buffer.alloc(0);
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > limit) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
   }
+  return Buffer.concat(chunks, size);
+}
 
-  const { owner, repo } = info;
+export async function fetchArticleContent(url, options = {}) {
+  if (options.cache) {
+    // Only keep pages with text; teasers and bot challenges are often temporary
+    return options.cache.remember('article', url, () => fetchArticleContent(url, { headers: options.headers, fetch: options.fetch }),
+      article => !!article?.text && !article.paywalled);
+  }
 
   try {
-    const apiUrl = `https://api.github.com/repos/${owner}/${repo}`;
-    const repoResponse = await fetch(apiUrl, {
-      headers: { 'Accept': 'application/vnd.github.v3+json' }
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 30000);
+
+    const response = await (options.fetch ?? fetch)(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+        ...options.headers
+      },
+      signal: controller.signal,
+      redirect: 'follow'
     });
-    const repoJson = await repoResponse.json();
+    clearTimeout(timeout);
 
-    // Fetch README content
-    let readme = '';
-    try {
-      const readmeUrl = `https://api.github.com/repos/${owner}/${repo}/readme`;
-      const readmeResponse = await fetch(readmeUrl, {
-        headers: { 'Accept': 'application/vnd.github.v3+json' }
-      });
-      const readmeJson = await readmeResponse.json();
-      if (readmeJson.content) {
-        readme = Buffer.from(readmeJson.content, 'base64').toString('utf8');
-        if (readme.length > 5000) {
-          readme = readme.slice(0, 5000) + '\n...[truncated]';
-        }
+    if (!response.ok) {
+      await response.body?.cancel();
+      const error = new Error(`HTTP ${response.status} from ${url}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    const contentLength = Number(response.headers.get('content-length') || 0);
+    if (contentLength > MAX_DOWNLOAD_BYTES) {
+      await response.body?.cancel();
+      return { text: null, source: 'direct', paywalled: false, contentType, note: `Skipped ${Math.round(contentLength / 1048576)}MB download` };
+    }
+    const buffer = await readBodyCapped(response, MAX_DOWNLOAD_BYTES);
+    if (!buffer) {
+      return { text: null, source: 'direct', paywalled: false, contentType, note: `Skipped download over ${MAX_DOWNLOAD_BYTES / 1048576}MB` };
+    }
+
+    // PDFs (papers, reports) get real text instead of binary noise
+    if (/application\/pdf/i.test(contentType) || isPdf(buffer)) {
+      const pdf = extractPdfText(buffer);
+      return {
+        title: pdf.title,
+        byline: pdf.author,
+        text: pdf.text,
+        wordCount: pdf.wordCount,
+        pageCount: pdf.pageCount,
+        contentType: 'application/pdf',
+        source: 'pdf',
+        paywalled: false
+      };
+    }
+
+    const body = buffer.toString('utf8');
+
+    // Plain text passes through as-is; other binary formats aren't readable
+    if (contentType && !/html|xml/i.test(contentType) && !/^\s*</.test(body)) {
+      if (!/^text\/|json/i.test(contentType)) {
+        return { text: null, source: 'direct', paywalled: false, contentType, note: `Unsupported content type: ${contentType}` };
       }
-    } catch (e) {
-      console.log(`  No README found for ${owner}/${repo}`);
+      const text = body.slice(0, 50000);
+      return { text, source: 'direct', paywalled: false, wordCount: text.split(/\s+/).filter(Boolean).length };
     }
 
-    return {
-      name: repoJson.name,
-      fullName: repoJson.full_name,
-      description: repoJson.description || '',
-      stars: repoJson.stargazers_count,
-      language: repoJson.language,
-      topics: repoJson.topics || [],
-      readme,
-      url: repoJson.html_url
-    };
+    const article = extractArticle(body, response.url || url);
+
+    // Paywalls show a teaser plus a subscribe prompt; tiny bodies mean we got nothing useful
+    const paywalled = article.wordCount < 50 ||
+      (PAYWALL_PROMPT.test(body) && article.wordCount < 400);
+
+    return { ...article, source: 'direct', paywalled };
   } catch (error) {
-    console.error(`  GitHub API error for ${owner}/${repo}: ${error.message}`);
     throw error;
   }
 }
 
-export async function fetchArticleContent(url) {
+/**
+ * Fetch a page's OpenGraph / Twitter card / JSON-LD metadata, following its
+ * oEmbed discovery link when there is one. Non-HTML responses (images,
+ * downloads) aren't read; they only report their content type.
+ * Returns null if the page can't be fetched.
+ */
+export async function fetchLinkMetadata(url, options = {}) {
+  if (options.cache) {
+    return options.cache.remember('metadata', url, () => fetchLinkMetadata(url, { headers: options.headers, fetch: options.fetch }), metadata => !!metadata);
+  }
+
+  const fetchFn = options.fetch ?? fetch;
   try {
     const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 30000);
+    const timeout = setTimeout(() => controller.abort(), 15000);
 
-    const response = await fetch(url, {
+    const response = await fetchFn(url, {
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+        ...options.headers
       },
       signal: controller.signal,
       redirect: 'follow'
     });
     clearTimeout(timeout);
 
-    const text = await response.text();
-    // Limit to 50KB like the old curl | head -c 50000
-    const result = text.slice(0, 50000);
+    const finalUrl = response.url || url;
+    const contentType = response.headers.get('content-type') || null;
+    if (contentType && !/html|xml/i.test(contentType)) {
+      await response.body?.cancel();
+      const metadata = extractMetadata('', finalUrl);
+      return { ...metadata, image: contentType.startsWith('image/') ? finalUrl : null, contentType };
+    }
+
+    const html = await response.text();
+    let metadata = extractMetadata(html.slice(0, 1000000), finalUrl);
 
-    // Check for paywall indicators
-    if (result.includes('Subscribe') && result.includes('sign in') ||
-        result.includes('This article is for subscribers') ||
-        result.length < 1000) {
-      return { text: result, source: 'direct', paywalled: true };
+    if (metadata.oembedUrl) {
+      try {
+        const oembedResponse = await fetchFn(metadata.oembedUrl, { signal: AbortSignal.timeout(10000) });
+        if (oembedResponse.ok) {
+          metadata = mergeOembed(metadata, await oembedResponse.json());
+        }
+      } catch (error) {
+        console.log(`  oEmbed lookup failed for ${url}: ${error.message}`);
+      }
     }
 
-    return { text: result, source: 'direct', paywalled: false };
+    return { ...metadata, contentType };
   } catch (error) {
-    throw error;
+    console.log(`  Could not read metadata for ${url}: ${error.message}`);
+    return null;
   }
 }
 
-export async function fetchContent(url, type, config) {
-  // Use GitHub API for GitHub URLs
-  if (type === 'github') {
+export async function fetchContent(url, type, config, options = {}) {
+  const rule = getDomainRule(config, url);
+  if (rule.skipFetch) {
+    return { url, source: 'skipped', note: 'Fetching disabled for this domain (config.domains)' };
+  }
+
+  // Site-specific extractors (GitHub, packages, arXiv, video, podcasts, config modules)
+  const extractor = findExtractor(url);
+  if (extractor) {
     try {
-      const ghContent = await fetchGitHubContent(url);
-      return { ...ghContent, source: 'github-api' };
+      const context = {
+        config,
+        headers: getRuleHeaders(rule),
+        cache: options.cache,
+        fetch: options.fetch,
+        fetchLink: async (link) => linkContent(await fetchContent(link, classifyLink(link), config, options))
+      };
+      const content = await runExtractor(extractor, url, context, options.cache);
+      if (content) return content;
     } catch (error) {
-      console.log(`  GitHub API failed: ${error.message}`);
+      console.log(`  ${extractor.name} extractor failed for ${url}: ${error.message}`);
     }
+    // Videos and episodes have no article text worth fetching instead
+    if (extractor.fallback === false) return null;
   }
 
-  // For paywalled sites, note for manual handling or custom bypass
-  if (isPaywalled(url)) {
+  // For paywalled sites, go straight to archived snapshots
+  if (rule.paywalled) {
     console.log(`  Paywalled domain detected: ${url}`);
+    const snapshot = await fetchSnapshot(url, config, options);
+    if (snapshot) return snapshot;
     return {
       url,
       source: 'paywalled',
-      note: 'Content requires paywall bypass - see README for options'
+      note: 'Content requires paywall bypass - no archived snapshot found (see README for options)'
     };
   }
 
-  // Try direct fetch for other URLs
-  return await fetchArticleContent(url);
+  // Sites configured to prefer archived copies, still fetched directly as a fallback
+  if (rule.alwaysArchive) {
+    const snapshot = await fetchSnapshot(url, config, options);
+    if (snapshot) return snapshot;
+  }
+
+  // Try direct fetch for other URLs, falling back to snapshots behind a paywall
+  let article;
+  try {
+    article = await fetchArticleContent(url, { ...options, headers: getRuleHeaders(rule) });
+  } catch (error) {
+    // Blocked, missing or failing pages may still have an archived copy
+    const snapshot = error.status && !rule.alwaysArchive ? await fetchSnapshot(url, config, options) : null;
+    if (snapshot) return snapshot;
+    throw error;
+  }
+  if (article.paywalled && !rule.alwaysArchive) {
+    const snapshot = await fetchSnapshot(url, config, options);
+    if (snapshot) return snapshot;
+  }
+  return article;
+}
+
+/**
+ * The `content` kept on a prepared link for a fetchContent result. Pages are
+ * cut down to their readable text; extractor results are already shaped
+ * (GitHub kinds, arXiv, video, ...) and pass through.
+ */
+function linkContent(fetchResult) {
+  if (!fetchResult) return null;
+  if (!PAGE_SOURCES.includes(fetchResult.source)) return { ...fetchResult };
+  return {
+    title: fetchResult.title || null,
+    byline: fetchResult.byline || null,
+    published: fetchResult.published || null,
+    siteName: fetchResult.siteName || null,
+    wordCount: fetchResult.wordCount ?? null,
+    text: fetchResult.text?.slice(0, 10000),
+    source: fetchResult.source,
+    paywalled: fetchResult.paywalled,
+    ...(fetchResult.pageCount && { pageCount: fetchResult.pageCount }),
+    ...(fetchResult.note && { note: fetchResult.note }),
+    ...(fetchResult.source === 'archive' && {
+      archiveService: fetchResult.archiveService,
+      snapshotUrl: fetchResult.snapshotUrl,
+      snapshotDate: fetchResult.snapshotDate
+    })
+  };
+}
+
+/**
+ * Archived copy of a paywalled page (see snapshots.js); only successes are cached
+ */
+async function fetchSnapshot(url, config, options = {}) {
+  if (options.cache) {
+    return options.cache.remember('snapshot', url, () => fetchFromSnapshots(url, config, { fetch: options.fetch }), snapshot => !!snapshot);
+  }
+  return fetchFromSnapshots(url, config, { fetch: options.fetch });
+}
+
+/**
+ * Classify an expanded URL into a link type (no network access). Links an
+ * extractor handles take its type (see extractors/index.js).
+ */
+export function classifyLink(url) {
+  const extractor = findExtractor(url);
+  if (extractor) {
+    return extractor.type || extractor.name;
+  } else if (matchesDomain(getHostname(url), 'x.com') || matchesDomain(getHostname(url), 'twitter.com')) {
+    if (url.includes('/photo/') || url.includes('/video/')) {
+      return 'media';
+    }
+    return 'tweet';
+  } else if (url.match(/\.(jpg|jpeg|png|gif|webp)$/i)) {
+    return 'image';
+  } else if (isPaperUrl(url)) {
+    return 'paper';
+  }
+  return 'article';
+}
+
+// Preprint servers and proceedings whose links are research papers
+const PAPER_DOMAINS = ['arxiv.org', 'openreview.net', 'biorxiv.org', 'medrxiv.org', 'aclanthology.org', 'proceedings.mlr.press', 'papers.nips.cc', 'proceedings.neurips.cc'];
+
+function isPaperUrl(url) {
+  const hostname = getHostname(url);
+  if (PAPER_DOMAINS.some(domain => matchesDomain(hostname, domain))) return true;
+  try {
+    return /\.pdf$/i.test(new URL(url).pathname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Format a tweet's createdAt as a date section header ("Tuesday, December 16, 2025").
+ * Falls back to today when the tweet has no timestamp.
+ */
+export function formatBookmarkDate(config, createdAt) {
+  const tz = config.timezone || 'America/New_York';
+  const date = createdAt ? dayjs(createdAt).tz(tz) : dayjs().tz(tz);
+  return date.format('dddd, MMMM D, YYYY');
 }
 
 export function getExistingBookmarkIds(config) {
   try {
     const content = fs.readFileSync(config.archiveFile, 'utf8');
-    const matches = content.matchAll(/x\.com\/\w+\/status\/(\d+)/g);
-    return new Set([...matches].map(m => m[1]));
+    // Older entries may link twitter.com or mobile.twitter.com
+    const urls = content.match(/https?:\/\/(?:[\w-]+\.)*(?:x|twitter)\.com\/[^\s)\]>]+/g) || [];
+    return new Set(urls.map(tweetIdFromUrl).filter(Boolean));
   } catch {
     return new Set();
   }
 }
 
+/**
+ * IDs of bookmarks already waiting in the pending file
+ */
+export function getPendingIds(config) {
+  try {
+    if (fs.existsSync(config.pendingFile)) {
+      const pending = JSON.parse(fs.readFileSync(config.pendingFile, 'utf8'));
+      return new Set((pending.bookmarks || []).map(b => b.id.toString()));
+    }
+  } catch (e) {}
+  return new Set();
+}
+
+/**
+ * Merge prepared bookmarks into the pending file, skipping IDs already there.
+ * Returns { added, total }.
+ */
+export function mergeIntoPending(config, prepared, generatedAt) {
+  let existingPending = { bookmarks: [] };
+  try {
+    if (fs.existsSync(config.pendingFile)) {
+      const parsed = JSON.parse(fs.readFileSync(config.pendingFile, 'utf8'));
+      existingPending = { ...parsed, bookmarks: parsed.bookmarks || [] };
+    }
+  } catch (e) {}
+
+  const existingPendingIds = new Set(existingPending.bookmarks.map(b => b.id));
+  const newBookmarks = prepared.filter(b => !existingPendingIds.has(b.id));
+
+  // Merge and sort by createdAt ascending (oldest first)
+  // This ensures when processed, oldest get added first, newest end up on top
+  const allBookmarks = [...existingPending.bookmarks, ...newBookmarks];
+  allBookmarks.sort((a, b) => {
+    const dateA = a.createdAt ? new Date(a.createdAt).getTime() : 0;
+    const dateB = b.createdAt ? new Date(b.createdAt).getTime() : 0;
+    return dateA - dateB; // Ascending: oldest first
+  });
+
+  const output = {
+    generatedAt,
+    count: allBookmarks.length,
+    bookmarks: allBookmarks
+  };
+
+  const pendingDir = path.dirname(config.pendingFile);
+  if (!fs.existsSync(pendingDir)) {
+    fs.mkdirSync(pendingDir, { recursive: true });
+  }
+  fs.writeFileSync(config.pendingFile, JSON.stringify(output, null, 2));
+
+  return { added: newBookmarks.length, total: output.count };
+}
+
 export async function fetchAndPrepareBookmarks(options = {}) {
   const config = loadConfig(options.configPath);
   const now = dayjs().tz(config.timezone || 'America/New_York');
   console.log(`[${now.format()}] Fetching and preparing bookmarks...`);
+  await loadExtractorModules(config);
 
   const state = loadState(config);
   const source = options.source || config.source || 'bookmarks';
   const includeMedia = options.includeMedia ?? config.includeMedia ?? false;
-  const configWithOptions = { ...config, source, includeMedia };
+  const unrollThreads = options.threads ?? config.unrollThreads ?? false;
+  const replyContextDepth = options.contextDepth ?? config.replyContextDepth ?? 1;
+  const configWithOptions = { ...config, source, includeMedia, unrollThreads, replyContextDepth };
   const count = options.count || 20;
 
-  // Build fetch options for pagination
+  // Get IDs already processed or pending
+  const existingIds = getExistingBookmarkIds(config);
+  const pendingIds = getPendingIds(config);
+
+  // Build fetch options for pagination. Checkpoints are only written back
+  // after the fetched tweets are safely in the pending file.
+  const pagination = {
+    saved: options.force ? {} : (state.pagination || {}),
+    updates: {},
+    knownIds: options.force ? new Set() : new Set([...existingIds, ...pendingIds])
+  };
   const fetchOptions = {
     all: options.all || count > 50,
-    maxPages: options.maxPages
+    maxPages: options.maxPages,
+    likesCount: options.likesCount,
+    likesMaxPages: options.likesMaxPages,
+    pagination
+  };
+
+  const saveFetchState = () => {
+    state.last_check = now.toISOString();
+    state.pagination = { ...state.pagination, ...pagination.updates };
+    saveState(config, state);
   };
 
   let tweets = [];
-  const hasFolders = Object.keys(config.folders || {}).length > 0;
+  let discover = !!configWithOptions.autoDiscoverFolders && source === 'bookmarks';
+  if (discover && !canListFolders(configWithOptions)) {
+    console.warn(`autoDiscoverFolders is on, but the ${configWithOptions.sourceAdapter || 'bird'} source can't list folders; using configured folders only`);
+    discover = false;
+  }
+  // Discovery only switches to folder fetching once it has found a folder
+  const folders = discover ? await discoverFolders(configWithOptions) : config.folders || {};
+  const hasFolders = Object.keys(folders).length > 0;
 
   if (hasFolders && source === 'bookmarks') {
-    // Fetch from each configured folder with tags
-    console.log(`Fetching from ${Object.keys(config.folders).length} folder(s)${includeMedia ? ' (with media)' : ''}`);
-    tweets = fetchFromFolders(configWithOptions, count, fetchOptions);
+    // Fetch from each configured (or discovered) folder with tags
+    console.log(`Fetching from bookmark folders${includeMedia ? ' (with media)' : ''}`);
+    tweets = await fetchFromFolders(configWithOptions, count, { ...fetchOptions, folders });
   } else {
     // Normal fetch from source
     console.log(`Fetching from source: ${source}${includeMedia ? ' (with media)' : ''}${fetchOptions.all ? ' (paginated)' : ''}`);
-    tweets = fetchFromSource(configWithOptions, count, fetchOptions);
+    tweets = await fetchFromSource(configWithOptions, count, fetchOptions);
   }
 
   if (!tweets || tweets.length === 0) {
     console.log(`No ${source} found`);
+    saveFetchState();
     return { bookmarks: [], count: 0 };
   }
 
-  // Get IDs already processed or pending
-  const existingIds = getExistingBookmarkIds(config);
-  let pendingIds = new Set();
-  try {
-    if (fs.existsSync(config.pendingFile)) {
-      const pending = JSON.parse(fs.readFileSync(config.pendingFile, 'utf8'));
-      pendingIds = new Set((pending.bookmarks || []).map(b => b.id.toString()));
-    }
-  } catch (e) {}
-
   // Determine which tweets to process
   let toProcess;
   if (options.specificIds) {
@@ -431,112 +980,115 @@ export async function fetchAndPrepareBookmarks(options = {}) {
 
   if (toProcess.length === 0) {
     console.log('No new tweets to process');
+    saveFetchState();
     return { bookmarks: [], count: 0 };
   }
 
   console.log(`Preparing ${toProcess.length} tweets with parallel processing...`);
 
   const prepared = [];
-  const MAX_CONCURRENT = 5;
+  // Links already resolved on earlier runs (or by --force) come from disk
+  const cache = createCache(config, { refresh: options.refreshCache });
+
+  // Every request made while preparing (pages, APIs, redirects) goes through
+  // scheduledFetch and waits for its host's turn; cached links make no
+  // requests and aren't held up. It's passed down explicitly rather than
+  // installed as the global fetch, so nothing else in the process is paced
+  const scheduler = createScheduler(config);
+  const scheduledFetch = scheduler.wrapFetch(fetch);
+  const linkOptions = { cache, fetch: scheduledFetch };
 
   async function processBookmark(bookmark) {
     try {
       const text = bookmark.text || bookmark.full_text || '';
 
-      let date;
-      if (bookmark.createdAt) {
-        const tweetDate = dayjs(bookmark.createdAt).tz(config.timezone || 'America/New_York');
-        date = tweetDate.format('dddd, MMMM D, YYYY');
-      } else {
-        date = now.format('dddd, MMMM D, YYYY');
-      }
+      const date = formatBookmarkDate(config, bookmark.createdAt);
       const author = bookmark.author?.username || bookmark.user?.screen_name || 'unknown';
 
-      const tcoLinks = text.match(/https?:\/\/t\.co\/\w+/g) || [];
+      // Threads pull in links from every tweet the author wrote in the chain
+      const thread = unrollThreads ? await collectThread(config, bookmark, config.threadMaxTweets) : null;
+      const threadTweets = thread || [bookmark];
+      const tcoLinks = [...new Set(threadTweets.flatMap(t =>
+        (t.text || t.full_text || '').match(/https?:\/\/t\.co\/\w+/g) || []
+      ))];
 
       const linkPromises = tcoLinks.map(async (link) => {
-        const expanded = await expandTcoLink(link);
-
-        let type = 'unknown';
+        const resolved = await expandLink(link, linkOptions);
+        const expanded = canonicalizeUrl(resolved.url);
+
+        // A t.co link that never answered tells us nothing about its target,
+        // and a dead one (404/410) has nothing left to fetch
+        const unresolved = !!resolved.error && resolved.chain.length === 0;
+        const type = unresolved ? 'unresolved' : classifyLink(expanded);
+        const fetchable = !unresolved && !resolved.dead;
         let content = null;
+        let metadata = null;
 
-        if (expanded.includes('github.com')) {
-          type = 'github';
-        } else if (expanded.includes('youtube.com') || expanded.includes('youtu.be')) {
-          type = 'video';
-        } else if (expanded.includes('x.com') || expanded.includes('twitter.com')) {
-          if (expanded.includes('/photo/') || expanded.includes('/video/')) {
-            type = 'media';
-          } else {
-            type = 'tweet';
-            const tweetIdMatch = expanded.match(/status\/(\d+)/);
-            if (tweetIdMatch) {
-              const quotedTweetId = tweetIdMatch[1];
-              const quotedTweet = fetchTweet(config, quotedTweetId);
-              if (quotedTweet) {
-                content = {
-                  id: quotedTweet.id,
-                  author: quotedTweet.author?.username || 'unknown',
-                  authorName: quotedTweet.author?.name || quotedTweet.author?.username || 'unknown',
-                  text: quotedTweet.text || quotedTweet.full_text || '',
-                  tweetUrl: `https://x.com/${quotedTweet.author?.username || 'unknown'}/status/${quotedTweet.id}`,
-                  source: 'quote-tweet'
-                };
-              }
+        if (type === 'tweet') {
+          const quotedTweetId = tweetIdFromUrl(expanded);
+          if (quotedTweetId) {
+            const quotedTweet = await fetchTweet(config, quotedTweetId);
+            if (quotedTweet) {
+              content = {
+                id: quotedTweet.id,
+                author: quotedTweet.author?.username || 'unknown',
+                authorName: quotedTweet.author?.name || quotedTweet.author?.username || 'unknown',
+                text: quotedTweet.text || quotedTweet.full_text || '',
+                tweetUrl: `https://x.com/${quotedTweet.author?.username || 'unknown'}/status/${quotedTweet.id}`,
+                source: 'quote-tweet'
+              };
             }
           }
-        } else if (expanded.match(/\.(jpg|jpeg|png|gif|webp)$/i)) {
-          type = 'image';
-        } else {
-          type = 'article';
         }
 
-        if (type === 'article' || type === 'github') {
+        if (fetchable && !['tweet', 'media', 'image'].includes(type)) {
           try {
-            const fetchResult = await fetchContent(expanded, type, config);
+            const fetchResult = await fetchContent(expanded, type, config, linkOptions);
 
-            if (fetchResult.source === 'github-api') {
-              content = {
-                name: fetchResult.name,
-                fullName: fetchResult.fullName,
-                description: fetchResult.description,
-                stars: fetchResult.stars,
-                language: fetchResult.language,
-                topics: fetchResult.topics,
-                readme: fetchResult.readme,
-                url: fetchResult.url,
-                source: 'github-api'
-              };
-            } else {
-              content = {
-                text: fetchResult.text?.slice(0, 10000),
-                source: fetchResult.source,
-                paywalled: fetchResult.paywalled
-              };
+            if (PAGE_SOURCES.includes(fetchResult?.source)) {
+              metadata = fetchResult.metadata || null;
             }
+            content = linkContent(fetchResult);
           } catch (error) {
             content = { error: error.message };
           }
         }
 
-        return { original: link, expanded, type, content };
+        // Paywalled pages still publish OpenGraph tags; images and unrecognized
+        // links only ever get metadata, as do videos and episodes whose
+        // extractor found nothing
+        const rule = getDomainRule(config, expanded);
+        const hasOwnMetadata = content?.source && (content.source === 'pdf' || !PAGE_SOURCES.includes(content.source));
+        if (fetchable && !metadata && !hasOwnMetadata && !content?.error && !rule.skipFetch &&
+            !['github', 'tweet', 'media'].includes(type)) {
+          metadata = await fetchLinkMetadata(expanded, { ...linkOptions, headers: getRuleHeaders(rule) });
+        }
+
+        return {
+          original: link,
+          expanded,
+          type,
+          status: resolved.status,
+          redirects: resolved.chain,
+          ...(resolved.dead && { dead: true }),
+          ...(unresolved && { error: resolved.error }),
+          content,
+          metadata
+        };
       });
 
       const links = await Promise.all(linkPromises);
 
-      let replyContext = null;
-      if (bookmark.inReplyToStatusId) {
-        const parentTweet = fetchTweet(config, bookmark.inReplyToStatusId);
-        if (parentTweet) {
-          replyContext = {
-            id: parentTweet.id,
-            author: parentTweet.author?.username || 'unknown',
-            authorName: parentTweet.author?.name || parentTweet.author?.username || 'unknown',
-            text: parentTweet.text || parentTweet.full_text || '',
-            tweetUrl: `https://x.com/${parentTweet.author?.username || 'unknown'}/status/${parentTweet.id}`
-          };
-        }
-      }
+      // For threads, reply context belongs to the thread root, not the bookmark
+      const contextTweet = threadTweets[0];
+      const ancestors = contextTweet.inReplyToStatusId
+        ? await collectConversation(config, contextTweet, replyContextDepth, threadTweets.map(t => t.id))
+        : [];
+      // replyContext stays the immediate parent; conversation is the full chain
+      const replyContext = ancestors.length > 0 ? summarizeTweet(ancestors[ancestors.length - 1]) : null;
+      const conversation = ancestors.length > 0
+        ? ancestors.map(t => ({ ...summarizeTweet(t), createdAt: t.createdAt }))
+        : null;
 
       let quoteContext = null;
       if (bookmark.quotedTweet) {
@@ -564,11 +1116,19 @@ export async function fetchAndPrepareBookmarks(options = {}) {
         links,
         media,
         tags,
+        origin: bookmark._origin || 'bookmark',
         date,
-        isReply: !!bookmark.inReplyToStatusId,
+        isReply: !!contextTweet.inReplyToStatusId,
         replyContext,
+        conversation,
         isQuote: !!quoteContext,
-        quoteContext
+        quoteContext,
+        isThread: !!thread,
+        thread: thread ? thread.map(t => ({
+          ...summarizeTweet(t),
+          createdAt: t.createdAt,
+          bookmarked: String(t.id) === String(bookmark.id)
+        })) : null
       };
 
     } catch (error) {
@@ -577,57 +1137,25 @@ export async function fetchAndPrepareBookmarks(options = {}) {
     }
   }
 
-  for (let i = 0; i < toProcess.length; i += MAX_CONCURRENT) {
-    const batch = toProcess.slice(i, i + MAX_CONCURRENT);
-    console.log(`  Processing batch ${Math.floor(i / MAX_CONCURRENT) + 1}/${Math.ceil(toProcess.length / MAX_CONCURRENT)}...`);
-    const results = await Promise.all(batch.map(processBookmark));
-    for (const result of results) {
-      if (result) {
-        prepared.push(result);
-        const mediaInfo = result.media.length > 0 ? ` (${result.media.length} media)` : '';
-        const tagInfo = result.tags.length > 0 ? ` [${result.tags.join(', ')}]` : '';
-        console.log(`  ✓ @${result.author}: ${result.links.length} links${mediaInfo}${tagInfo}`);
-      }
+  let done = 0;
+  const results = await runPool(toProcess, scheduler.concurrency, async (bookmark) => {
+    const result = await processBookmark(bookmark);
+    done++;
+    if (result) {
+      const mediaInfo = result.media.length > 0 ? ` (${result.media.length} media)` : '';
+      const tagInfo = result.tags.length > 0 ? ` [${result.tags.join(', ')}]` : '';
+      const threadInfo = result.isThread ? ` (thread of ${result.thread.length})` : '';
+      console.log(`  ✓ [${done}/${toProcess.length}] @${result.author}: ${result.links.length} links${mediaInfo}${tagInfo}${threadInfo}`);
     }
-  }
-
-  // Merge prepared bookmarks into pending file
-  let existingPending = { bookmarks: [] };
-  try {
-    if (fs.existsSync(config.pendingFile)) {
-      const parsed = JSON.parse(fs.readFileSync(config.pendingFile, 'utf8'));
-      existingPending = { bookmarks: parsed.bookmarks || [], ...parsed };
-    }
-  } catch (e) {}
-
-  const existingPendingIds = new Set(existingPending.bookmarks.map(b => b.id));
-  const newBookmarks = prepared.filter(b => !existingPendingIds.has(b.id));
-
-  // Merge and sort by createdAt ascending (oldest first)
-  // This ensures when processed, oldest get added first, newest end up on top
-  const allBookmarks = [...existingPending.bookmarks, ...newBookmarks];
-  allBookmarks.sort((a, b) => {
-    const dateA = a.createdAt ? new Date(a.createdAt).getTime() : 0;
-    const dateB = b.createdAt ? new Date(b.createdAt).getTime() : 0;
-    return dateA - dateB; // Ascending: oldest first
+    return result;
   });
+  // Kept in bookmark order, whichever finished first
+  prepared.push(...results.filter(Boolean));
 
-  const output = {
-    generatedAt: now.toISOString(),
-    count: allBookmarks.length,
-    bookmarks: allBookmarks
-  };
-
-  const pendingDir = path.dirname(config.pendingFile);
-  if (!fs.existsSync(pendingDir)) {
-    fs.mkdirSync(pendingDir, { recursive: true });
-  }
-  fs.writeFileSync(config.pendingFile, JSON.stringify(output, null, 2));
-  console.log(`\nMerged ${newBookmarks.length} new bookmarks into ${config.pendingFile} (total: ${output.count})`);
+  const merged = mergeIntoPending(config, prepared, now.toISOString());
+  console.log(`\nMerged ${merged.added} new bookmarks into ${config.pendingFile} (total: ${merged.total})`);
 
-  // Update state
-  state.last_check = now.toISOString();
-  saveState(config, state);
+  saveFetchState();
 
   return { bookmarks: prepared, count: prepared.length, pendingFile: config.pendingFile };
 }
@@ -0,0 +1,269 @@
+/**
+ * Article extraction - Turns a fetched HTML page into clean markdown body text
+ *
+ * A small readability-style pass:
+ * 1. Drop markup that is never content (scripts, nav, footers, share bars, ...)
+ * 2. Pick the content root: <article>, [itemprop=articleBody], <main>, or the
+ *    element whose paragraphs score highest (text length, commas, class hints,
+ *    low link density)
+ * 3. Render that subtree as markdown (headings, lists, quotes, code, links)
+ *
+ * Title, byline, published date and site name come from metadata.js.
+ */
+
+import { findAll, findFirst, parseHtml, textContent } from './html.js';
+import { readMetadata } from './metadata.js';
+
+const REMOVE_TAGS = new Set([
+  'script', 'style', 'noscript', 'iframe', 'svg', 'canvas', 'form', 'button',
+  'input', 'select', 'textarea', 'nav', 'footer', 'aside', 'template', 'object', 'embed'
+]);
+
+const UNLIKELY = /\b(byline|dateline|comment|sidebar|footer|nav|menu|breadcrumb|share|sharing|social|related|recommend|promo|sponsor|advert|ad-|ads\b|cookie|consent|newsletter|signup|subscribe|popup|modal|banner|masthead|skip-link|toolbar|pagination)/i;
+const LIKELY = /\b(article|body|content|entry|main|post|story|text|prose|markdown)/i;
+const POSITIVE = /\b(article|body|content|entry|main|post|story|text|prose|blog)/i;
+const NEGATIVE = /\b(comment|meta|footer|footnote|sidebar|widget|share|related|promo|byline|author|caption|hidden)/i;
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'figure', 'figcaption',
+  'table', 'tr', 'dl', 'dt', 'dd', 'address', 'details', 'summary', 'center'
+]);
+
+function classAndId(node) {
+  return `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+}
+
+function isHidden(node) {
+  const style = (node.attrs.style || '').replace(/\s/g, '').toLowerCase();
+  return 'hidden' in node.attrs || node.attrs['aria-hidden'] === 'true' ||
+    style.includes('display:none') || style.includes('visibility:hidden');
+}
+
+/**
+ * Remove non-content elements in place
+ */
+function prune(node) {
+  node.children = node.children.filter(child => {
+    if (child.type !== 'element') return true;
+    if (REMOVE_TAGS.has(child.tag) || isHidden(child)) return false;
+    const hints = classAndId(child);
+    // Keep anything that also looks like content, and never drop the body itself
+    if (child.tag !== 'body' && child.tag !== 'article' && UNLIKELY.test(hints) && !LIKELY.test(hints)) return false;
+    prune(child);
+    return true;
+  });
+}
+
+function linkDensity(node) {
+  const total = textContent(node).length;
+  if (total === 0) return 0;
+  const linked = findAll(node, n => n.tag === 'a').reduce((sum, a) => sum + textContent(a).length, 0);
+  return linked / total;
+}
+
+function classWeight(node) {
+  const hints = classAndId(node);
+  let weight = 0;
+  if (POSITIVE.test(hints)) weight += 25;
+  if (NEGATIVE.test(hints)) weight -= 25;
+  return weight;
+}
+
+/**
+ * Score paragraph containers and return the best one
+ */
+function findBestCandidate(body) {
+  const scores = new Map();
+  const addScore = (node, amount) => {
+    if (!node || node.tag === '#root' || node.tag === 'html') return;
+    if (!scores.has(node)) scores.set(node, classWeight(node));
+    scores.set(node, scores.get(node) + amount);
+  };
+
+  for (const p of findAll(body, n => n.tag === 'p' || n.tag === 'pre' || n.tag === 'td')) {
+    const text = textContent(p);
+    if (text.length < 25) continue;
+    const score = 1 + text.split(/[,，]/).length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(p.parent, score);
+    addScore(p.parent?.parent, score / 2);
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const [node, score] of scores) {
+    const adjusted = score * (1 - linkDensity(node));
+    if (adjusted > bestScore) {
+      best = node;
+      bestScore = adjusted;
+    }
+  }
+  return best;
+}
+
+function pickContentRoot(body) {
+  const articles = findAll(body, n => n.tag === 'article' || n.attrs.itemprop === 'articleBody');
+  if (articles.length > 0) {
+    // Pages sometimes wrap teasers in <article>; take the one with the most text
+    return articles.reduce((a, b) => (textContent(b).length > textContent(a).length ? b : a));
+  }
+  const main = findFirst(body, n => n.tag === 'main' || n.attrs.role === 'main');
+  if (main && textContent(main).length > 200) return main;
+  return findBestCandidate(body) || body;
+}
+
+// ============================================================================
+// Markdown rendering
+// ============================================================================
+
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+function renderInline(node, baseUrl) {
+  if (node.type === 'text') return node.text.replace(/\s+/g, ' ');
+
+  const inner = () => node.children.map(c => renderInline(c, baseUrl)).join('');
+  switch (node.tag) {
+    case 'br':
+      return '\n';
+    case 'img':
+      return '';
+    case 'strong':
+    case 'b': {
+      const text = inner().trim();
+      return text ? `**${text}**` : '';
+    }
+    case 'em':
+    case 'i': {
+      const text = inner().trim();
+      return text ? `_${text}_` : '';
+    }
+    case 'code':
+      return `\`${textContent(node)}\``;
+    case 'a': {
+      const text = inner().trim();
+      const href = resolveUrl(node.attrs.href, baseUrl);
+      if (!text) return '';
+      return href && /^https?:/.test(href) ? `[${text}](${href})` : text;
+    }
+    default:
+      return inner();
+  }
+}
+
+function renderBlocks(node, baseUrl, blocks) {
+  let inline = [];
+  const flush = () => {
+    const text = inline.join('').replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+    if (text) blocks.push(text);
+    inline = [];
+  };
+
+  for (const child of node.children) {
+    if (child.type === 'text' || !isBlock(child)) {
+      inline.push(renderInline(child, baseUrl));
+      continue;
+    }
+    flush();
+
+    const tag = child.tag;
+    if (/^h[1-6]$/.test(tag)) {
+      const text = renderInline(child, baseUrl).replace(/\s+/g, ' ').trim();
+      if (text) blocks.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+    } else if (tag === 'ul' || tag === 'ol') {
+      const items = child.children.filter(c => c.type === 'element' && c.tag === 'li');
+      const lines = items.map((li, i) => {
+        const text = renderNested(li, baseUrl).replace(/\n+/g, '\n  ');
+        return `${tag === 'ol' ? `${i + 1}.` : '-'} ${text}`;
+      }).filter(line => line.trim().length > 2);
+      if (lines.length) blocks.push(lines.join('\n'));
+    } else if (tag === 'blockquote') {
+      const text = renderNested(child, baseUrl);
+      if (text) blocks.push(text.split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+    } else if (tag === 'pre') {
+      const code = child.children.map(c => (c.type === 'text' ? c.text : textContentRaw(c))).join('').replace(/\n+$/, '');
+      if (code.trim()) blocks.push('```\n' + code + '\n```');
+    } else if (tag === 'hr') {
+      blocks.push('---');
+    } else if (tag === 'tr') {
+      const cells = child.children.filter(c => c.type === 'element' && (c.tag === 'td' || c.tag === 'th'));
+      const row = cells.map(c => renderInline(c, baseUrl).replace(/\s+/g, ' ').trim()).join(' | ');
+      if (row.trim()) blocks.push(row);
+    } else {
+      renderBlocks(child, baseUrl, blocks);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+function isBlock(node) {
+  return BLOCK_TAGS.has(node.tag) || /^h[1-6]$/.test(node.tag) ||
+    ['ul', 'ol', 'li', 'blockquote', 'pre', 'hr', 'tbody', 'thead', 'tfoot'].includes(node.tag);
+}
+
+function renderNested(node, baseUrl) {
+  return renderBlocks(node, baseUrl, []).join('\n\n');
+}
+
+function textContentRaw(node) {
+  if (node.type === 'text') return node.text;
+  if (node.tag === 'br') return '\n';
+  return node.children.map(textContentRaw).join('');
+}
+
+/**
+ * Render an element subtree as markdown
+ */
+export function toMarkdown(node, baseUrl) {
+  return renderNested(node, baseUrl).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// ============================================================================
+// Entry point
+// ============================================================================
+
+/**
+ * Extract readable article content from a page.
+ *
+ * Returns { title, byline, published, siteName, text, wordCount, excerpt, metadata }.
+ * text is markdown; wordCount counts words in text; metadata is the full
+ * readMetadata() result for the page.
+ */
+export function extractArticle(html, url = null) {
+  const root = parseHtml(html || '');
+  const metadata = readMetadata(root, url);
+  const { title, published, siteName } = metadata;
+
+  // Metadata is read above, before prune() drops byline elements
+  const body = findFirst(root, n => n.tag === 'body') || root;
+  prune(body);
+  const contentRoot = pickContentRoot(body);
+  let text = toMarkdown(contentRoot, url);
+
+  // Drop a leading heading that just repeats the title
+  if (title) {
+    const firstLine = text.split('\n', 1)[0];
+    if (/^#{1,2} /.test(firstLine) && firstLine.replace(/^#+ /, '').trim() === title) {
+      text = text.slice(firstLine.length).trim();
+    }
+  }
+
+  const wordCount = (text.replace(/\]\([^)]*\)/g, ']').match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length;
+
+  return {
+    title,
+    byline: metadata.author,
+    published,
+    siteName,
+    text,
+    wordCount,
+    excerpt: metadata.description,
+    metadata
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * Redirect chains - Where a link ends up, and whether anything is there
+ *
+ * Redirects are followed one hop at a time so the whole chain is recorded
+ * (t.co -> bit.ly -> example.com/post). Each hop tries HEAD first, since it
+ * skips the body, and retries with GET when HEAD fails or is refused: plenty
+ * of servers answer HEAD with 403, 404 or 405, or drop the connection.
+ *
+ * A final 404 or 410 marks the link dead, so it can be noted in the archive
+ * rather than fetched and filed.
+ */
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36';
+
+const MAX_HOPS = 10;
+
+const DEAD_STATUSES = [404, 410];
+
+async function request(url, method, timeout, fetchFn) {
+  const response = await fetchFn(url, {
+    method,
+    redirect: 'manual',
+    headers: { 'User-Agent': USER_AGENT },
+    signal: AbortSignal.timeout(timeout)
+  });
+  // Only the status and Location header matter; not awaited, since a
+  // cancel can wait on the server
+  response.body?.cancel().catch(() => {});
+  return response;
+}
+
+/**
+ * One hop: HEAD, falling back to GET on an error status or a failed request
+ */
+async function requestHop(url, timeout, fetchFn) {
+  try {
+    const response = await request(url, 'HEAD', timeout, fetchFn);
+    if (response.status < 400) return { response, method: 'HEAD' };
+  } catch {
+    // Retried with GET below
+  }
+  return { response: await request(url, 'GET', timeout, fetchFn), method: 'GET' };
+}
+
+/**
+ * Follow a link's redirects
+ *
+ * Options:
+ *   timeout - per request, in ms (default 10000)
+ *   maxHops - redirects to follow before giving up (default 10)
+ *   fetch   - replaces the global fetch (e.g. a scheduled one)
+ *
+ * Returns { url, status, dead, chain: [{ url, status, method }], error }.
+ * url is the last URL reached (the input when the first request fails);
+ * status is its HTTP status, or null if no response arrived. error is set
+ * when the chain couldn't be finished (network failure, loop, too many hops).
+ */
+export async function resolveRedirects(url, options = {}) {
+  const timeout = options.timeout || 10000;
+  const maxHops = options.maxHops ?? MAX_HOPS;
+  const fetchFn = options.fetch ?? fetch;
+  const chain = [];
+  let current = url;
+
+  const result = (error = null) => {
+    const status = chain.length > 0 ? chain[chain.length - 1].status : null;
+    return { url: current, status, dead: DEAD_STATUSES.includes(status), chain, error };
+  };
+
+  for (let hop = 0; hop <= maxHops; hop++) {
+    let hopResult;
+    try {
+      hopResult = await requestHop(current, timeout, fetchFn);
+    } catch (error) {
+      return result(error.message);
+    }
+    const { response, method } = hopResult;
+    chain.push({ url: current, status: response.status, method });
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return result();
+    }
+
+    let next;
+    try {
+      next = new URL(location, current).href;
+    } catch {
+      return result(`Invalid redirect location: ${location}`);
+    }
+    if (chain.some(step => step.url === next)) {
+      return result(`Redirect loop at ${next}`);
+    }
+    current = next;
+  }
+
+  return result(`More than ${maxHops} redirects`);
+}
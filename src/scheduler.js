@@ -0,0 +1,161 @@
+/**
+ * Scheduler - Concurrency limit and per-host request rates for link fetching
+ *
+ * Bookmarks are prepared by a fixed number of workers, each picking up the
+ * next bookmark as soon as it finishes one, so a slow page holds up one
+ * worker instead of a whole batch.
+ *
+ * Requests are paced per host with token buckets: a host gets `burst`
+ * requests straight away, then `requestsPerSecond` after that. The rate for
+ * a host comes from its domain rule (config.domains, matched like the other
+ * rules in domains.js), falling back to config.scheduler.requestsPerSecond.
+ * A rate of 0 or null leaves the host unthrottled.
+ *
+ * Pacing applies to actual network requests, so links answered from the
+ * link cache cost nothing: wrapFetch() gates a fetch function, and
+ * fetchAndPrepareBookmarks passes the result down to every link lookup as
+ * options.fetch (the global fetch is left alone).
+ */
+
+import { getDomainRule, getHostname } from './domains.js';
+
+const systemClock = {
+  now: () => Date.now(),
+  sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+/**
+ * Token bucket allowing `burst` requests at once and `rate` per second after
+ * that. take() resolves when a request may go ahead; waiters are served in
+ * the order they asked.
+ */
+export function createTokenBucket(rate, burst = 1, clock = systemClock) {
+  const capacity = Math.max(1, burst);
+  let tokens = capacity;
+  let updated = clock.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = clock.now();
+    tokens = Math.min(capacity, tokens + ((now - updated) / 1000) * rate);
+    updated = now;
+  }
+
+  return {
+    take() {
+      const turn = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await clock.sleep(((1 - tokens) / rate) * 1000);
+          refill();
+        }
+        tokens -= 1;
+      });
+      queue = turn.catch(() => {});
+      return turn;
+    }
+  };
+}
+
+/**
+ * Run worker(item, index) over items with at most `limit` running at once.
+ * Resolves to the results in item order; a worker that throws rejects the run.
+ */
+export async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const lanes = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
+
+/**
+ * Shared cap on tasks running at once, for work that arrives piecemeal
+ * (runPool needs the whole list up front). run(task) starts task() when one
+ * of the `limit` slots is free and resolves or rejects with it; later tasks
+ * queue in arrival order.
+ */
+export function createLimiter(limit = 1) {
+  let active = 0;
+  const waiting = [];
+
+  // A freed slot goes straight to the next waiter, so a task arriving in
+  // between can't take it as well
+  function release() {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  }
+
+  return {
+    get active() {
+      return active;
+    },
+
+    async run(task) {
+      if (active >= Math.max(1, limit)) {
+        await new Promise(resolve => waiting.push(resolve));
+      } else {
+        active++;
+      }
+      try {
+        return await task();
+      } finally {
+        release();
+      }
+    }
+  };
+}
+
+/**
+ * Per-host pacing for a config (see above)
+ *
+ * Returns { concurrency, throttle(url), wrapFetch(fetchFn) }.
+ */
+export function createScheduler(config, options = {}) {
+  const settings = config.scheduler || {};
+  const clock = options.clock || systemClock;
+  const buckets = new Map();
+
+  function bucketFor(url) {
+    const hostname = getHostname(url);
+    if (!hostname) return null;
+    if (!buckets.has(hostname)) {
+      const rule = getDomainRule(config, url);
+      const rate = rule.requestsPerSecond !== undefined ? rule.requestsPerSecond : settings.requestsPerSecond;
+      const burst = rule.burst ?? settings.burst ?? 1;
+      buckets.set(hostname, rate > 0 ? createTokenBucket(rate, burst, clock) : null);
+    }
+    return buckets.get(hostname);
+  }
+
+  return {
+    concurrency: Math.max(1, settings.concurrency || 5),
+
+    /**
+     * Wait until a request to this URL's host may go ahead
+     */
+    async throttle(url) {
+      await bucketFor(url)?.take();
+    },
+
+    /**
+     * A fetch that waits its host's turn before calling fetchFn
+     */
+    wrapFetch(fetchFn) {
+      return async (input, init) => {
+        const url = typeof input === 'string' ? input : input?.url ?? String(input);
+        await this.throttle(url);
+        return fetchFn(input, init);
+      };
+    }
+  };
+}
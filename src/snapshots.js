@@ -0,0 +1,131 @@
+/**
+ * Archive snapshots - Fallback text for paywalled pages
+ *
+ * When a page is on a paywalled domain, or fetchArticleContent comes back
+ * flagged `paywalled`, we try archived copies in order (config.archiveFallback):
+ *
+ *   wayback       - Wayback Machine availability API, then the raw snapshot
+ *   archive.today - newest archive.ph capture, if one already exists
+ *   mirrors       - user URL templates, e.g. "https://mirror.example/{url}"
+ *
+ * The first snapshot whose extracted text looks like a real article wins,
+ * and the result records which service and snapshot URL supplied it.
+ * Nothing is ever submitted for archiving; we only read existing captures.
+ */
+
+import { extractArticle } from './readability.js';
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36';
+
+// archive.today serves captures from several mirror hosts
+const ARCHIVE_TODAY_CAPTURE = /^https?:\/\/archive\.(?:ph|today|is|li|vn|fo|md)\/[A-Za-z0-9]{4,}\/?$/;
+
+async function fetchPage(url, timeout, fetchFn) {
+  const response = await fetchFn(url, {
+    headers: { 'User-Agent': USER_AGENT },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(timeout)
+  });
+  return response;
+}
+
+/**
+ * Expand {url} and {encodedUrl} placeholders in a mirror template
+ */
+export function expandMirrorTemplate(template, url) {
+  return template
+    .replaceAll('{encodedUrl}', encodeURIComponent(url))
+    .replaceAll('{url}', url);
+}
+
+async function findWaybackSnapshot(url, timeout, fetchFn) {
+  const api = `https://archive.org/wayback/available?url=${encodeURIComponent(url)}`;
+  const response = await fetchPage(api, timeout, fetchFn);
+  if (!response.ok) return null;
+
+  const closest = (await response.json())?.archived_snapshots?.closest;
+  if (!closest?.available || !closest.timestamp) return null;
+
+  // id_ asks for the page as captured, without the Wayback toolbar
+  return {
+    fetchUrl: `https://web.archive.org/web/${closest.timestamp}id_/${url}`,
+    snapshotUrl: closest.url || `https://web.archive.org/web/${closest.timestamp}/${url}`,
+    snapshotDate: parseWaybackTimestamp(closest.timestamp)
+  };
+}
+
+function parseWaybackTimestamp(timestamp) {
+  const m = String(timestamp).match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?/);
+  if (!m) return null;
+  return `${m[1]}-${m[2]}-${m[3]}T${m[4] || '00'}:${m[5] || '00'}:${m[6] || '00'}Z`;
+}
+
+/**
+ * Resolve the snapshot candidates for one service. Returns
+ * { fetchUrl, snapshotUrl, snapshotDate } or null when the service has no copy.
+ */
+async function locateSnapshot(service, url, timeout, fetchFn) {
+  if (service === 'wayback') {
+    return findWaybackSnapshot(url, timeout, fetchFn);
+  }
+  if (service === 'archive.today') {
+    // /newest/<url> redirects to the latest capture; no capture means no redirect
+    return { fetchUrl: `https://archive.ph/newest/${url}`, requireCapture: true };
+  }
+  return null;
+}
+
+/**
+ * Try each configured archive service until one yields readable text.
+ *
+ * Returns { ...extractArticle() fields, source: 'archive', archiveService,
+ * snapshotUrl, snapshotDate, paywalled: false }, or null if nothing worked.
+ * options.fetch replaces the global fetch (e.g. a scheduled one).
+ */
+export async function fetchFromSnapshots(url, config = {}, options = {}) {
+  const settings = config.archiveFallback || {};
+  if (settings.enabled === false) return null;
+  const fetchFn = options.fetch ?? fetch;
+
+  const timeout = settings.timeout || 20000;
+  const minWords = settings.minWords ?? 150;
+  const attempts = [
+    ...(settings.services || ['wayback', 'archive.today']).map(service => ({ service })),
+    ...(settings.mirrors || []).map(template => ({
+      service: 'mirror',
+      snapshot: { fetchUrl: expandMirrorTemplate(template, url) }
+    }))
+  ];
+
+  for (const attempt of attempts) {
+    try {
+      const snapshot = attempt.snapshot || await locateSnapshot(attempt.service, url, timeout, fetchFn);
+      if (!snapshot) continue;
+
+      const response = await fetchPage(snapshot.fetchUrl, timeout, fetchFn);
+      if (!response.ok) continue;
+      const finalUrl = response.url || snapshot.fetchUrl;
+      if (snapshot.requireCapture && !ARCHIVE_TODAY_CAPTURE.test(finalUrl)) continue;
+
+      const article = extractArticle(await response.text(), url);
+      if (article.wordCount < minWords) {
+        console.log(`  ${attempt.service} snapshot too short (${article.wordCount} words): ${finalUrl}`);
+        continue;
+      }
+
+      console.log(`  Using ${attempt.service} snapshot: ${snapshot.snapshotUrl || finalUrl}`);
+      return {
+        ...article,
+        source: 'archive',
+        archiveService: attempt.service,
+        snapshotUrl: snapshot.snapshotUrl || finalUrl,
+        snapshotDate: snapshot.snapshotDate || null,
+        paywalled: false
+      };
+    } catch (error) {
+      console.log(`  ${attempt.service} lookup failed for ${url}: ${error.message}`);
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,139 @@
+/**
+ * bird CLI source adapter
+ *
+ * Runs the bird CLI (https://github.com/steipete/bird) for every
+ * operation. Credentials come from config.twitter or the AUTH_TOKEN / CT0
+ * environment variables.
+ *
+ * bird runs through the command runner (../commands.js): arguments are
+ * passed as an array with no shell, and folder and tweet IDs are validated
+ * first. At most config.birdConcurrency processes run at once across the
+ * whole run; further calls queue. Each call has its own timeout, and
+ * failures throw a BirdError carrying the exit code, signal and stderr.
+ */
+
+import { CommandError, runCommand, validateArg, validateId } from '../commands.js';
+import { createLimiter } from '../scheduler.js';
+
+const DEFAULT_CONCURRENCY = 4;
+
+// Per-call timeouts, in ms
+const TIMEOUTS = {
+  paginated: 180000,
+  list: 60000,
+  read: 15000,
+  replies: 30000
+};
+
+/**
+ * A bird invocation that failed to start, exited non-zero or timed out
+ * (fields as CommandError)
+ */
+export class BirdError extends CommandError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'BirdError';
+  }
+}
+
+// getSourceAdapter() builds a fresh adapter per call, so the pools live here
+// to be shared by all of them
+const pools = new Map();
+
+function birdPool(size) {
+  if (!pools.has(size)) pools.set(size, createLimiter(size));
+  return pools.get(size);
+}
+
+function buildBirdEnv(config) {
+  const env = { ...process.env };
+  if (config.twitter?.authToken) {
+    env.AUTH_TOKEN = config.twitter.authToken;
+  }
+  if (config.twitter?.ct0) {
+    env.CT0 = config.twitter.ct0;
+  }
+  return env;
+}
+
+/**
+ * Normalize bird's JSON output into { tweets, nextCursor }.
+ * bird CLI v0.6.0+ returns { tweets: [...], nextCursor: ... } for paginated
+ * requests but plain arrays for non-paginated ones.
+ */
+function parseTweetList(output) {
+  const parsed = JSON.parse(output);
+  if (Array.isArray(parsed)) {
+    return { tweets: parsed, nextCursor: null };
+  }
+  return { tweets: parsed.tweets || [], nextCursor: parsed.nextCursor || null };
+}
+
+function countArg(count) {
+  const n = Number(count);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error(`Invalid count: ${JSON.stringify(count)}`);
+  }
+  return String(n);
+}
+
+export function createBirdSource(config) {
+  const birdCmd = config.birdPath || 'bird';
+  const pool = birdPool(config.birdConcurrency || DEFAULT_CONCURRENCY);
+  const env = buildBirdEnv(config);
+
+  function runBird(args, timeout) {
+    return pool.run(() => runCommand(birdCmd, args, {
+      env,
+      timeout,
+      // bird loses output written to a pipe
+      stdoutToFile: true,
+      label: `bird ${args[0]}`,
+      errorClass: BirdError
+    }));
+  }
+
+  // bird bookmarks / bird likes, which take the same paging flags
+  async function fetchList(command, options) {
+    const { count = 10, all = false, folderId, maxPages, cursor } = options;
+    const args = [command];
+    if (folderId) args.push('--folder-id', validateId(folderId, 'folder ID'));
+
+    const paginated = all || !!cursor;
+    if (paginated) {
+      // Paginated fetch - bird pages until the end unless capped
+      args.push('--all');
+      if (maxPages) args.push('--max-pages', countArg(maxPages));
+      if (cursor) args.push('--cursor', validateArg(cursor, 'cursor'));
+    } else {
+      args.push('-n', countArg(count));
+    }
+
+    console.log(`  Running: ${[birdCmd, ...args].join(' ')}`);
+
+    const output = await runBird([...args, '--json'], paginated ? TIMEOUTS.paginated : TIMEOUTS.list);
+    return parseTweetList(output);
+  }
+
+  return {
+    name: 'bird',
+
+    fetchBookmarks(options = {}) {
+      return fetchList('bookmarks', options);
+    },
+
+    fetchLikes(options = {}) {
+      return fetchList('likes', { ...options, folderId: null });
+    },
+
+    async readTweet(tweetId) {
+      const output = await runBird(['read', validateId(tweetId, 'tweet ID'), '--json'], TIMEOUTS.read);
+      return JSON.parse(output);
+    },
+
+    async fetchReplies(tweetId) {
+      const output = await runBird(['replies', validateId(tweetId, 'tweet ID'), '--json'], TIMEOUTS.replies);
+      return parseTweetList(output);
+    }
+  };
+}
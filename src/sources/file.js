@@ -0,0 +1,95 @@
+/**
+ * File-based source adapter
+ *
+ * Reads tweets from JSON files on disk instead of Twitter. Useful for tests,
+ * demos, and replaying a saved bird dump. Point `fileSource.dir` at a
+ * directory containing any of:
+ *
+ *   bookmarks.json       - bookmarked tweets (array, or { tweets: [...] })
+ *   likes.json           - liked tweets
+ *   tweets.json          - extra tweets for readTweet/fetchReplies (parents, quotes, threads)
+ *   folders.json         - folder ID → name map, or [{ id, name }]
+ *   folders/<id>.json    - bookmarks in a folder
+ *
+ * Tweets use the same shape bird emits with --json. Paginated requests
+ * (all/cursor) are served `fileSource.pageSize` tweets per page, with the
+ * offset of the next page as the cursor.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+function readTweets(file) {
+  if (!fs.existsSync(file)) return [];
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Array.isArray(parsed) ? parsed : (parsed.tweets || []);
+}
+
+export function createFileSource(config) {
+  const dir = config.fileSource?.dir;
+  if (!dir) {
+    throw new Error('File source requires fileSource.dir in config');
+  }
+
+  function page(tweets, options) {
+    const { count = 10, all = false, maxPages, cursor } = options;
+    if (!all && !cursor) {
+      return { tweets: tweets.slice(0, count), nextCursor: null };
+    }
+
+    const pageSize = config.fileSource?.pageSize || 20;
+    const start = Number(cursor) || 0;
+    const end = maxPages ? start + pageSize * maxPages : tweets.length;
+    return {
+      tweets: tweets.slice(start, end),
+      nextCursor: end < tweets.length ? String(end) : null
+    };
+  }
+
+  return {
+    name: 'file',
+
+    fetchBookmarks(options = {}) {
+      const file = options.folderId
+        ? path.join(dir, 'folders', `${options.folderId}.json`)
+        : path.join(dir, 'bookmarks.json');
+      return page(readTweets(file), options);
+    },
+
+    fetchLikes(options = {}) {
+      return page(readTweets(path.join(dir, 'likes.json')), options);
+    },
+
+    readTweet(tweetId) {
+      const id = String(tweetId);
+      for (const name of ['tweets.json', 'bookmarks.json', 'likes.json']) {
+        const found = readTweets(path.join(dir, name)).find(t => String(t.id) === id);
+        if (found) return found;
+      }
+      throw new Error(`Tweet ${id} not found in ${dir}`);
+    },
+
+    fetchReplies(tweetId) {
+      const id = String(tweetId);
+      const seen = new Set();
+      const replies = [];
+      for (const name of ['tweets.json', 'bookmarks.json', 'likes.json']) {
+        for (const tweet of readTweets(path.join(dir, name))) {
+          if (String(tweet.inReplyToStatusId) === id && !seen.has(String(tweet.id))) {
+            seen.add(String(tweet.id));
+            replies.push(tweet);
+          }
+        }
+      }
+      return { tweets: replies, nextCursor: null };
+    },
+
+    listFolders() {
+      const file = path.join(dir, 'folders.json');
+      if (!fs.existsSync(file)) return [];
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (Array.isArray(parsed)) return parsed;
+      return Object.entries(parsed).map(([id, name]) => ({ id, name }));
+    }
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * Tweet source adapters
+ *
+ * A source adapter is the only thing that talks to Twitter/X. Every adapter
+ * returns an object with the same operations:
+ *
+ *   fetchBookmarks({ count, all, maxPages, cursor, folderId }) → { tweets, nextCursor }
+ *   fetchLikes({ count, all, maxPages, cursor })       → { tweets, nextCursor }
+ *   readTweet(tweetId)                                 → tweet (throws if missing)
+ *   fetchReplies(tweetId)                              → { tweets, nextCursor }
+ *   listFolders()                                      → [{ id, name }]
+ *
+ * listFolders is optional: bird has no way to list folders, so its adapter
+ * leaves it out.
+ *
+ * Any of them may return a promise instead; callers always await the result.
+ *
+ * Pick one with `sourceAdapter` in config. Built in: 'bird' (default) and
+ * 'file' (local JSON fixtures, see ./file.js).
+ */
+
+import { createBirdSource } from './bird.js';
+import { createFileSource } from './file.js';
+
+const adapters = {
+  bird: createBirdSource,
+  file: createFileSource
+};
+
+/**
+ * Register an additional adapter factory under a name usable in config
+ */
+export function registerSourceAdapter(name, factory) {
+  adapters[name] = factory;
+}
+
+/**
+ * Create the source adapter selected by config.sourceAdapter
+ */
+export function getSourceAdapter(config) {
+  const name = config.sourceAdapter || 'bird';
+  const factory = adapters[name];
+  if (!factory) {
+    throw new Error(`Unknown source adapter: ${name}. Available: ${Object.keys(adapters).join(', ')}`);
+  }
+  return factory(config);
+}
@@ -0,0 +1,116 @@
+/**
+ * Source errors - Telling Twitter failures apart, and retrying the ones that pass
+ *
+ * Failures from a source adapter are sorted into:
+ *
+ *   rate_limited - HTTP 429 / "rate limit": retried after a long backoff
+ *   network      - DNS, connection resets, timeouts: retried after a short backoff
+ *   auth         - HTTP 401/403, expired or rejected cookies: never retried;
+ *                  the run stops with a TwitterAuthError asking for fresh
+ *                  auth_token/ct0 values
+ *   other        - everything else (bad JSON, missing bird binary): not retried
+ *
+ * Classification reads the error message and, for bird, its stderr, since
+ * that is all a CLI failure carries.
+ */
+
+const RATE_LIMIT_PATTERNS = [/\b429\b/, /rate.?limit/i, /too many requests/i];
+
+const AUTH_PATTERNS = [
+  /\b40[13]\b/, /unauthori[sz]ed/i, /forbidden/i, /could not authenticate/i,
+  /(invalid|expired|bad).{0,20}(token|cookie|credential)/i, /auth_token|ct0/i, /log ?in required/i
+];
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EPIPE'];
+
+const NETWORK_PATTERNS = [
+  new RegExp(`\\b(${NETWORK_CODES.join('|')})\\b`), /fetch failed/i, /socket hang up/i,
+  /network/i, /timed? ?out/i, /\b50[234]\b/
+];
+
+const DEFAULT_RETRY = {
+  attempts: 3,
+  delayMs: 5000,
+  rateLimitDelayMs: 60000,
+  maxDelayMs: 15 * 60 * 1000
+};
+
+/**
+ * Expired or rejected Twitter credentials. Carries the original error as cause.
+ */
+export class TwitterAuthError extends Error {
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = 'TwitterAuthError';
+    this.kind = 'auth';
+  }
+}
+
+/**
+ * 'rate_limited', 'auth', 'network' or 'other' (see above)
+ */
+export function classifySourceError(error) {
+  if (!error) return 'other';
+  if (error.kind) return error.kind;
+  // bird not installed / not executable is a setup problem, not a flaky network
+  if (error.code === 'ENOENT' || error.code === 'EACCES') return 'other';
+
+  const text = `${error.message || ''}\n${error.stderr || ''}`;
+  if (RATE_LIMIT_PATTERNS.some(pattern => pattern.test(text))) return 'rate_limited';
+  if (AUTH_PATTERNS.some(pattern => pattern.test(text))) return 'auth';
+  if (error.timedOut || NETWORK_CODES.includes(error.code) || NETWORK_PATTERNS.some(pattern => pattern.test(text))) {
+    return 'network';
+  }
+  return 'other';
+}
+
+/**
+ * Wait before retry number `attempt` (1-based): delayMs, 2x, 4x, ... for
+ * network errors, starting from rateLimitDelayMs for rate limits, capped at
+ * maxDelayMs
+ */
+export function retryDelay(kind, attempt, settings = {}) {
+  const { delayMs, rateLimitDelayMs, maxDelayMs } = { ...DEFAULT_RETRY, ...settings };
+  const base = kind === 'rate_limited' ? rateLimitDelayMs : delayMs;
+  return Math.min(maxDelayMs, base * 2 ** (attempt - 1));
+}
+
+/**
+ * Run fn, retrying rate-limit and network failures with exponential backoff
+ *
+ * settings is config.retry ({ attempts, delayMs, rateLimitDelayMs,
+ * maxDelayMs }); attempts counts retries after the first try. Auth failures
+ * become a TwitterAuthError. The error finally thrown has `kind` set.
+ *
+ * Options:
+ *   label - what is being fetched, for log lines
+ *   sleep - (ms) => Promise, replaced in tests
+ */
+export async function withRetries(fn, settings = {}, options = {}) {
+  const { attempts } = { ...DEFAULT_RETRY, ...settings };
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const label = options.label || 'request';
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const kind = classifySourceError(error);
+      if (kind === 'auth') {
+        if (error instanceof TwitterAuthError) throw error;
+        throw new TwitterAuthError(
+          `Twitter rejected the saved login (${error.message}). Refresh your auth_token/ct0 cookies.`,
+          { cause: error }
+        );
+      }
+      if ((kind !== 'rate_limited' && kind !== 'network') || attempt >= attempts) {
+        error.kind = kind;
+        throw error;
+      }
+      const delay = retryDelay(kind, attempt + 1, settings);
+      const reason = kind === 'rate_limited' ? 'Rate limited' : 'Network error';
+      console.log(`  ${reason} on ${label}, retrying in ${Math.round(delay / 1000)}s (${attempt + 1}/${attempts})...`);
+      await sleep(delay);
+    }
+  }
+}
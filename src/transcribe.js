@@ -0,0 +1,388 @@
+/**
+ * Transcription - Fills in the ## Transcript section of podcast/video notes
+ *
+ * Knowledge files written for `transcribe` categories carry
+ * `status: needs_transcript`. For each one we look in config.transcription.mediaDir
+ * for media named after the file's slug, and take the first that works:
+ *
+ *   1. Captions or subtitles - <slug>.vtt / <slug>.srt (or <slug>.en.vtt, ...)
+ *   2. Audio - <slug>.mp3 / .m4a / .wav / ... run through the configured
+ *      transcriber command (whisper.cpp, faster-whisper, ...), without a shell
+ *
+ * Missing media can be downloaded first: podcast audio straight from the
+ * note's `audio:` URL, anything else via downloadCommand (e.g. yt-dlp).
+ * With --offline, or once the media is local, nothing touches the network.
+ *
+ * On success the transcript replaces the section body and the status
+ * becomes `transcribed`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { runCommand } from './commands.js';
+import { expandTilde } from './config.js';
+
+const CAPTION_EXTENSIONS = ['.vtt', '.srt'];
+const AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.aac', '.wav', '.ogg', '.opus', '.flac', '.webm', '.mp4', '.mkv'];
+
+// A pause this long between cues starts a new paragraph
+const PARAGRAPH_GAP_SECONDS = 2.5;
+
+// ============================================================================
+// Captions
+// ============================================================================
+
+function cueSeconds(timestamp) {
+  const parts = timestamp.replace(',', '.').split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Turn WebVTT or SRT captions into plain paragraphs
+ *
+ * Drops headers, cue numbers, timings and inline tags, and collapses the
+ * repeated lines of roll-up captions (YouTube auto-captions repeat each line
+ * across two cues).
+ */
+export function parseCaptions(text) {
+  const blocks = text.replace(/\r/g, '').replace(/^﻿/, '').split(/\n\s*\n/);
+  const paragraphs = [];
+  let current = [];
+  let lastLine = null;
+  let lastEnd = null;
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(l => l.trim());
+    const timingIndex = lines.findIndex(l => l.includes('-->'));
+    if (timingIndex === -1) continue; // WEBVTT header, NOTE, STYLE, REGION
+
+    const [start, end] = lines[timingIndex].split('-->').map(t => cueSeconds(t.trim().split(/\s+/)[0]));
+    if (lastEnd !== null && start - lastEnd >= PARAGRAPH_GAP_SECONDS && current.length > 0) {
+      paragraphs.push(current.join(' '));
+      current = [];
+    }
+    lastEnd = end;
+
+    for (const raw of lines.slice(timingIndex + 1)) {
+      const line = raw
+        .replace(/<[^>]+>/g, '')
+        .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+      if (!line || line === lastLine) continue;
+      current.push(line);
+      lastLine = line;
+    }
+  }
+  if (current.length > 0) paragraphs.push(current.join(' '));
+
+  return paragraphs.join('\n\n');
+}
+
+// ============================================================================
+// Knowledge files
+// ============================================================================
+
+/**
+ * Read the YAML frontmatter of a knowledge file as flat key/value strings
+ */
+export function readFrontmatter(markdown) {
+  const block = markdown.match(/^---\n([\s\S]*?)\n---/);
+  const fields = {};
+  if (!block) return fields;
+  for (const line of block[1].split('\n')) {
+    const match = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!match) continue;
+    fields[match[1]] = match[2].trim().replace(/^(["'])(.*)\1$/, '$2');
+  }
+  return fields;
+}
+
+/**
+ * Put a transcript into the ## Transcript section (adding one if missing)
+ * and mark the note as transcribed
+ */
+export function writeTranscript(markdown, transcript, source) {
+  const body = `## Transcript\n\n${transcript.trim()}\n`;
+  const section = /^## Transcript[ \t]*\n[\s\S]*?(?=^## |(?![\s\S]))/m;
+  let updated = section.test(markdown)
+    ? markdown.replace(section, () => `${body}\n`)
+    : `${markdown.trimEnd()}\n\n${body}`;
+
+  updated = updated.replace(/^status:\s*needs_transcript\s*$/m, 'status: transcribed');
+  if (source) {
+    updated = updated.replace(/^status: transcribed$/m, `status: transcribed\ntranscript_source: ${source}`);
+  }
+  return updated.replace(/\n{3,}/g, '\n\n').replace(/\n*$/, '\n');
+}
+
+/**
+ * Knowledge files waiting for a transcript, across every category folder
+ *
+ * Returns [{ file, slug, source, audio }].
+ */
+export function findPendingTranscripts(config) {
+  const folders = [...new Set(Object.values(config.categories || {})
+    .map(c => c?.folder)
+    .filter(Boolean))];
+
+  const pending = [];
+  for (const folder of folders) {
+    let names;
+    try {
+      names = fs.readdirSync(folder).filter(n => n.endsWith('.md')).sort();
+    } catch {
+      continue;
+    }
+    for (const name of names) {
+      const file = path.join(folder, name);
+      const fields = readFrontmatter(fs.readFileSync(file, 'utf8'));
+      if (fields.status !== 'needs_transcript') continue;
+      pending.push({
+        file,
+        slug: name.slice(0, -3),
+        source: fields.source || null,
+        audio: fields.audio || null
+      });
+    }
+  }
+  return pending;
+}
+
+/**
+ * Captions and audio already in mediaDir for a slug
+ *
+ * Matches <slug>.<ext> and <slug>.<lang>.<ext> (what yt-dlp writes for subtitles).
+ */
+export function findLocalMedia(mediaDir, slug) {
+  let names;
+  try {
+    names = fs.readdirSync(mediaDir);
+  } catch {
+    return { captions: null, audio: null };
+  }
+  const ours = names.filter(n => n === slug || n.startsWith(`${slug}.`)).sort();
+  const withExt = (exts) => ours.find(n => {
+    const ext = path.extname(n).toLowerCase();
+    const middle = n.slice(slug.length, -ext.length);
+    return exts.includes(ext) && (middle === '' || /^\.[\w-]+$/.test(middle));
+  });
+
+  const captions = withExt(CAPTION_EXTENSIONS);
+  const audio = withExt(AUDIO_EXTENSIONS);
+  return {
+    captions: captions ? path.join(mediaDir, captions) : null,
+    audio: audio ? path.join(mediaDir, audio) : null
+  };
+}
+
+// ============================================================================
+// Running
+// ============================================================================
+
+/**
+ * Split a command template into arguments and fill in its {placeholders}
+ *
+ * Templates run without a shell (see commands.js), so words are split the
+ * way a shell splits plain words - whitespace between arguments, '...' and
+ * "..." to group, \ to escape - and a leading ~/ is expanded. Pipes,
+ * redirects and && are rejected; list several templates to run steps in
+ * turn. Placeholders are filled after splitting, so a value with spaces or
+ * quotes stays a single argument.
+ */
+export function expandCommand(template, values) {
+  const words = [];
+  let word = null;
+  let quote = null;
+
+  for (let i = 0; i < template.length; i++) {
+    const c = template[i];
+    if (quote) {
+      if (c === quote) {
+        quote = null;
+      } else if (c === '\\' && quote === '"' && '"\\$`'.includes(template[i + 1])) {
+        word += template[++i];
+      } else {
+        word += c;
+      }
+    } else if (c === "'" || c === '"') {
+      quote = c;
+      word ??= '';
+    } else if (c === '\\' && i + 1 < template.length) {
+      word = (word ?? '') + template[++i];
+    } else if (/\s/.test(c)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else if ('|&;<>'.includes(c)) {
+      throw new Error(`Commands run without a shell; "${c}" isn't supported (${template})`);
+    } else {
+      word = (word ?? '') + c;
+    }
+  }
+  if (quote) {
+    throw new Error(`Unterminated ${quote} in command: ${template}`);
+  }
+  if (word !== null) words.push(word);
+
+  return words.map(arg => expandTilde(arg).replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in values ? String(values[name]) : placeholder));
+}
+
+/**
+ * Run one command template, or a list of them in turn, and resolve to the
+ * last one's stdout
+ */
+async function runTemplates(templates, values, timeoutMinutes) {
+  let stdout = '';
+  for (const template of [].concat(templates)) {
+    const [command, ...args] = expandCommand(template, values);
+    if (!command) throw new Error('Empty transcription command');
+    stdout = await runCommand(command, args, { timeout: (timeoutMinutes || 60) * 60 * 1000 });
+  }
+  return stdout;
+}
+
+/**
+ * Run the transcriber on an audio file. Reads {output}.txt/.vtt/.srt if the
+ * command wrote one, otherwise its stdout.
+ */
+async function transcribeAudio(settings, audio, output) {
+  for (const ext of ['.txt', ...CAPTION_EXTENSIONS]) {
+    fs.rmSync(`${output}${ext}`, { force: true });
+  }
+  const stdout = await runTemplates(settings.command, { audio, output }, settings.timeoutMinutes);
+
+  for (const ext of ['.txt', ...CAPTION_EXTENSIONS]) {
+    const file = `${output}${ext}`;
+    if (!fs.existsSync(file)) continue;
+    const text = fs.readFileSync(file, 'utf8');
+    return ext === '.txt' ? text.trim() : parseCaptions(text);
+  }
+  return stdout.trim();
+}
+
+async function downloadAudio(url, mediaDir, slug, maxMB) {
+  const response = await fetch(url, { redirect: 'follow', signal: AbortSignal.timeout(30 * 60 * 1000) });
+  if (!response.ok) {
+    throw new Error(`Audio download failed: HTTP ${response.status}`);
+  }
+  let ext = path.extname(new URL(response.url || url).pathname).toLowerCase();
+  if (!AUDIO_EXTENSIONS.includes(ext)) ext = '.mp3';
+
+  const file = path.join(mediaDir, `${slug}${ext}`);
+  const tmp = `${file}.part`;
+  // Streamed to disk, counting bytes as they arrive: content-length may be
+  // missing or wrong
+  const maxBytes = (maxMB || 1024) * 1024 * 1024;
+  let size = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        callback(new Error(`Audio download over ${maxBytes / 1048576}MB`));
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+  try {
+    await pipeline(response.body ? Readable.fromWeb(response.body) : Readable.from([]), limit, fs.createWriteStream(tmp));
+  } catch (error) {
+    fs.rmSync(tmp, { force: true });
+    throw error;
+  }
+  fs.renameSync(tmp, file);
+  return file;
+}
+
+/**
+ * Get media for one note onto disk. Returns what findLocalMedia finds afterwards.
+ */
+async function fetchMedia(settings, entry) {
+  fs.mkdirSync(settings.mediaDir, { recursive: true });
+  // Audio is only worth fetching when there's a transcriber to run on it
+  if (entry.audio && settings.downloadAudio !== false && settings.command) {
+    console.log(`  Downloading audio: ${entry.audio}`);
+    await downloadAudio(entry.audio, settings.mediaDir, entry.slug, settings.maxAudioMB);
+  } else if (entry.source && settings.downloadCommand) {
+    // source comes from the note, and a value like "--exec ..." would reach
+    // the downloader as an option
+    if (!/^https?:\/\/\S+$/i.test(entry.source)) {
+      throw new Error(`Not downloading ${JSON.stringify(entry.source)}: source must be an http(s) URL`);
+    }
+    console.log(`  Downloading media: ${entry.source}`);
+    await runTemplates(settings.downloadCommand, {
+      url: entry.source,
+      output: path.join(settings.mediaDir, entry.slug)
+    }, settings.timeoutMinutes);
+  }
+  return findLocalMedia(settings.mediaDir, entry.slug);
+}
+
+/**
+ * Transcribe one pending note. Returns { file, status, via?, reason? } where
+ * status is 'transcribed' or 'skipped'; errors are thrown.
+ */
+export async function transcribeEntry(config, entry, options = {}) {
+  const settings = config.transcription || {};
+  let media = findLocalMedia(settings.mediaDir, entry.slug);
+
+  if (!media.captions && !media.audio && !options.offline) {
+    media = await fetchMedia(settings, entry);
+  }
+
+  let transcript = null;
+  let via = null;
+  if (media.captions) {
+    transcript = parseCaptions(fs.readFileSync(media.captions, 'utf8'));
+    via = 'captions';
+  }
+  if (!transcript && media.audio) {
+    if (!settings.command) {
+      return { file: entry.file, status: 'skipped', reason: `audio found but no transcription.command configured (${media.audio})` };
+    }
+    transcript = await transcribeAudio(settings, media.audio, path.join(settings.mediaDir, `${entry.slug}.transcript`));
+    via = 'transcriber';
+  }
+  if (!transcript) {
+    return { file: entry.file, status: 'skipped', reason: `no captions or audio in ${settings.mediaDir}` };
+  }
+
+  const markdown = fs.readFileSync(entry.file, 'utf8');
+  fs.writeFileSync(entry.file, writeTranscript(markdown, transcript, via));
+  return { file: entry.file, status: 'transcribed', via };
+}
+
+/**
+ * Transcribe every pending note (or the first `limit`)
+ *
+ * Options:
+ *   limit   - stop after this many notes
+ *   offline - only use media that is already in mediaDir
+ *
+ * Returns { results: [...], transcribed, skipped, failed }.
+ */
+export async function transcribePending(config, options = {}) {
+  let pending = findPendingTranscripts(config);
+  if (options.limit) pending = pending.slice(0, options.limit);
+
+  const results = [];
+  for (const entry of pending) {
+    console.log(`Transcribing ${entry.file}`);
+    try {
+      const result = await transcribeEntry(config, entry, options);
+      console.log(result.status === 'transcribed'
+        ? `  ✓ Transcribed from ${result.via}`
+        : `  - Skipped: ${result.reason}`);
+      results.push(result);
+    } catch (error) {
+      console.log(`  ✗ Failed: ${error.message.split('\n')[0]}`);
+      results.push({ file: entry.file, status: 'failed', reason: error.message });
+    }
+  }
+
+  const count = (status) => results.filter(r => r.status === status).length;
+  return { results, transcribed: count('transcribed'), skipped: count('skipped'), failed: count('failed') };
+}
@@ -0,0 +1,159 @@
+/**
+ * URL canonicalization - One spelling per link
+ *
+ * Expanded links arrive with share and campaign tracking attached, and the
+ * same page turns up as twitter.com and x.com, as a mobile or AMP copy, or
+ * with and without a trailing slash. canonicalizeUrl() reduces these to one
+ * form so dedupe, caching and reprocess state agree on what a link is:
+ *
+ *   - tracking parameters are dropped (utm_*, fbclid, gclid, ref, ...), plus
+ *     per-site share parameters (x.com ?s=/?t=, YouTube ?si=, ...); every
+ *     other query parameter is kept in its original order
+ *   - twitter.com and its mobile host become x.com; m./mobile. hosts of
+ *     sites with a desktop twin lose the prefix
+ *   - AMP copies (Google AMP cache and viewer, amp. hosts, /amp and .amp
+ *     paths, ?amp=1) become the regular page
+ *   - trailing slashes and fragments are dropped (except #!/ and #/ routes)
+ *
+ * Hosts are lowercased by URL parsing; www. is kept, since not every site
+ * serves its bare domain.
+ */
+
+import { matchesDomain } from './domains.js';
+
+// Dropped on every site
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'twclid', 'yclid', 'igshid',
+  'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'ref', 'ref_src', 'ref_url',
+  'oly_anon_id', 'oly_enc_id', 'vero_id', 'wickedid', 'spm', 'cmpid'
+]);
+
+// Prefixes dropped on every site
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_', 'hsa_'];
+
+// Share and referral parameters that only mean tracking on these sites
+// (YouTube's ?t= is a timestamp, so only x.com drops it)
+const SITE_TRACKING_PARAMS = {
+  'x.com': ['s', 't'],
+  'youtube.com': ['si', 'feature', 'pp'],
+  'youtu.be': ['si', 'feature'],
+  'spotify.com': ['si', 'nd', 'context'],
+  'instagram.com': ['igsh', 'img_index'],
+  'linkedin.com': ['trk', 'trackingId', 'lipi', 'rcm'],
+  'medium.com': ['source', 'sk'],
+  'substack.com': ['r', 'triedRedirect', 'publication_id', 'post_id', 'isFreemail'],
+  'reddit.com': ['share_id', 'rdt']
+};
+
+// Parameters kept on these sites even though they're tracking elsewhere
+const SITE_KEEP_PARAMS = {
+  // ?ref= names a branch or tag
+  'github.com': ['ref']
+};
+
+// Sites whose m./mobile. host serves the same pages as the desktop one
+const MOBILE_DOMAINS = ['wikipedia.org', 'wiktionary.org', 'youtube.com', 'facebook.com', 'reddit.com', 'imdb.com', 'tumblr.com'];
+
+const AMP_PARAMS = { amp: ['1', 'true', ''], outputType: ['amp'], output: ['amp'] };
+
+function siteList(table, hostname) {
+  return Object.entries(table)
+    .filter(([domain]) => matchesDomain(hostname, domain))
+    .flatMap(([, params]) => params);
+}
+
+/**
+ * The page an AMP cache or viewer URL stands for, or null. An "s/" before
+ * the host means the original was https.
+ *   https://example-com.cdn.ampproject.org/c/s/example.com/post
+ *   https://www.google.com/amp/s/example.com/post
+ */
+function unwrapAmpCache(parsed) {
+  let match = null;
+  if (parsed.hostname.endsWith('.cdn.ampproject.org')) {
+    match = parsed.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/);
+  } else if (/^(?:www\.)?google\.[a-z.]+$/.test(parsed.hostname)) {
+    match = parsed.pathname.match(/^\/amp\/(s\/)?(.+)$/);
+  }
+  return match ? `${match[1] ? 'https' : 'http'}://${match[2]}${parsed.search}` : null;
+}
+
+function normalizeHost(hostname) {
+  let host = hostname.replace(/\.$/, '');
+  if (/^(?:www\.|mobile\.|m\.)?twitter\.com$/.test(host) || /^(?:www\.|mobile\.|m\.)x\.com$/.test(host)) {
+    return 'x.com';
+  }
+  if (host.startsWith('amp.') && host.split('.').length > 2) {
+    host = host.slice('amp.'.length);
+  }
+  const mobile = host.match(/^(?:(.+)\.)?(?:m|mobile)\.(.+)$/);
+  if (mobile && MOBILE_DOMAINS.some(domain => matchesDomain(mobile[2], domain))) {
+    // en.m.wikipedia.org -> en.wikipedia.org, m.youtube.com -> www.youtube.com
+    host = mobile[1] ? `${mobile[1]}.${mobile[2]}` : `www.${mobile[2]}`;
+  }
+  return host;
+}
+
+function isTracking(name, hostname) {
+  if (siteList(SITE_KEEP_PARAMS, hostname).includes(name)) return false;
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) ||
+    TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix)) ||
+    siteList(SITE_TRACKING_PARAMS, hostname).includes(name);
+}
+
+/**
+ * Canonical form of a URL (see above). Strings that aren't http(s) URLs
+ * come back unchanged.
+ */
+export function canonicalizeUrl(url) {
+  if (!url) return url;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return url;
+
+  const unwrapped = unwrapAmpCache(parsed);
+  if (unwrapped) {
+    try {
+      parsed = new URL(unwrapped);
+    } catch {
+      return url;
+    }
+  }
+
+  parsed.hostname = normalizeHost(parsed.hostname);
+  const hostname = parsed.hostname;
+
+  // Filter the raw pairs rather than re-serializing, so kept values stay
+  // encoded exactly as the site wrote them
+  const kept = parsed.search.slice(1).split('&').filter(pair => {
+    if (!pair) return false;
+    const [name, value = ''] = new URLSearchParams(pair).entries().next().value || [pair, ''];
+    return !isTracking(name, hostname) && !AMP_PARAMS[name]?.includes(value.toLowerCase());
+  });
+  parsed.search = kept.length ? `?${kept.join('&')}` : '';
+
+  let path = parsed.pathname
+    .replace(/\/amp\/?$/i, '')
+    .replace(/\.amp(?=$|\/$)/i, '');
+  if (path.length > 1) path = path.replace(/\/+$/, '');
+  parsed.pathname = path || '/';
+
+  if (!/^#!?\//.test(parsed.hash)) parsed.hash = '';
+
+  return parsed.href;
+}
+
+/**
+ * The tweet ID in an x.com/twitter.com status URL, or null
+ * (x.com/user/status/ID, x.com/i/web/status/ID, with any trailing /photo/1 etc.)
+ */
+export function tweetIdFromUrl(url) {
+  const canonical = canonicalizeUrl(url);
+  return canonical?.match(/^https?:\/\/x\.com\/(?:\w+|i\/web)\/status(?:es)?\/(\d+)/)?.[1] || null;
+}
+
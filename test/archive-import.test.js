@@ -0,0 +1,243 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import {
+  parseYtdFile,
+  tweetIdToDate,
+  readArchiveFiles,
+  parseArchive,
+  importArchive
+} from '../src/archive-import.js';
+
+let archiveDir;
+
+// X archive data files (written to a temp dir: node --test would run them as .js tests)
+const ARCHIVE_FILES = {
+  'account.js': `window.YTD.account.part0 = [
+  {
+    "account" : {
+      "email" : "hoarder@example.com",
+      "createdVia" : "web",
+      "username" : "hoarder",
+      "accountId" : "12345",
+      "createdAt" : "2012-03-01T10:00:00.000Z",
+      "accountDisplayName" : "Dragon Hoarder"
+    }
+  }
+]
+`,
+  'like-part1.js': `window.YTD.like.part1 = [
+  {
+    "like" : {
+      "tweetId" : "1600000000000000000",
+      "fullText" : "A liked tweet with a link https://t.co/abc123",
+      "expandedUrl" : "https://twitter.com/i/web/status/1600000000000000000"
+    }
+  }
+]
+`,
+  'like.js': `window.YTD.like.part0 = [
+  {
+    "like" : {
+      "tweetId" : "1600000000000000000",
+      "fullText" : "A liked tweet with a link https://t.co/abc123",
+      "expandedUrl" : "https://twitter.com/i/web/status/1600000000000000000"
+    }
+  },
+  {
+    "like" : {
+      "tweetId" : "1500000000000000000",
+      "fullText" : "An older liked tweet",
+      "expandedUrl" : "https://twitter.com/i/web/status/1500000000000000000"
+    }
+  }
+]
+`,
+  'tweets.js': `window.YTD.tweets.part0 = [
+  {
+    "tweet" : {
+      "id_str" : "1550000000000000000",
+      "full_text" : "My own tweet about a repo https://t.co/xyz789",
+      "created_at" : "Thu Jun 30 12:00:00 +0000 2022",
+      "entities" : {
+        "urls" : [
+          {
+            "url" : "https://t.co/xyz789",
+            "expanded_url" : "https://github.com/owner/repo",
+            "display_url" : "github.com/owner/repo"
+          }
+        ]
+      }
+    }
+  }
+]
+`
+};
+
+before(() => {
+  archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-x-archive-'));
+  fs.mkdirSync(path.join(archiveDir, 'data'));
+  for (const [name, content] of Object.entries(ARCHIVE_FILES)) {
+    fs.writeFileSync(path.join(archiveDir, 'data', name), content);
+  }
+});
+
+after(() => {
+  fs.rmSync(archiveDir, { recursive: true, force: true });
+});
+
+// Build a minimal deflate zip of the fixture archive
+function buildZip(dir, zipPath) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const name of fs.readdirSync(path.join(dir, 'data'))) {
+    const entryName = Buffer.from(`data/${name}`);
+    const raw = fs.readFileSync(path.join(dir, 'data', name));
+    const data = zlib.deflateRawSync(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(entryName.length, 26);
+    locals.push(local, entryName, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(entryName.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, entryName);
+
+    offset += local.length + entryName.length + data.length;
+  }
+
+  const cd = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(centrals.length / 2, 8);
+  eocd.writeUInt16LE(centrals.length / 2, 10);
+  eocd.writeUInt32LE(cd.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  fs.writeFileSync(zipPath, Buffer.concat([...locals, cd, eocd]));
+}
+
+describe('parseYtdFile', () => {
+  test('strips the window.YTD assignment', () => {
+    const entries = parseYtdFile('window.YTD.like.part0 = [ { "like": { "tweetId": "1" } } ]');
+    assert.deepStrictEqual(entries, [{ like: { tweetId: '1' } }]);
+  });
+});
+
+describe('tweetIdToDate', () => {
+  test('decodes snowflake IDs', () => {
+    assert.strictEqual(tweetIdToDate('1600000000000000000'), '2022-12-06T05:31:41.219Z');
+  });
+
+  test('returns null for pre-snowflake IDs', () => {
+    assert.strictEqual(tweetIdToDate('20'), null);
+  });
+});
+
+describe('readArchiveFiles', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-archive-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('reads an unpacked directory', () => {
+    const files = readArchiveFiles(archiveDir);
+    assert.deepStrictEqual(files.map(f => f.name), ['account.js', 'like-part1.js', 'like.js', 'tweets.js']);
+  });
+
+  test('reads the same files from a zip', () => {
+    const zipPath = path.join(tmpDir, 'twitter-archive.zip');
+    buildZip(archiveDir, zipPath);
+    const fromZip = readArchiveFiles(zipPath);
+    const fromDir = readArchiveFiles(archiveDir);
+    assert.deepStrictEqual(fromZip, fromDir);
+  });
+});
+
+describe('parseArchive', () => {
+  const config = { timezone: 'UTC' };
+
+  test('normalizes likes to the prepared bookmark shape', () => {
+    const { likes } = parseArchive(config, archiveDir);
+    const like = likes.find(l => l.id === '1500000000000000000');
+    assert.strictEqual(like.tweetUrl, 'https://x.com/i/status/1500000000000000000');
+    assert.strictEqual(like.createdAt, '2022-03-05T06:47:23.309Z');
+    assert.strictEqual(like.date, 'Saturday, March 5, 2022');
+    assert.deepStrictEqual(like.links, []);
+    assert.strictEqual(like.importedFrom, 'x-archive-like');
+    assert.strictEqual(like.origin, 'like');
+  });
+
+  test('normalizes own tweets with account and expanded links', () => {
+    const { tweets } = parseArchive(config, archiveDir);
+    assert.strictEqual(tweets.length, 1);
+    assert.strictEqual(tweets[0].author, 'hoarder');
+    assert.strictEqual(tweets[0].authorName, 'Dragon Hoarder');
+    assert.strictEqual(tweets[0].createdAt, '2022-06-30T12:00:00.000Z');
+    assert.deepStrictEqual(tweets[0].links[0], {
+      original: 'https://t.co/xyz789',
+      expanded: 'https://github.com/owner/repo',
+      type: 'github',
+      content: null,
+      metadata: null
+    });
+  });
+});
+
+describe('importArchive', () => {
+  let tmpDir;
+  let configPath;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-import-'));
+    configPath = path.join(tmpDir, 'smaug.config.json');
+    fs.writeFileSync(path.join(tmpDir, 'bookmarks.md'),
+      '# Thursday, June 30, 2022\n## @hoarder - Already archived\n- **Tweet:** https://x.com/hoarder/status/1550000000000000000\n');
+    fs.writeFileSync(configPath, JSON.stringify({
+      archiveFile: path.join(tmpDir, 'bookmarks.md'),
+      pendingFile: path.join(tmpDir, '.state/pending-bookmarks.json'),
+      stateFile: path.join(tmpDir, '.state/bookmarks-state.json'),
+      timezone: 'UTC'
+    }));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('dedupes and merges into pending in createdAt order', () => {
+    const result = importArchive(archiveDir, { configPath });
+    assert.strictEqual(result.likes, 3);
+    assert.strictEqual(result.tweets, 1);
+    assert.strictEqual(result.imported, 2);
+    assert.strictEqual(result.skipped, 2);
+
+    const pending = JSON.parse(fs.readFileSync(path.join(tmpDir, '.state/pending-bookmarks.json'), 'utf8'));
+    assert.deepStrictEqual(pending.bookmarks.map(b => b.id), ['1500000000000000000', '1600000000000000000']);
+  });
+
+  test('importing again adds nothing', () => {
+    const result = importArchive(archiveDir, { configPath });
+    assert.strictEqual(result.imported, 0);
+    assert.strictEqual(result.total, 2);
+  });
+});
@@ -0,0 +1,87 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fetchArxivContent, parseArxivFeed, parseArxivId } from '../src/extractors/arxiv.js';
+import { classifyLink, fetchContent } from '../src/processor.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FEED = fs.readFileSync(path.join(__dirname, 'fixtures/arxiv/1706.03762.xml'), 'utf8');
+
+async function withFetch(handler, fn) {
+  const requested = [];
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url) => {
+    requested.push(String(url));
+    return handler(String(url));
+  };
+  try {
+    return { result: await fn(), requested };
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+describe('parseArxivId', () => {
+  test('resolves abs, pdf and html URLs', () => {
+    assert.strictEqual(parseArxivId('https://arxiv.org/abs/1706.03762'), '1706.03762');
+    assert.strictEqual(parseArxivId('https://arxiv.org/abs/1706.03762v7'), '1706.03762v7');
+    assert.strictEqual(parseArxivId('https://arxiv.org/pdf/1706.03762.pdf'), '1706.03762');
+    assert.strictEqual(parseArxivId('https://arxiv.org/pdf/2401.12345v2'), '2401.12345v2');
+    assert.strictEqual(parseArxivId('https://www.arxiv.org/html/2401.12345'), '2401.12345');
+    assert.strictEqual(parseArxivId('https://export.arxiv.org/abs/cs/0112017'), 'cs/0112017');
+  });
+
+  test('ignores non-paper arXiv pages', () => {
+    assert.strictEqual(parseArxivId('https://arxiv.org/list/cs.CL/recent'), null);
+    assert.strictEqual(parseArxivId('https://example.com/abs/1706.03762'), null);
+  });
+});
+
+describe('parseArxivFeed', () => {
+  test('extracts title, authors, abstract and categories', () => {
+    const paper = parseArxivFeed(FEED);
+    assert.strictEqual(paper.id, '1706.03762v7');
+    assert.strictEqual(paper.title, 'Attention Is All You Need');
+    assert.deepStrictEqual(paper.authors, ['Ashish Vaswani', 'Noam Shazeer', 'Niki Parmar']);
+    assert.ok(paper.abstract.startsWith('The dominant sequence transduction models'));
+    assert.ok(!paper.abstract.includes('\n'));
+    assert.deepStrictEqual(paper.categories, ['cs.CL', 'cs.LG']);
+    assert.strictEqual(paper.primaryCategory, 'cs.CL');
+    assert.strictEqual(paper.published, '2017-06-12T17:57:34Z');
+    assert.strictEqual(paper.comment, '15 pages, 5 figures');
+    assert.strictEqual(paper.pdfUrl, 'http://arxiv.org/pdf/1706.03762v7');
+    assert.strictEqual(paper.absUrl, 'https://arxiv.org/abs/1706.03762v7');
+  });
+
+  test('returns null for an empty feed', () => {
+    assert.strictEqual(parseArxivFeed('<feed xmlns="http://www.w3.org/2005/Atom"></feed>'), null);
+  });
+});
+
+describe('fetchArxivContent', () => {
+  test('queries the API with the paper ID', async () => {
+    const { result, requested } = await withFetch(() => new Response(FEED), () =>
+      fetchArxivContent('https://arxiv.org/pdf/1706.03762.pdf'));
+    assert.strictEqual(requested[0], 'https://export.arxiv.org/api/query?id_list=1706.03762');
+    assert.strictEqual(result.title, 'Attention Is All You Need');
+  });
+});
+
+describe('paper links', () => {
+  test('classifyLink recognizes papers', () => {
+    assert.strictEqual(classifyLink('https://arxiv.org/abs/1706.03762'), 'paper');
+    assert.strictEqual(classifyLink('https://openreview.net/forum?id=abc'), 'paper');
+    assert.strictEqual(classifyLink('https://example.edu/~someone/thesis.pdf'), 'paper');
+    assert.strictEqual(classifyLink('https://example.com/blog/pdf-tips'), 'article');
+  });
+
+  test('fetchContent resolves arXiv links through the API', async () => {
+    const { result, requested } = await withFetch(() => new Response(FEED), () =>
+      fetchContent('https://arxiv.org/abs/1706.03762', 'paper', {}));
+    assert.strictEqual(result.source, 'arxiv');
+    assert.strictEqual(result.primaryCategory, 'cs.CL');
+    assert.strictEqual(requested.length, 1);
+  });
+});
@@ -0,0 +1,150 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createCache, getCacheDir } from '../src/cache.js';
+import { expandTcoLink, fetchArticleContent, fetchGitHubContent } from '../src/processor.js';
+
+describe('getCacheDir', () => {
+  test('defaults to a cache directory beside the state file', () => {
+    const dir = getCacheDir({ cache: {}, stateFile: '/data/.state/bookmarks-state.json' });
+    assert.strictEqual(dir, '/data/.state/cache');
+  });
+
+  test('honors an explicit cache.dir', () => {
+    assert.strictEqual(getCacheDir({ cache: { dir: '/tmp/smaug-cache' } }), '/tmp/smaug-cache');
+  });
+});
+
+describe('createCache', () => {
+  let tmpDir;
+  let config;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-cache-'));
+    config = { cache: { enabled: true, dir: tmpDir, ttlDays: { tco: null, article: 7 } } };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const backdate = (cache, kind, key, days) => {
+    const [file] = fs.readdirSync(path.join(tmpDir, kind));
+    const entryPath = path.join(tmpDir, kind, file);
+    const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    entry.storedAt = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(entryPath, JSON.stringify(entry));
+  };
+
+  test('round-trips values keyed by URL', () => {
+    const cache = createCache(config);
+    cache.set('tco', 'https://t.co/abc', 'https://example.com/post');
+    assert.strictEqual(cache.get('tco', 'https://t.co/abc'), 'https://example.com/post');
+    assert.strictEqual(cache.get('tco', 'https://t.co/other'), undefined);
+  });
+
+  test('expires entries past their kind TTL', () => {
+    const cache = createCache(config);
+    cache.set('article', 'https://example.com/a', { text: 'body' });
+    backdate(cache, 'article', 'https://example.com/a', 8);
+    assert.strictEqual(cache.get('article', 'https://example.com/a'), undefined);
+  });
+
+  test('null TTL never expires', () => {
+    const cache = createCache(config);
+    cache.set('tco', 'https://t.co/abc', 'https://example.com/post');
+    backdate(cache, 'tco', 'https://t.co/abc', 5000);
+    assert.strictEqual(cache.get('tco', 'https://t.co/abc'), 'https://example.com/post');
+  });
+
+  test('remember only stores results that pass shouldStore', async () => {
+    const cache = createCache(config);
+    let calls = 0;
+    const fetchFn = async () => { calls++; return 'https://t.co/abc'; };
+    await cache.remember('tco', 'https://t.co/abc', fetchFn, v => v !== 'https://t.co/abc');
+    await cache.remember('tco', 'https://t.co/abc', fetchFn, v => v !== 'https://t.co/abc');
+    assert.strictEqual(calls, 2);
+  });
+
+  test('refresh skips reads but still writes', async () => {
+    createCache(config).set('tco', 'https://t.co/abc', 'https://old.example.com');
+    const refreshed = createCache(config, { refresh: true });
+    const value = await refreshed.remember('tco', 'https://t.co/abc', async () => 'https://new.example.com');
+    assert.strictEqual(value, 'https://new.example.com');
+    assert.strictEqual(createCache(config).get('tco', 'https://t.co/abc'), 'https://new.example.com');
+  });
+
+  test('disabled cache never reads or writes', () => {
+    const cache = createCache({ cache: { ...config.cache, enabled: false } });
+    cache.set('tco', 'https://t.co/abc', 'https://example.com/post');
+    assert.strictEqual(cache.get('tco', 'https://t.co/abc'), undefined);
+    assert.deepStrictEqual(fs.readdirSync(tmpDir), []);
+  });
+
+  test('stats and clear report per kind', () => {
+    const cache = createCache(config);
+    cache.set('tco', 'https://t.co/a', 'https://example.com/a');
+    cache.set('article', 'https://example.com/a', { text: 'a' });
+    cache.set('article', 'https://example.com/b', { text: 'b' });
+    backdate(cache, 'tco', 'https://t.co/a', 1);
+
+    const { kinds } = cache.stats();
+    assert.strictEqual(kinds.tco.entries, 1);
+    assert.strictEqual(kinds.article.entries, 2);
+
+    assert.strictEqual(cache.clear({ expiredOnly: true }), 0);
+    assert.strictEqual(cache.clear({ kind: 'article' }), 2);
+    assert.strictEqual(cache.clear(), 1);
+  });
+
+  test('clear rejects kinds outside the cache directory', () => {
+    const cacheDir = path.join(tmpDir, 'cache');
+    const cache = createCache({ cache: { ...config.cache, dir: cacheDir } });
+    fs.writeFileSync(path.join(tmpDir, 'bookmarks-state.json'), '{}');
+    cache.set('article', 'https://example.com/a', { text: 'a' });
+
+    for (const kind of ['..', '../cache', 'unknown']) {
+      assert.throws(() => cache.clear({ kind }), /Unknown cache kind/);
+    }
+    assert.ok(fs.existsSync(path.join(tmpDir, 'bookmarks-state.json')));
+    assert.strictEqual(cache.clear({ kind: 'tco' }), 0);
+    assert.strictEqual(cache.clear({ kind: 'article' }), 1);
+  });
+
+  test('link fetchers serve cached results without touching the network', async () => {
+    const cache = createCache(config);
+    cache.set('tco', 'https://t.co/cached', 'https://example.com/cached');
+    cache.set('article', 'https://example.com/cached', { text: 'cached body', source: 'direct', paywalled: false });
+
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => { throw new Error('network should not be used'); };
+    try {
+      assert.strictEqual(await expandTcoLink('https://t.co/cached', 1000, { cache }), 'https://example.com/cached');
+      const article = await fetchArticleContent('https://example.com/cached', { cache });
+      assert.strictEqual(article.text, 'cached body');
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  test('error pages and failed GitHub lookups are not cached', async () => {
+    const cache = createCache(config);
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url) => String(url).startsWith('https://api.github.com/')
+      ? new Response('{}', { status: 200 })
+      : new Response('<html><body>Service unavailable</body></html>', { status: 503, headers: { 'content-type': 'text/html' } });
+    try {
+      await assert.rejects(fetchArticleContent('https://example.com/down', { cache }), { message: 'HTTP 503 from https://example.com/down', status: 503 });
+      assert.strictEqual(cache.get('article', 'https://example.com/down'), undefined);
+
+      // A partial API answer (no full_name) is returned but not kept
+      const repo = await fetchGitHubContent('https://github.com/someone/partial', { cache });
+      assert.strictEqual(repo.fullName, undefined);
+      assert.strictEqual(cache.get('github', 'https://github.com/someone/partial'), undefined);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+});
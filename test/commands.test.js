@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CommandError, findExecutable, runCommand, validateArg, validateId } from '../src/commands.js';
+
+const node = process.execPath;
+
+describe('validateId', () => {
+  test('accepts numeric IDs', () => {
+    assert.strictEqual(validateId(1800000000000000001n), '1800000000000000001');
+    assert.strictEqual(validateId(' 42 ', 'folder ID'), '42');
+  });
+
+  test('rejects anything a tool could misread', () => {
+    assert.throws(() => validateId('1; rm -rf ~', 'folder ID'), /Invalid folder ID: "1; rm -rf ~"/);
+    assert.throws(() => validateId('-1'), /Invalid ID/);
+    assert.throws(() => validateId(''), /Invalid ID/);
+    assert.throws(() => validateId(undefined), /Invalid ID/);
+  });
+});
+
+describe('validateArg', () => {
+  test('passes opaque values through', () => {
+    assert.strictEqual(validateArg('DAABCgABGc+/x== "q"'), 'DAABCgABGc+/x== "q"');
+  });
+
+  test('rejects flags and control characters', () => {
+    assert.throws(() => validateArg('--all', 'cursor'), /Invalid cursor/);
+    assert.throws(() => validateArg('a\nb'), /Invalid argument/);
+    assert.throws(() => validateArg(''), /Invalid argument/);
+  });
+});
+
+describe('findExecutable', () => {
+  test('searches PATH without a shell', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-path-'));
+    try {
+      const tool = path.join(tmpDir, 'tool');
+      fs.writeFileSync(tool, '#!/bin/sh\n', { mode: 0o755 });
+      fs.writeFileSync(path.join(tmpDir, 'data'), '', { mode: 0o644 });
+      assert.strictEqual(findExecutable('tool', ['/nonexistent', tmpDir].join(path.delimiter)), tool);
+      assert.strictEqual(findExecutable('data', tmpDir), null);
+      assert.strictEqual(findExecutable(tool), tool);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('runCommand', () => {
+  const echoArgs = 'process.stdout.write(JSON.stringify(process.argv.slice(1)))';
+
+  test('passes each argument through untouched', async () => {
+    const args = ['1; rm -rf ~', '$(whoami)', 'two words', "it's"];
+    assert.deepStrictEqual(JSON.parse(await runCommand(node, ['-e', echoArgs, ...args])), args);
+  });
+
+  test('can collect stdout through a temp file', async () => {
+    const output = await runCommand(node, ['-e', echoArgs, 'x'], { stdoutToFile: true });
+    assert.deepStrictEqual(JSON.parse(output), ['x']);
+  });
+
+  test('throws a CommandError on a non-zero exit', async () => {
+    const script = 'console.error("first"); console.error("HTTP 403"); process.exit(3)';
+    await assert.rejects(runCommand(node, ['-e', script], { label: 'tool' }), (error) => {
+      assert.ok(error instanceof CommandError);
+      assert.strictEqual(error.message, 'tool failed: HTTP 403');
+      assert.strictEqual(error.exitCode, 3);
+      assert.strictEqual(error.stderr, 'first\nHTTP 403\n');
+      return true;
+    });
+  });
+
+  test('kills a command that runs past its timeout', async () => {
+    await assert.rejects(runCommand(node, ['-e', 'setTimeout(() => {}, 10000)'], { timeout: 200, label: 'sleeper' }),
+      { name: 'CommandError', message: 'sleeper timed out after 0.2s', timedOut: true, signal: 'SIGTERM' });
+  });
+
+  test('reports a missing program', async () => {
+    await assert.rejects(runCommand('/nonexistent/tool', []), { code: 'ENOENT', message: 'tool not found (/nonexistent/tool)' });
+  });
+});
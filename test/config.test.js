@@ -63,4 +63,24 @@ describe('loadConfig', () => {
     // Default paths don't use ~, but the function should work
     assert.ok(!config.archiveFile.includes('~'));
   });
+
+  test('reads REPLY_CONTEXT_DEPTH as a count or "root"', () => {
+    const original = process.env.REPLY_CONTEXT_DEPTH;
+    const depthFor = (value) => {
+      process.env.REPLY_CONTEXT_DEPTH = value;
+      return loadConfig('./nonexistent.json').replyContextDepth;
+    };
+    try {
+      assert.strictEqual(depthFor('3'), 3);
+      assert.strictEqual(depthFor('0'), 0);
+      assert.strictEqual(depthFor('root'), 'root');
+      // Invalid values leave the default (1) in place
+      assert.strictEqual(depthFor('-2'), 1);
+      assert.strictEqual(depthFor('deep'), 1);
+      assert.strictEqual(depthFor('2.5'), 1);
+    } finally {
+      if (original === undefined) delete process.env.REPLY_CONTEXT_DEPTH;
+      else process.env.REPLY_CONTEXT_DEPTH = original;
+    }
+  });
 });
@@ -0,0 +1,155 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { commentText, fetchDiscussionContent, parseDiscussionUrl } from '../src/extractors/discussions.js';
+import { classifyLink, fetchContent } from '../src/processor.js';
+
+const ARTICLE = '<html><head><title>Consensus, Explained</title></head><body><article>' +
+  '<h1>Consensus, Explained</h1>' +
+  `<p>${'Raft elects a leader and replicates a log to its followers. '.repeat(30)}</p>` +
+  '</article></body></html>';
+
+async function withRoutes(routes, fn) {
+  const requested = [];
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url) => {
+    requested.push(String(url));
+    const route = routes[String(url)];
+    if (route === undefined) return new Response('not found', { status: 404 });
+    if (typeof route === 'string') return new Response(route, { headers: { 'content-type': 'text/html' } });
+    return new Response(JSON.stringify(route), { headers: { 'content-type': 'application/json' } });
+  };
+  try {
+    return await fn(requested);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+const HN = 'https://hacker-news.firebaseio.com/v0/item';
+
+const HN_ROUTES = {
+  [`${HN}/100.json`]: {
+    id: 100, type: 'story', by: 'pg', score: 312, time: 1760000000, descendants: 87,
+    title: 'Consensus, Explained', url: 'https://blog.example/consensus', kids: [101, 102, 103]
+  },
+  [`${HN}/101.json`]: { id: 101, type: 'comment', by: 'alice', parent: 100, text: 'Great intro.<p>See <a href="https:&#x2F;&#x2F;raft.github.io&#x2F;" rel="nofollow">https:&#x2F;&#x2F;raft.github.io&#x2F;</a> for more &amp; diagrams.' },
+  [`${HN}/102.json`]: { id: 102, type: 'comment', deleted: true, parent: 100 },
+  [`${HN}/103.json`]: { id: 103, type: 'comment', by: 'bob', parent: 100, text: 'Paxos is simpler than people think.' },
+  [`${HN}/104.json`]: { id: 104, type: 'comment', by: 'carol', parent: 101, text: 'Agreed.' },
+  'https://blog.example/consensus': ARTICLE
+};
+
+describe('parseDiscussionUrl', () => {
+  test('recognizes threads on each site', () => {
+    assert.deepStrictEqual(parseDiscussionUrl('https://news.ycombinator.com/item?id=100'), { site: 'hackernews', id: '100' });
+    assert.deepStrictEqual(parseDiscussionUrl('https://old.reddit.com/r/rust/comments/abc123/some_title/'), { site: 'reddit', id: 'abc123' });
+    assert.deepStrictEqual(parseDiscussionUrl('https://redd.it/abc123'), { site: 'reddit', id: 'abc123' });
+    assert.deepStrictEqual(parseDiscussionUrl('https://lobste.rs/s/xyz789/some_title'), { site: 'lobsters', id: 'xyz789' });
+  });
+
+  test('ignores pages that are not threads', () => {
+    assert.strictEqual(parseDiscussionUrl('https://news.ycombinator.com/news'), null);
+    assert.strictEqual(parseDiscussionUrl('https://news.ycombinator.com/user?id=pg'), null);
+    assert.strictEqual(parseDiscussionUrl('https://www.reddit.com/r/rust/'), null);
+    assert.strictEqual(parseDiscussionUrl('https://lobste.rs/t/rust'), null);
+    assert.strictEqual(classifyLink('https://www.reddit.com/r/rust/'), 'article');
+    assert.strictEqual(classifyLink('https://news.ycombinator.com/item?id=100'), 'discussion');
+  });
+});
+
+describe('commentText', () => {
+  test('keeps paragraphs and expands links', () => {
+    assert.strictEqual(commentText(HN_ROUTES[`${HN}/101.json`].text),
+      'Great intro.\n\nSee https://raft.github.io/ for more & diagrams.');
+  });
+});
+
+describe('fetchDiscussionContent', () => {
+  test('reads a Hacker News story and its top comments', async () => {
+    const thread = await withRoutes(HN_ROUTES, () => fetchDiscussionContent('https://news.ycombinator.com/item?id=100', { comments: 3 }));
+    assert.strictEqual(thread.site, 'hackernews');
+    assert.strictEqual(thread.title, 'Consensus, Explained');
+    assert.strictEqual(thread.targetUrl, 'https://blog.example/consensus');
+    assert.strictEqual(thread.points, 312);
+    assert.strictEqual(thread.commentCount, 87);
+    assert.strictEqual(thread.published, '2025-10-09T08:53:20.000Z');
+    assert.deepStrictEqual(thread.comments.map(c => c.author), ['alice', 'bob']);
+  });
+
+  test('resolves a Hacker News comment link to its story', async () => {
+    const thread = await withRoutes(HN_ROUTES, () => fetchDiscussionContent('https://news.ycombinator.com/item?id=104', { comments: 1 }));
+    assert.strictEqual(thread.id, '100');
+    assert.strictEqual(thread.url, 'https://news.ycombinator.com/item?id=100');
+    assert.deepStrictEqual(thread.linkedComment, { author: 'carol', points: null, text: 'Agreed.' });
+  });
+
+  test('reads Reddit self posts without a target', async () => {
+    const routes = {
+      'https://www.reddit.com/comments/abc123.json?sort=top&depth=1&limit=2&raw_json=1': [
+        { data: { children: [{ kind: 't3', data: {
+          id: 'abc123', title: 'What do you use for config?', is_self: true, selftext: 'Looking for options.',
+          url: 'https://www.reddit.com/r/rust/comments/abc123/what_do_you_use/', permalink: '/r/rust/comments/abc123/what_do_you_use/',
+          author: 'ferris', score: 54, num_comments: 12, created_utc: 1760000000, subreddit_name_prefixed: 'r/rust'
+        } }] } },
+        { data: { children: [
+          { kind: 't1', data: { author: 'AutoModerator', stickied: true, body: 'Reminder: be nice', score: 1 } },
+          { kind: 't1', data: { author: 'a', body: 'figment', score: 30 } },
+          { kind: 't1', data: { author: 'b', body: '[deleted]', score: 4 } },
+          { kind: 't1', data: { author: 'c', body: 'serde + toml ', score: 12 } },
+          { kind: 'more', data: { count: 9 } }
+        ] } }
+      ]
+    };
+    const thread = await withRoutes(routes, () => fetchDiscussionContent('https://redd.it/abc123', { comments: 2 }));
+    assert.strictEqual(thread.targetUrl, null);
+    assert.strictEqual(thread.text, 'Looking for options.');
+    assert.deepStrictEqual(thread.tags, ['r/rust']);
+    assert.deepStrictEqual(thread.comments, [
+      { author: 'a', points: 30, text: 'figment' },
+      { author: 'c', points: 12, text: 'serde + toml' }
+    ]);
+  });
+
+  test('reads Lobsters stories and keeps only top-level comments', async () => {
+    const routes = {
+      'https://lobste.rs/s/xyz789.json': {
+        short_id: 'xyz789', short_id_url: 'https://lobste.rs/s/xyz789', title: 'Consensus, Explained',
+        url: 'https://blog.example/consensus', score: 40, comment_count: 3, created_at: '2025-10-09T03:00:00.000-05:00',
+        submitter_user: 'dana', tags: ['distributed'], description_plain: '',
+        comments: [
+          { comment_plain: 'Nice.', depth: 0, score: 5, commenting_user: { username: 'erin' } },
+          { comment_plain: 'Reply', depth: 1, score: 2, commenting_user: 'frank' },
+          { comment_plain: 'Removed', depth: 0, score: 0, is_moderated: true, commenting_user: 'gus' }
+        ]
+      }
+    };
+    const thread = await withRoutes(routes, () => fetchDiscussionContent('https://lobste.rs/s/xyz789/consensus_explained'));
+    assert.strictEqual(thread.author, 'dana');
+    assert.strictEqual(thread.published, '2025-10-09T08:00:00.000Z');
+    assert.strictEqual(thread.text, null);
+    assert.deepStrictEqual(thread.comments, [{ author: 'erin', points: 5, text: 'Nice.' }]);
+  });
+});
+
+describe('discussion links in fetchContent', () => {
+  test('fetches the page the submission links to', async () => {
+    const config = { discussions: { comments: 3 }, archiveFallback: { enabled: false } };
+    const content = await withRoutes(HN_ROUTES, () => fetchContent('https://news.ycombinator.com/item?id=100', 'discussion', config));
+    assert.strictEqual(content.source, 'discussion');
+    assert.strictEqual(content.comments.length, 2);
+    assert.strictEqual(content.linked.source, 'direct');
+    assert.strictEqual(content.linked.title, 'Consensus, Explained');
+    assert.match(content.linked.text, /Raft elects a leader/);
+    assert.strictEqual(content.linked.metadata, undefined);
+  });
+
+  test('skips the linked page when fetchLinked is off', async () => {
+    const config = { discussions: { comments: 3, fetchLinked: false } };
+    const { content, requested } = await withRoutes(HN_ROUTES, async (requested) => ({
+      content: await fetchContent('https://news.ycombinator.com/item?id=100', 'discussion', config),
+      requested
+    }));
+    assert.strictEqual(content.linked, null);
+    assert.ok(!requested.includes('https://blog.example/consensus'));
+  });
+});
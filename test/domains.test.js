@@ -0,0 +1,106 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { getDomainRule, getRuleHeaders, matchesDomain } from '../src/domains.js';
+import { fetchContent, isPaywalled } from '../src/processor.js';
+
+describe('matchesDomain', () => {
+  test('matches the domain and its subdomains', () => {
+    assert.strictEqual(matchesDomain('ft.com', 'ft.com'), true);
+    assert.strictEqual(matchesDomain('www.ft.com', 'ft.com'), true);
+    assert.strictEqual(matchesDomain('markets.ft.com', '.ft.com'), true);
+  });
+
+  test('does not match hosts that merely end with the same letters', () => {
+    assert.strictEqual(matchesDomain('notft.com', 'ft.com'), false);
+    assert.strictEqual(matchesDomain('ft.com.evil.example', 'ft.com'), false);
+  });
+});
+
+describe('isPaywalled', () => {
+  test('uses hostname suffix matching', () => {
+    assert.strictEqual(isPaywalled('https://www.ft.com/content/abc'), true);
+    assert.strictEqual(isPaywalled('https://notft.com/article'), false);
+    assert.strictEqual(isPaywalled('https://example.com/?ref=nytimes.com'), false);
+  });
+
+  test('honors config overrides', () => {
+    const config = { domains: { 'ft.com': { paywalled: false }, 'paywalled.example': { paywalled: true } } };
+    assert.strictEqual(isPaywalled('https://www.ft.com/content/abc', config), false);
+    assert.strictEqual(isPaywalled('https://news.paywalled.example/x', config), true);
+  });
+});
+
+describe('getDomainRule', () => {
+  const config = {
+    domains: {
+      'corp.example': { skipFetch: true, headers: { 'X-Team': 'docs' } },
+      'wiki.corp.example': { skipFetch: false, cookies: 'session=abc' }
+    }
+  };
+
+  test('merges rules from least to most specific', () => {
+    const rule = getDomainRule(config, 'https://wiki.corp.example/page');
+    assert.strictEqual(rule.skipFetch, false);
+    assert.strictEqual(rule.cookies, 'session=abc');
+    assert.deepStrictEqual(rule.headers, { 'X-Team': 'docs' });
+    assert.strictEqual(getDomainRule(config, 'https://git.corp.example/').skipFetch, true);
+  });
+
+  test('returns an empty rule for unmatched or invalid URLs', () => {
+    assert.deepStrictEqual(getDomainRule(config, 'https://example.org/'), {});
+    assert.deepStrictEqual(getDomainRule(config, 'not a url'), {});
+  });
+
+  test('turns cookies and user agent into request headers', () => {
+    assert.deepStrictEqual(getRuleHeaders({ cookies: 'a=1', userAgent: 'SmaugBot', headers: { 'X-Key': 'k' } }), {
+      'X-Key': 'k',
+      'Cookie': 'a=1',
+      'User-Agent': 'SmaugBot'
+    });
+  });
+});
+
+describe('fetchContent domain rules', () => {
+  const withFetch = async (handler, fn) => {
+    const requests = [];
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, init = {}) => {
+      requests.push({ url: String(url), headers: init.headers || {} });
+      return handler(String(url));
+    };
+    try {
+      return { result: await fn(), requests };
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  };
+
+  const longPage = `<html><body><article><p>${'Words in a real article body. '.repeat(40)}</p></article></body></html>`;
+  const page = () => new Response(longPage, { headers: { 'content-type': 'text/html' } });
+
+  test('skipFetch never touches the network', async () => {
+    const config = { domains: { 'intranet.example': { skipFetch: true } } };
+    const { result, requests } = await withFetch(page, () => fetchContent('https://wiki.intranet.example/x', 'article', config));
+    assert.strictEqual(result.source, 'skipped');
+    assert.strictEqual(requests.length, 0);
+  });
+
+  test('sends configured cookies and user agent', async () => {
+    const config = { domains: { 'ft.com': { paywalled: false, cookies: 'FTSession=s', userAgent: 'Subscriber/1.0' } } };
+    const { result, requests } = await withFetch(page, () => fetchContent('https://www.ft.com/content/abc', 'article', config));
+    assert.strictEqual(result.source, 'direct');
+    assert.strictEqual(requests[0].headers['Cookie'], 'FTSession=s');
+    assert.strictEqual(requests[0].headers['User-Agent'], 'Subscriber/1.0');
+  });
+
+  test('alwaysArchive falls back to a direct fetch when there is no snapshot', async () => {
+    const config = { domains: { 'blog.example': { alwaysArchive: true } } };
+    const { result, requests } = await withFetch(
+      url => (url.includes('wayback/available') ? Response.json({ archived_snapshots: {} }) : url.includes('archive.ph') ? new Response('', { status: 404 }) : page()),
+      () => fetchContent('https://blog.example/post', 'article', config)
+    );
+    assert.strictEqual(result.source, 'direct');
+    assert.ok(requests[0].url.includes('wayback/available'));
+    assert.strictEqual(requests[requests.length - 1].url, 'https://blog.example/post');
+  });
+});
@@ -0,0 +1,132 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  findExtractor,
+  listExtractors,
+  loadExtractorModules,
+  registerExtractor,
+  resetExtractors,
+  runExtractor
+} from '../src/extractors/index.js';
+import { classifyLink, fetchContent } from '../src/processor.js';
+
+async function withFetch(handler, fn) {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = handler;
+  try {
+    return await fn();
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+const wiki = {
+  name: 'wiki',
+  type: 'wiki',
+  domains: ['wiki.corp.example'],
+  extract: async (url, { headers }) => ({ title: 'Runbook', url, cookie: headers.Cookie || null })
+};
+
+describe('extractor registry', () => {
+  afterEach(() => resetExtractors());
+
+  test('finds the built-in extractors by domain and pattern', () => {
+    assert.strictEqual(findExtractor('https://github.com/example/kv').name, 'github');
+    assert.strictEqual(findExtractor('https://www.youtube.com/watch?v=dQw4w9WgXcQ').name, 'video');
+    assert.strictEqual(findExtractor('https://open.spotify.com/episode/abc').name, 'podcast');
+    assert.strictEqual(findExtractor('https://open.spotify.com/track/abc'), null);
+    assert.strictEqual(findExtractor('https://arxiv.org/abs/1706.03762').name, 'arxiv');
+    assert.strictEqual(findExtractor('https://arxiv.org/list/cs.LG/recent'), null);
+    assert.strictEqual(findExtractor('https://example.com/post'), null);
+    assert.strictEqual(findExtractor('not a url'), null);
+  });
+
+  test('registered extractors take precedence and replace by name', () => {
+    registerExtractor(wiki);
+    registerExtractor({ name: 'gh-issues', patterns: [/github\.com\/[^/]+\/[^/]+\/issues\//], extract: async () => null });
+    assert.strictEqual(findExtractor('https://github.com/example/kv/issues/1').name, 'gh-issues');
+    assert.strictEqual(findExtractor('https://github.com/example/kv').name, 'github');
+    assert.strictEqual(findExtractor('https://docs.wiki.corp.example/page').name, 'wiki');
+
+    registerExtractor({ ...wiki, type: 'runbook' });
+    assert.strictEqual(listExtractors().filter(e => e.name === 'wiki').length, 1);
+    assert.strictEqual(classifyLink('https://wiki.corp.example/page'), 'runbook');
+  });
+
+  test('rejects extractors without a name, extract() or a way to match', () => {
+    assert.throws(() => registerExtractor({ domains: ['a.example'], extract: async () => null }), /name/);
+    assert.throws(() => registerExtractor({ name: 'x', domains: ['a.example'] }), /extract/);
+    assert.throws(() => registerExtractor({ name: 'x', extract: async () => null }), /domains, patterns or match/);
+  });
+
+  test('loads extractor modules listed in config', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-extractors-'));
+    const file = path.join(dir, 'notes.mjs');
+    fs.writeFileSync(file, `export default [
+  { name: 'notes', domains: ['notes.example'], extract: async (url) => ({ title: 'A note', url }) }
+];
+`);
+    try {
+      await loadExtractorModules({ extractors: [file] });
+      await loadExtractorModules({ extractors: [file] });
+      assert.strictEqual(findExtractor('https://notes.example/n/1').name, 'notes');
+      assert.strictEqual(classifyLink('https://notes.example/n/1'), 'notes');
+
+      await assert.rejects(
+        loadExtractorModules({ extractors: [path.join(dir, 'missing.mjs')] }),
+        /Could not load extractor module/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('runExtractor caches successes under the extractor name', async () => {
+    const stored = [];
+    const cache = {
+      remember: async (kind, key, fn, shouldStore) => {
+        const value = await fn();
+        if (shouldStore(value)) stored.push(kind);
+        return value;
+      }
+    };
+    registerExtractor({ ...wiki, source: 'wiki-api' });
+    const content = await runExtractor(findExtractor('https://wiki.corp.example/p'), 'https://wiki.corp.example/p', { headers: {} }, cache);
+    assert.strictEqual(content.title, 'Runbook');
+    assert.strictEqual(content.source, 'wiki-api');
+    assert.deepStrictEqual(stored, ['wiki']);
+  });
+
+  test('fetchContent passes domain rule headers to extractors', async () => {
+    registerExtractor(wiki);
+    const config = { domains: { 'wiki.corp.example': { cookies: 'session=abc' } } };
+    const content = await fetchContent('https://wiki.corp.example/p', 'wiki', config);
+    assert.deepStrictEqual(content, {
+      title: 'Runbook',
+      url: 'https://wiki.corp.example/p',
+      cookie: 'session=abc',
+      source: 'wiki'
+    });
+  });
+
+  test('fetchContent falls back to the page unless the extractor opts out', async () => {
+    const page = '<html><head><title>Fallback</title></head><body><article><p>Body text here.</p></article></body></html>';
+    let fetches = 0;
+    await withFetch(async () => {
+      fetches++;
+      return new Response(page, { headers: { 'content-type': 'text/html' } });
+    }, async () => {
+      const config = { archiveFallback: { enabled: false } };
+      registerExtractor({ ...wiki, extract: async () => { throw new Error('API down'); } });
+      const content = await fetchContent('https://wiki.corp.example/p', 'wiki', config);
+      assert.strictEqual(content.source, 'direct');
+      assert.strictEqual(fetches, 1);
+
+      registerExtractor({ ...wiki, fallback: false, extract: async () => null });
+      assert.strictEqual(await fetchContent('https://wiki.corp.example/p', 'wiki', config), null);
+      assert.strictEqual(fetches, 1);
+    });
+  });
+});
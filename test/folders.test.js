@@ -0,0 +1,185 @@
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { canListFolders, listFolders, mergeFolders, saveFolders, slugifyFolderName } from '../src/folders.js';
+import { fetchAndPrepareBookmarks, fetchFromFolders } from '../src/processor.js';
+import { registerSourceAdapter } from '../src/sources/index.js';
+import { createFileSource } from '../src/sources/file.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixtureDir = path.join(__dirname, 'fixtures/file-source');
+
+function tweet(id) {
+  return { id, text: `Tweet ${id}`, author: { username: 'testuser', name: 'Test User' }, createdAt: '2025-12-15T10:30:00Z' };
+}
+
+describe('slugifyFolderName', () => {
+  test('turns folder names into tags', () => {
+    assert.strictEqual(slugifyFolderName('AI Tools & Agents'), 'ai-tools-agents');
+    assert.strictEqual(slugifyFolderName('  Café Reads! '), 'cafe-reads');
+    assert.strictEqual(slugifyFolderName('🔥🔥'), 'folder');
+  });
+});
+
+describe('listFolders', () => {
+  test('lists folders through the source adapter', async () => {
+    const folders = await listFolders({ sourceAdapter: 'file', fileSource: { dir: fixtureDir } });
+    assert.deepStrictEqual(folders, [{ id: '1111111111', name: 'ai-tools' }]);
+  });
+
+  test('explains when the source cannot list folders', async () => {
+    registerSourceAdapter('no-folders', () => ({ name: 'no-folders' }));
+    assert.strictEqual(canListFolders({ sourceAdapter: 'no-folders' }), false);
+    await assert.rejects(listFolders({ sourceAdapter: 'no-folders' }), /no-folders source cannot list bookmark folders/);
+  });
+});
+
+describe('mergeFolders', () => {
+  const discovered = [
+    { id: '1', name: 'Research' },
+    { id: '2', name: 'Reading List' },
+    { id: '3', name: 'reading list' }
+  ];
+
+  test('adds new folders without renaming configured ones', () => {
+    const { folders, added } = mergeFolders({ '1': 'papers', '9': 'old' }, discovered);
+    assert.deepStrictEqual(folders, { '1': 'papers', '9': 'old', '2': 'reading-list', '3': 'reading-list-2' });
+    assert.deepStrictEqual(added.map(folder => folder.tag), ['reading-list', 'reading-list-2']);
+  });
+
+  test('does not reuse a configured tag', () => {
+    const { folders } = mergeFolders({ '9': 'research' }, [{ id: '1', name: 'Research' }]);
+    assert.strictEqual(folders['1'], 'research-2');
+  });
+
+  test('drops folders that no longer exist with prune', () => {
+    const { folders } = mergeFolders({ '1': 'papers', '9': 'old' }, discovered, { prune: true });
+    assert.deepStrictEqual(Object.keys(folders).sort(), ['1', '2', '3']);
+  });
+});
+
+describe('saveFolders', () => {
+  test('rewrites only the folders key', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-folders-'));
+    try {
+      const configPath = path.join(tmpDir, 'smaug.config.json');
+      fs.writeFileSync(configPath, JSON.stringify({ source: 'likes', folders: { '1': 'old' } }));
+      assert.strictEqual(saveFolders({ '1': 'old', '2': 'new' }, configPath), configPath);
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(configPath, 'utf8')),
+        { source: 'likes', folders: { '1': 'old', '2': 'new' } });
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('fetchFromFolders with autoDiscoverFolders', () => {
+  let tmpDir;
+  let config;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-discover-'));
+    fs.mkdirSync(path.join(tmpDir, 'folders'));
+    fs.writeFileSync(path.join(tmpDir, 'folders.json'), JSON.stringify({ '100': 'Research', '200': 'Dev Tools' }));
+    fs.writeFileSync(path.join(tmpDir, 'folders/100.json'), JSON.stringify([tweet('1')]));
+    fs.writeFileSync(path.join(tmpDir, 'folders/200.json'), JSON.stringify([tweet('2')]));
+    fs.writeFileSync(path.join(tmpDir, 'bookmarks.json'), JSON.stringify([tweet('1'), tweet('2'), tweet('3')]));
+    config = {
+      sourceAdapter: 'file',
+      fileSource: { dir: tmpDir },
+      folders: { '100': 'papers' },
+      autoDiscoverFolders: true
+    };
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('fetches new folders and bookmarks in no folder', async () => {
+    const bookmarks = await fetchFromFolders(config, 10);
+    assert.deepStrictEqual(bookmarks.map(b => [b.id, b._folderTag]), [
+      ['1', 'papers'],
+      ['2', 'dev-tools'],
+      ['3', undefined]
+    ]);
+    assert.ok(bookmarks.every(b => b._origin === 'bookmark'));
+  });
+
+  test('only fetches configured folders when off', async () => {
+    const bookmarks = await fetchFromFolders({ ...config, autoDiscoverFolders: false }, 10);
+    assert.deepStrictEqual(bookmarks.map(b => b.id), ['1']);
+  });
+
+  test('still fetches unfoldered bookmarks when folders cannot be listed', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'folders.json'), 'not json');
+    try {
+      const bookmarks = await fetchFromFolders({ ...config, folders: {} }, 10);
+      assert.deepStrictEqual(bookmarks.map(b => [b.id, b._folderTag]), [['1', undefined], ['2', undefined], ['3', undefined]]);
+    } finally {
+      fs.writeFileSync(path.join(tmpDir, 'folders.json'), JSON.stringify({ '100': 'Research', '200': 'Dev Tools' }));
+    }
+  });
+});
+
+describe('fetchAndPrepareBookmarks with autoDiscoverFolders', () => {
+  let tmpDir;
+  let log;
+  let warn;
+
+  const writeConfig = (extra) => {
+    const configPath = path.join(tmpDir, 'smaug.config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      sourceAdapter: 'file',
+      fileSource: { dir: tmpDir },
+      autoDiscoverFolders: true,
+      archiveFile: path.join(tmpDir, 'bookmarks.md'),
+      pendingFile: path.join(tmpDir, '.state/pending-bookmarks.json'),
+      stateFile: path.join(tmpDir, '.state/bookmarks-state.json'),
+      timezone: 'UTC',
+      ...extra
+    }));
+    return configPath;
+  };
+  const logged = (method) => method.mock.calls.map(call => String(call.arguments[0]));
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-discover-'));
+    fs.writeFileSync(path.join(tmpDir, 'bookmarks.json'), JSON.stringify([tweet('1'), tweet('2')]));
+    log = mock.method(console, 'log', () => {});
+    warn = mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('fetches the bookmark list as usual when no folders are found', async () => {
+    const result = await fetchAndPrepareBookmarks({ configPath: writeConfig(), count: 20 });
+    assert.strictEqual(result.count, 2);
+    assert.ok(logged(log).some(message => message.startsWith('Fetching from source: bookmarks')));
+    assert.ok(!logged(log).some(message => message.startsWith('Fetching from bookmark folders')));
+  });
+
+  test('warns and skips discovery when the source cannot list folders', async () => {
+    // Like bird: everything but listFolders
+    registerSourceAdapter('no-listing', (config) => {
+      const { listFolders: _, ...adapter } = createFileSource(config);
+      return { ...adapter, name: 'no-listing' };
+    });
+    fs.mkdirSync(path.join(tmpDir, 'folders'));
+    fs.writeFileSync(path.join(tmpDir, 'folders/100.json'), JSON.stringify([tweet('1')]));
+    const configPath = writeConfig({ sourceAdapter: 'no-listing', folders: { '100': 'papers' } });
+
+    const result = await fetchAndPrepareBookmarks({ configPath, count: 20 });
+    assert.strictEqual(result.count, 2);
+    assert.deepStrictEqual(logged(warn).filter(message => message.includes('autoDiscoverFolders')),
+      ["autoDiscoverFolders is on, but the no-listing source can't list folders; using configured folders only"]);
+    const pending = JSON.parse(fs.readFileSync(path.join(tmpDir, '.state/pending-bookmarks.json'), 'utf8'));
+    assert.deepStrictEqual(pending.bookmarks.map(b => [b.id, b.tags]).sort(), [['1', ['papers']], ['2', []]]);
+  });
+});
@@ -0,0 +1,231 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import {
+  fetchGitHubContent,
+  githubRequest,
+  parseGitHubUrl,
+  repoHealth,
+  resetGitHubRateLimit
+} from '../src/extractors/github.js';
+import { classifyLink, fetchContent } from '../src/processor.js';
+
+const REPO = {
+  name: 'kv',
+  full_name: 'example/kv',
+  description: 'A tiny key-value store',
+  stargazers_count: 1200,
+  forks_count: 40,
+  language: 'Rust',
+  topics: ['database'],
+  license: { spdx_id: 'MIT', name: 'MIT License' },
+  archived: false,
+  pushed_at: '2025-10-01T12:00:00Z',
+  homepage: 'https://kv.example',
+  html_url: 'https://github.com/example/kv'
+};
+
+const README = { content: Buffer.from('# kv\n\nStore keys.').toString('base64'), encoding: 'base64' };
+
+function json(body, init = {}) {
+  return new Response(JSON.stringify(body), { status: 200, ...init, headers: { 'content-type': 'application/json', ...init.headers } });
+}
+
+async function withApi(routes, fn) {
+  const requests = [];
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init = {}) => {
+    const target = String(url).replace('https://api.github.com', '');
+    requests.push({ path: target, headers: init.headers || {} });
+    const route = routes[target];
+    if (typeof route === 'function') return route(requests.length);
+    return route ? json(route) : new Response('{"message":"Not Found"}', { status: 404 });
+  };
+  try {
+    return { result: await fn(), requests };
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+const REPO_ROUTES = {
+  '/repos/example/kv': REPO,
+  '/repos/example/kv/readme': README,
+  '/repos/example/kv/releases/latest': {
+    tag_name: 'v2.1.0', name: 'v2.1', published_at: '2025-09-20T00:00:00Z', html_url: 'https://github.com/example/kv/releases/tag/v2.1.0'
+  }
+};
+
+describe('parseGitHubUrl', () => {
+  test('treats malformed percent-encoding as no match', () => {
+    assert.strictEqual(parseGitHubUrl('https://github.com/example/%E0%A4%A'), null);
+    assert.doesNotThrow(() => classifyLink('https://github.com/example/%E0%A4%A'));
+  });
+
+  test('recognizes repos and sub-paths', () => {
+    assert.deepStrictEqual(parseGitHubUrl('https://github.com/example/kv'), { kind: 'repo', owner: 'example', repo: 'kv' });
+    assert.deepStrictEqual(parseGitHubUrl('https://github.com/example/kv.git'), { kind: 'repo', owner: 'example', repo: 'kv' });
+    assert.deepStrictEqual(parseGitHubUrl('https://github.com/example/kv/blob/main/docs/design.md'),
+      { kind: 'file', owner: 'example', repo: 'kv', ref: 'main', path: 'docs/design.md' });
+    assert.deepStrictEqual(parseGitHubUrl('https://github.com/example/kv/tree/main/crates/server'),
+      { kind: 'tree', owner: 'example', repo: 'kv', ref: 'main', path: 'crates/server' });
+    assert.deepStrictEqual(parseGitHubUrl('https://github.com/example/kv/issues/12#issuecomment-1'),
+      { kind: 'issue', owner: 'example', repo: 'kv', number: 12 });
+    assert.deepStrictEqual(parseGitHubUrl('https://github.com/example/kv/pull/34/files'),
+      { kind: 'pull', owner: 'example', repo: 'kv', number: 34 });
+    assert.deepStrictEqual(parseGitHubUrl('https://github.com/example/kv/releases/tag/v2.1.0'),
+      { kind: 'release', owner: 'example', repo: 'kv', tag: 'v2.1.0' });
+    assert.deepStrictEqual(parseGitHubUrl('https://github.com/example/kv/wiki/Home'), { kind: 'repo', owner: 'example', repo: 'kv' });
+  });
+
+  test('recognizes gists, raw files and profiles', () => {
+    assert.deepStrictEqual(parseGitHubUrl('https://gist.github.com/someone/0123456789abcdef0123'),
+      { kind: 'gist', owner: 'someone', gistId: '0123456789abcdef0123' });
+    assert.deepStrictEqual(parseGitHubUrl('https://raw.githubusercontent.com/example/kv/main/README.md'),
+      { kind: 'file', owner: 'example', repo: 'kv', ref: 'main', path: 'README.md' });
+    assert.deepStrictEqual(parseGitHubUrl('https://github.com/orgs/example/repositories'), { kind: 'org', owner: 'example' });
+    assert.deepStrictEqual(parseGitHubUrl('https://github.com/someone'), { kind: 'user', owner: 'someone' });
+  });
+
+  test('rejects site pages and other hosts', () => {
+    assert.strictEqual(parseGitHubUrl('https://github.com/features/copilot'), null);
+    assert.strictEqual(parseGitHubUrl('https://github.com/topics/rust'), null);
+    assert.strictEqual(parseGitHubUrl('https://example.com/github.com/a/b'), null);
+  });
+});
+
+describe('repoHealth', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+
+  test('classifies by archive flag and recent activity', () => {
+    assert.strictEqual(repoHealth({ archived: true, pushedAt: '2025-12-01T00:00:00Z' }, now), 'archived');
+    assert.strictEqual(repoHealth({ pushedAt: '2025-06-01T00:00:00Z' }, now), 'active');
+    assert.strictEqual(repoHealth({ pushedAt: '2023-01-01T00:00:00Z' }, now), 'stale');
+    assert.strictEqual(repoHealth({ pushedAt: '2023-01-01T00:00:00Z', latestRelease: { publishedAt: '2025-11-01T00:00:00Z' } }, now), 'active');
+    assert.strictEqual(repoHealth({}, now), null);
+  });
+});
+
+describe('fetchGitHubContent', () => {
+  beforeEach(() => resetGitHubRateLimit());
+
+  test('returns repo health fields and sends the token', async () => {
+    const { result, requests } = await withApi(REPO_ROUTES, () =>
+      fetchGitHubContent('https://github.com/example/kv', { token: 'ghp_test' }));
+    assert.strictEqual(result.kind, 'repo');
+    assert.strictEqual(result.fullName, 'example/kv');
+    assert.strictEqual(result.license, 'MIT');
+    assert.strictEqual(result.archived, false);
+    assert.strictEqual(result.pushedAt, '2025-10-01T12:00:00Z');
+    assert.strictEqual(result.homepage, 'https://kv.example');
+    assert.deepStrictEqual(result.latestRelease, {
+      tag: 'v2.1.0', name: 'v2.1', publishedAt: '2025-09-20T00:00:00Z', url: 'https://github.com/example/kv/releases/tag/v2.1.0'
+    });
+    assert.strictEqual(result.readme, '# kv\n\nStore keys.');
+    assert.ok(requests.every(r => r.headers.Authorization === 'Bearer ghp_test'));
+  });
+
+  test('repos without releases have a null latestRelease', async () => {
+    const routes = { ...REPO_ROUTES };
+    delete routes['/repos/example/kv/releases/latest'];
+    const { result } = await withApi(routes, () => fetchGitHubContent('https://github.com/example/kv'));
+    assert.strictEqual(result.latestRelease, null);
+  });
+
+  test('reads the linked file', async () => {
+    const { result } = await withApi({
+      ...REPO_ROUTES,
+      '/repos/example/kv/contents/docs/design.md?ref=main': { content: Buffer.from('# Design').toString('base64'), encoding: 'base64' }
+    }, () => fetchGitHubContent('https://github.com/example/kv/blob/main/docs/design.md'));
+    assert.strictEqual(result.kind, 'file');
+    assert.deepStrictEqual(result.file, { path: 'docs/design.md', ref: 'main', content: '# Design' });
+    assert.strictEqual(result.fullName, 'example/kv');
+  });
+
+  test('reads the linked issue', async () => {
+    const { result } = await withApi({
+      ...REPO_ROUTES,
+      '/repos/example/kv/issues/34': {
+        number: 34, title: 'Add compaction', state: 'closed', user: { login: 'dev' }, labels: [{ name: 'feature' }],
+        comments: 3, created_at: '2025-08-01T00:00:00Z', closed_at: '2025-08-03T00:00:00Z',
+        pull_request: { merged_at: '2025-08-03T00:00:00Z' }, body: 'Implements compaction.', html_url: 'https://github.com/example/kv/pull/34'
+      }
+    }, () => fetchGitHubContent('https://github.com/example/kv/pull/34'));
+    assert.strictEqual(result.kind, 'pull');
+    assert.strictEqual(result.issue.title, 'Add compaction');
+    assert.strictEqual(result.issue.isPullRequest, true);
+    assert.strictEqual(result.issue.merged, true);
+    assert.deepStrictEqual(result.issue.labels, ['feature']);
+  });
+
+  test('reads gists', async () => {
+    const { result } = await withApi({
+      '/gists/0123456789abcdef0123': {
+        description: 'Bash prompt', owner: { login: 'someone' }, html_url: 'https://gist.github.com/someone/0123456789abcdef0123',
+        files: { 'prompt.sh': { filename: 'prompt.sh', language: 'Shell', content: 'PS1="> "' } },
+        created_at: '2024-01-01T00:00:00Z', updated_at: '2024-02-01T00:00:00Z'
+      }
+    }, () => fetchGitHubContent('https://gist.github.com/someone/0123456789abcdef0123'));
+    assert.strictEqual(result.kind, 'gist');
+    assert.strictEqual(result.fullName, 'someone/0123456789abcdef0123');
+    assert.deepStrictEqual(result.files, [{ filename: 'prompt.sh', language: 'Shell', content: 'PS1="> "' }]);
+  });
+
+  test('throws for missing repos', async () => {
+    await withApi({}, () => assert.rejects(fetchGitHubContent('https://github.com/example/gone'), /not found/));
+  });
+});
+
+describe('githubRequest rate limits', () => {
+  beforeEach(() => resetGitHubRateLimit());
+
+  test('waits for a secondary rate limit and retries', async () => {
+    const { result, requests } = await withApi({
+      '/rate': (n) => n === 1
+        ? new Response('{"message":"secondary rate limit"}', { status: 403, headers: { 'retry-after': '0.01' } })
+        : json({ ok: true })
+    }, () => githubRequest('/rate'));
+    assert.deepStrictEqual(result, { ok: true });
+    assert.strictEqual(requests.length, 2);
+  });
+
+  test('gives up when the reset is further away than maxWaitMs', async () => {
+    const reset = Math.floor(Date.now() / 1000) + 3600;
+    const { requests } = await withApi({
+      '/rate': () => new Response('{"message":"API rate limit exceeded"}', {
+        status: 403,
+        headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }
+      })
+    }, () => assert.rejects(githubRequest('/rate', { maxWaitMs: 1000 }), /rate limit exhausted.*github\.token/));
+    assert.strictEqual(requests.length, 1);
+  });
+
+  test('an exhausted limit stops later requests before they are sent', async () => {
+    const reset = Math.floor(Date.now() / 1000) + 3600;
+    const { requests } = await withApi({
+      '/a': () => json({}, { headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) } }),
+      '/b': { ok: true }
+    }, async () => {
+      await githubRequest('/a');
+      await assert.rejects(githubRequest('/b', { maxWaitMs: 1000 }), /rate limit exhausted/);
+    });
+    assert.deepStrictEqual(requests.map(r => r.path), ['/a']);
+  });
+});
+
+describe('GitHub links', () => {
+  beforeEach(() => resetGitHubRateLimit());
+
+  test('classifyLink uses the hostname', () => {
+    assert.strictEqual(classifyLink('https://gist.github.com/someone/0123456789abcdef0123'), 'github');
+    assert.strictEqual(classifyLink('https://raw.githubusercontent.com/example/kv/main/README.md'), 'github');
+    assert.strictEqual(classifyLink('https://example.com/?ref=github.com'), 'article');
+  });
+
+  test('fetchContent passes the configured token', async () => {
+    const { result, requests } = await withApi(REPO_ROUTES, () =>
+      fetchContent('https://github.com/example/kv', 'github', { github: { token: 'from-config' } }));
+    assert.strictEqual(result.source, 'github-api');
+    assert.strictEqual(result.kind, 'repo');
+    assert.strictEqual(requests[0].headers.Authorization, 'Bearer from-config');
+  });
+});
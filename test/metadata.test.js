@@ -0,0 +1,135 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { cleanTitle, extractMetadata, mergeOembed, parseDuration } from '../src/metadata.js';
+import { fetchLinkMetadata } from '../src/processor.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/articles', name), 'utf8');
+
+describe('extractMetadata', () => {
+  test('reads OpenGraph article tags', () => {
+    const metadata = extractMetadata(readFixture('blog-post.html'), 'https://example.com/blog/sqlite');
+    assert.strictEqual(metadata.title, 'Why SQLite Is Enough');
+    assert.strictEqual(metadata.description, 'Most side projects never outgrow a single file.');
+    assert.strictEqual(metadata.author, 'Jane Doe');
+    assert.strictEqual(metadata.published, '2025-11-03T08:00:00Z');
+    assert.strictEqual(metadata.siteName, 'Example Engineering');
+  });
+
+  test('combines OpenGraph, Twitter card, JSON-LD and oEmbed discovery', () => {
+    const metadata = extractMetadata(readFixture('video-page.html'), 'https://www.youtube.com/watch?v=abc123');
+    assert.strictEqual(metadata.title, 'Building a Database in 40 Minutes');
+    assert.strictEqual(metadata.description, 'We write a tiny key-value store from scratch.');
+    assert.strictEqual(metadata.image, 'https://i.ytimg.com/vi/abc123/maxresdefault.jpg');
+    assert.strictEqual(metadata.published, '2025-09-12');
+    assert.strictEqual(metadata.type, 'video.other');
+    assert.strictEqual(metadata.canonicalUrl, 'https://www.youtube.com/watch?v=abc123');
+    assert.strictEqual(metadata.oembedUrl,
+      'https://www.youtube.com/oembed?url=https%3A%2F%2Fwww.youtube.com%2Fwatch%3Fv%3Dabc123&format=json');
+    assert.strictEqual(metadata.author, null);
+  });
+
+  test('reads JSON-LD @graph authors and publishers', () => {
+    const metadata = extractMetadata(readFixture('no-article-tag.html'), 'https://widget.example/blog/2-0');
+    assert.strictEqual(metadata.title, 'Widget 2.0 is out');
+    assert.strictEqual(metadata.author, 'Sam Lee');
+    assert.strictEqual(metadata.siteName, 'Widget Co');
+  });
+
+  test('leaves unknown fields null', () => {
+    const metadata = extractMetadata('<html><head></head><body>hi</body></html>', 'https://bare.example/');
+    assert.deepStrictEqual(metadata, {
+      title: null,
+      description: null,
+      image: null,
+      author: null,
+      published: null,
+      siteName: 'bare.example',
+      type: null,
+      canonicalUrl: null,
+      oembedUrl: null
+    });
+  });
+});
+
+describe('cleanTitle', () => {
+  test('strips a trailing site name', () => {
+    assert.strictEqual(cleanTitle('Headline | The Site', 'The Site'), 'Headline');
+    assert.strictEqual(cleanTitle('Headline - The Site', 'The Site'), 'Headline');
+    assert.strictEqual(cleanTitle('Headline', 'The Site'), 'Headline');
+  });
+});
+
+describe('mergeOembed', () => {
+  test('only fills fields the page left empty', () => {
+    const merged = mergeOembed({ title: 'Page title', author: null, image: null, siteName: 'YouTube', type: null },
+      { title: 'oEmbed title', author_name: 'Some Channel', thumbnail_url: 'https://img.example/t.jpg', type: 'video' });
+    assert.strictEqual(merged.title, 'Page title');
+    assert.strictEqual(merged.author, 'Some Channel');
+    assert.strictEqual(merged.image, 'https://img.example/t.jpg');
+    assert.strictEqual(merged.type, 'video');
+  });
+});
+
+describe('fetchLinkMetadata', () => {
+  const withFetch = async (handler, fn) => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = handler;
+    try {
+      return await fn();
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  };
+
+  test('follows oEmbed discovery to fill the author', async () => {
+    const requested = [];
+    const metadata = await withFetch(async (url) => {
+      requested.push(String(url));
+      if (String(url).includes('/oembed')) {
+        return Response.json({ title: 'Building a Database in 40 Minutes', author_name: 'Tiny Systems' });
+      }
+      return new Response(readFixture('video-page.html'), { headers: { 'content-type': 'text/html' } });
+    }, () => fetchLinkMetadata('https://www.youtube.com/watch?v=abc123'));
+
+    assert.strictEqual(requested.length, 2);
+    assert.strictEqual(metadata.author, 'Tiny Systems');
+    assert.strictEqual(metadata.contentType, 'text/html');
+  });
+
+  test('does not read the body of non-HTML responses', async () => {
+    const metadata = await withFetch(
+      async () => new Response('binary', { headers: { 'content-type': 'image/png' } }),
+      () => fetchLinkMetadata('https://cdn.example/cat.png')
+    );
+    assert.strictEqual(metadata.image, 'https://cdn.example/cat.png');
+    assert.strictEqual(metadata.contentType, 'image/png');
+    assert.strictEqual(metadata.title, null);
+  });
+
+  test('returns null when the page cannot be fetched', async () => {
+    const metadata = await withFetch(async () => { throw new Error('offline'); },
+      () => fetchLinkMetadata('https://down.example/'));
+    assert.strictEqual(metadata, null);
+  });
+});
+
+describe('parseDuration', () => {
+  test('reads ISO 8601, clock and second durations', () => {
+    assert.strictEqual(parseDuration('PT1H2M3S'), 3723);
+    assert.strictEqual(parseDuration('PT40M'), 2400);
+    assert.strictEqual(parseDuration('1:02:03'), 3723);
+    assert.strictEqual(parseDuration('62:03'), 3723);
+    assert.strictEqual(parseDuration('2710'), 2710);
+    assert.strictEqual(parseDuration(754.4), 754);
+  });
+
+  test('returns null for anything else', () => {
+    assert.strictEqual(parseDuration(null), null);
+    assert.strictEqual(parseDuration('P'), null);
+    assert.strictEqual(parseDuration('about an hour'), null);
+  });
+});
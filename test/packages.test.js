@@ -0,0 +1,231 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import {
+  fetchPackageContent,
+  findGitHubRepo,
+  parsePackageUrl,
+  summarizeModelCard
+} from '../src/extractors/packages.js';
+import { resetGitHubRateLimit } from '../src/extractors/github.js';
+import { classifyLink, fetchContent } from '../src/processor.js';
+
+function json(body, init = {}) {
+  return new Response(JSON.stringify(body), { status: 200, ...init, headers: { 'content-type': 'application/json' } });
+}
+
+async function withRoutes(routes, fn) {
+  const requested = [];
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url) => {
+    requested.push(String(url));
+    const route = routes[String(url)];
+    if (route === undefined) return new Response('not found', { status: 404 });
+    return typeof route === 'function' ? route() : json(route);
+  };
+  try {
+    return await fn(requested);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+const NPM_ROUTES = {
+  'https://registry.npmjs.org/@example%2Fkv/latest': {
+    name: '@example/kv',
+    version: '2.1.0',
+    description: 'A tiny key-value store',
+    license: 'MIT',
+    homepage: 'https://kv.example',
+    repository: { type: 'git', url: 'git+https://github.com/example/kv.git' },
+    keywords: ['kv', 'store']
+  },
+  'https://api.npmjs.org/downloads/point/last-week/@example/kv': { downloads: 48213, package: '@example/kv' }
+};
+
+describe('parsePackageUrl', () => {
+  test('recognizes package pages on each registry', () => {
+    assert.deepStrictEqual(parsePackageUrl('https://www.npmjs.com/package/left-pad'), { registry: 'npm', name: 'left-pad', version: null });
+    assert.deepStrictEqual(parsePackageUrl('https://www.npmjs.com/package/@example/kv/v/1.0.0'), { registry: 'npm', name: '@example/kv', version: '1.0.0' });
+    assert.deepStrictEqual(parsePackageUrl('https://pypi.org/project/requests/2.32.0/'), { registry: 'pypi', name: 'requests', version: '2.32.0' });
+    assert.deepStrictEqual(parsePackageUrl('https://crates.io/crates/serde'), { registry: 'crates', name: 'serde', version: null });
+    assert.deepStrictEqual(parsePackageUrl('https://huggingface.co/meta-llama/Llama-3.1-8B'),
+      { registry: 'huggingface', name: 'meta-llama/Llama-3.1-8B', version: null, repoType: 'model' });
+    assert.deepStrictEqual(parsePackageUrl('https://huggingface.co/datasets/openai/gsm8k/viewer'),
+      { registry: 'huggingface', name: 'openai/gsm8k', version: null, repoType: 'dataset' });
+  });
+
+  test('ignores registry pages that are not packages', () => {
+    assert.strictEqual(parsePackageUrl('https://www.npmjs.com/search?q=kv'), null);
+    assert.strictEqual(parsePackageUrl('https://www.npmjs.com/package/@example'), null);
+    assert.strictEqual(parsePackageUrl('https://pypi.org/user/someone/'), null);
+    assert.strictEqual(parsePackageUrl('https://huggingface.co/blog/some-post'), null);
+    assert.strictEqual(parsePackageUrl('https://huggingface.co/meta-llama'), null);
+    assert.strictEqual(parsePackageUrl('https://example.com/package/kv'), null);
+  });
+
+  test('classifyLink types package links', () => {
+    assert.strictEqual(classifyLink('https://www.npmjs.com/package/left-pad'), 'package');
+    assert.strictEqual(classifyLink('https://huggingface.co/spaces/owner/demo'), 'package');
+    assert.strictEqual(classifyLink('https://huggingface.co/docs/transformers'), 'article');
+  });
+
+  test('treats malformed percent-encoding as no match', () => {
+    assert.strictEqual(parsePackageUrl('https://www.npmjs.com/package/%E0%A4%A'), null);
+    assert.doesNotThrow(() => classifyLink('https://www.npmjs.com/package/%E0%A4%A'));
+  });
+});
+
+describe('findGitHubRepo', () => {
+  test('normalizes repository fields to a repo URL', () => {
+    assert.strictEqual(findGitHubRepo('git+https://github.com/example/kv.git'), 'https://github.com/example/kv');
+    assert.strictEqual(findGitHubRepo('git@github.com:example/kv.git'), 'https://github.com/example/kv');
+    assert.strictEqual(findGitHubRepo('github:example/kv'), 'https://github.com/example/kv');
+    assert.strictEqual(findGitHubRepo('https://github.com/example/kv/issues'), 'https://github.com/example/kv');
+    assert.strictEqual(findGitHubRepo('https://gitlab.com/example/kv'), null);
+    assert.strictEqual(findGitHubRepo(null), null);
+  });
+});
+
+describe('summarizeModelCard', () => {
+  test('skips the YAML header, headings and badges', () => {
+    const card = '---\nlicense: apache-2.0\n---\n\n# Model\n\n[![badge](x.svg)](y)\n\nA small  model\nfor tagging.\n\n## Usage\n';
+    assert.strictEqual(summarizeModelCard(card), 'A small model for tagging.');
+    assert.strictEqual(summarizeModelCard(null), null);
+  });
+});
+
+describe('fetchPackageContent', () => {
+  test('reads npm packages with weekly downloads', async () => {
+    const pkg = await withRoutes(NPM_ROUTES, () => fetchPackageContent('https://www.npmjs.com/package/@example/kv'));
+    assert.deepStrictEqual(pkg, {
+      kind: 'package',
+      registry: 'npm',
+      name: '@example/kv',
+      version: '2.1.0',
+      description: 'A tiny key-value store',
+      license: 'MIT',
+      weeklyDownloads: 48213,
+      homepage: 'https://kv.example',
+      repository: 'https://github.com/example/kv',
+      keywords: ['kv', 'store'],
+      readme: null,
+      url: 'https://www.npmjs.com/package/@example/kv'
+    });
+  });
+
+  test('keeps the package when download stats are unavailable', async () => {
+    const routes = {
+      'https://pypi.org/pypi/tinydb/json': {
+        info: {
+          name: 'tinydb',
+          version: '4.8.0',
+          summary: 'A tiny document database',
+          license: 'MIT License\n\nPermission is hereby granted, free of charge, to any person obtaining a copy...',
+          classifiers: ['License :: OSI Approved :: MIT License'],
+          project_urls: { Homepage: 'https://tinydb.example', Source: 'https://github.com/example/tinydb' },
+          keywords: 'database,nosql',
+          description: '# TinyDB\n\nStore documents.'
+        }
+      },
+      'https://pypistats.org/api/packages/tinydb/recent': () => new Response('busy', { status: 429 })
+    };
+    const pkg = await withRoutes(routes, () => fetchPackageContent('https://pypi.org/project/tinydb/'));
+    assert.strictEqual(pkg.license, 'MIT License');
+    assert.strictEqual(pkg.weeklyDownloads, null);
+    assert.strictEqual(pkg.repository, 'https://github.com/example/tinydb');
+    assert.strictEqual(pkg.homepage, 'https://tinydb.example');
+    assert.deepStrictEqual(pkg.keywords, ['database', 'nosql']);
+    assert.strictEqual(pkg.readme, '# TinyDB\n\nStore documents.');
+  });
+
+  test('sums the last week of crates.io downloads', async () => {
+    const routes = {
+      'https://crates.io/api/v1/crates/kv': {
+        crate: { name: 'kv', max_stable_version: '0.24.0', newest_version: '0.25.0-beta', description: 'Key-value store\n', repository: 'https://github.com/example/kv' },
+        versions: [{ num: '0.25.0-beta', license: 'MIT' }, { num: '0.24.0', license: 'MIT OR Apache-2.0' }]
+      },
+      'https://crates.io/api/v1/crates/kv/downloads': {
+        version_downloads: [
+          { date: '2025-10-01', downloads: 1000 },
+          { date: '2025-10-05', downloads: 10 },
+          { date: '2025-10-08', downloads: 20 }
+        ],
+        meta: { extra_downloads: [{ date: '2025-10-08', downloads: 5 }] }
+      }
+    };
+    const pkg = await withRoutes(routes, () => fetchPackageContent('https://crates.io/crates/kv'));
+    assert.strictEqual(pkg.version, '0.24.0');
+    assert.strictEqual(pkg.license, 'MIT OR Apache-2.0');
+    assert.strictEqual(pkg.description, 'Key-value store');
+    assert.strictEqual(pkg.weeklyDownloads, 35);
+  });
+
+  test('reads Hugging Face models and their model cards', async () => {
+    const routes = {
+      'https://huggingface.co/api/models/example/tagger': {
+        id: 'example/tagger',
+        downloads: 9000,
+        likes: 42,
+        pipeline_tag: 'token-classification',
+        library_name: 'transformers',
+        tags: ['transformers', 'pytorch', 'license:apache-2.0'],
+        lastModified: '2025-09-01T00:00:00.000Z'
+      },
+      'https://huggingface.co/example/tagger/raw/main/README.md': () =>
+        new Response('---\nlicense: apache-2.0\n---\n# Tagger\n\nTags parts of speech.\n')
+    };
+    const pkg = await withRoutes(routes, () => fetchPackageContent('https://huggingface.co/example/tagger'));
+    assert.strictEqual(pkg.registry, 'huggingface');
+    assert.strictEqual(pkg.repoType, 'model');
+    assert.strictEqual(pkg.license, 'apache-2.0');
+    assert.strictEqual(pkg.description, 'Tags parts of speech.');
+    assert.strictEqual(pkg.monthlyDownloads, 9000);
+    assert.strictEqual(pkg.weeklyDownloads, null);
+    assert.deepStrictEqual(pkg.keywords, ['transformers', 'pytorch']);
+    assert.strictEqual(pkg.readme, '# Tagger\n\nTags parts of speech.');
+  });
+
+  test('throws when the package does not exist', async () => {
+    await withRoutes({}, () => assert.rejects(
+      fetchPackageContent('https://www.npmjs.com/package/nope'),
+      /npm package not found: nope/));
+  });
+});
+
+describe('package links in fetchContent', () => {
+  beforeEach(() => resetGitHubRateLimit());
+
+  test('chains into the GitHub repo the package names', async () => {
+    const routes = {
+      ...NPM_ROUTES,
+      'https://api.github.com/repos/example/kv': {
+        name: 'kv',
+        full_name: 'example/kv',
+        description: 'A tiny key-value store',
+        stargazers_count: 1200,
+        forks_count: 40,
+        language: 'TypeScript',
+        license: { spdx_id: 'MIT' },
+        archived: true,
+        pushed_at: '2021-01-01T00:00:00Z',
+        html_url: 'https://github.com/example/kv'
+      },
+      'https://api.github.com/repos/example/kv/readme': {
+        content: Buffer.from('# kv').toString('base64'),
+        encoding: 'base64'
+      }
+    };
+    const content = await withRoutes(routes, () => fetchContent('https://www.npmjs.com/package/@example/kv', 'package', {}));
+    assert.strictEqual(content.source, 'package');
+    assert.strictEqual(content.readme, '# kv');
+    assert.strictEqual(content.github.stars, 1200);
+    assert.strictEqual(content.github.health, 'archived');
+    assert.strictEqual(content.github.readme, undefined);
+  });
+
+  test('keeps the package when the GitHub lookup fails', async () => {
+    const content = await withRoutes(NPM_ROUTES, () => fetchContent('https://www.npmjs.com/package/@example/kv', 'package', {}));
+    assert.strictEqual(content.name, '@example/kv');
+    assert.strictEqual(content.github, null);
+  });
+});
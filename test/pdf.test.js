@@ -0,0 +1,154 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import zlib from 'zlib';
+import { extractPdfText, isPdf, parseCMap } from '../src/extractors/pdf.js';
+import { fetchArticleContent } from '../src/processor.js';
+
+// Two-byte CID font codes: 0001 -> "H", 0002 -> "i", 0010..0012 -> "a".."c"
+const TO_UNICODE = `/CIDInit /ProcSet findresource begin
+begincmap
+1 begincodespacerange
+<0000> <FFFF>
+endcodespacerange
+2 beginbfchar
+<0001> <0048>
+<0002> <0069>
+endbfchar
+1 beginbfrange
+<0010> <0012> <0061>
+endbfrange
+endcmap`;
+
+/**
+ * Build a small PDF: Flate content streams, a simple font (F1) and a CID
+ * font with a ToUnicode map (F2). With packFonts the CID font dictionary
+ * lives inside a compressed object stream, like PDF 1.5+ writers produce.
+ */
+function buildPdf({ pages, info = null, packFonts = false }) {
+  const objects = [];
+  const add = (obj) => objects.push(obj) && objects.length;
+
+  const catalog = add(null);
+  const pageTree = add(null);
+  const simpleFont = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  const cmap = add({ dict: '<< /Filter /FlateDecode', stream: zlib.deflateSync(TO_UNICODE) });
+  const cidFontDict = `<< /Type /Font /Subtype /Type0 /BaseFont /Custom /ToUnicode ${cmap} 0 R >>`;
+  let cidFont;
+  if (packFonts) {
+    cidFont = add('packed');
+    const header = `${cidFont} 0 `;
+    add({ dict: `<< /Type /ObjStm /N 1 /First ${header.length} /Filter /FlateDecode`, stream: zlib.deflateSync(header + cidFontDict) });
+  } else {
+    cidFont = add(cidFontDict);
+  }
+
+  const pageRefs = pages.map(content => {
+    const stream = add({ dict: '<< /Filter /FlateDecode', stream: zlib.deflateSync(content) });
+    return add(`<< /Type /Page /Parent ${pageTree} 0 R /Resources << /Font << /F1 ${simpleFont} 0 R /F2 ${cidFont} 0 R >> >> /Contents ${stream} 0 R >>`);
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+  objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageRefs.map(n => `${n} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`;
+  const infoRef = info ? add(info) : null;
+
+  const chunks = [Buffer.from('%PDF-1.5\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  objects.forEach((obj, i) => {
+    if (obj === 'packed') return;
+    if (typeof obj === 'string') {
+      chunks.push(Buffer.from(`${i + 1} 0 obj\n${obj}\nendobj\n`, 'latin1'));
+    } else {
+      chunks.push(Buffer.from(`${i + 1} 0 obj\n${obj.dict} /Length ${obj.stream.length} >>\nstream\n`, 'latin1'));
+      chunks.push(obj.stream, Buffer.from('\nendstream\nendobj\n', 'latin1'));
+    }
+  });
+  const trailer = `<< /Size ${objects.length + 1} /Root ${catalog} 0 R${infoRef ? ` /Info ${infoRef} 0 R` : ''} >>`;
+  chunks.push(Buffer.from(`trailer\n${trailer}\n%%EOF\n`, 'latin1'));
+  return Buffer.concat(chunks);
+}
+
+const PAPER = buildPdf({
+  packFonts: true,
+  info: '<< /Title <FEFF005400680065002000500061007000650072> /Author (A. Author \\(Lab\\)) >>',
+  pages: [
+    'BT /F1 12 Tf 72 720 Td (Attention Is All You Need) Tj 0 -14 Td [(The domi) 20 (nant) -300 (sequence)] TJ 0 -14 Td (trans-) Tj T* (duction models.) Tj ET',
+    'BT /F2 12 Tf 72 720 Td <00010002> Tj 0 -14 Td <001000110012> Tj ET'
+  ]
+});
+
+describe('extractPdfText', () => {
+  test('extracts page text in page-tree order', () => {
+    const result = extractPdfText(PAPER);
+    assert.strictEqual(result.pageCount, 2);
+    assert.strictEqual(result.text, 'Attention Is All You Need\nThe dominant sequence\ntransduction models.\n\nHi\nabc');
+    assert.strictEqual(result.wordCount, 12);
+  });
+
+  test('reads the info dictionary', () => {
+    const result = extractPdfText(PAPER);
+    assert.strictEqual(result.title, 'The Paper');
+    assert.strictEqual(result.author, 'A. Author (Lab)');
+  });
+
+  test('returns empty text for PDFs without text', () => {
+    const result = extractPdfText(buildPdf({ pages: ['q 100 0 0 100 0 0 cm Q'] }));
+    assert.strictEqual(result.text, '');
+    assert.strictEqual(result.title, null);
+  });
+
+  test('skips streams that inflate past the size limit', () => {
+    const bomb = 'BT /F1 12 Tf (Boom) Tj ET' + ' '.repeat(17 * 1024 * 1024);
+    const result = extractPdfText(buildPdf({ pages: [bomb, 'BT /F1 12 Tf 72 720 Td (Still here) Tj ET'] }));
+    assert.strictEqual(result.pageCount, 2);
+    assert.strictEqual(result.text, 'Still here');
+  });
+
+  test('stops once the document has inflated too much', () => {
+    const filler = (n) => `BT /F1 12 Tf (Page ${n}) Tj ET` + ' '.repeat(15 * 1024 * 1024);
+    const result = extractPdfText(buildPdf({ pages: [1, 2, 3, 4, 5].map(filler).concat('BT /F1 12 Tf (Too late) Tj ET') }));
+    assert.strictEqual(result.pageCount, 6);
+    assert.match(result.text, /Page 4/);
+    assert.doesNotMatch(result.text, /Page 5|Too late/);
+  });
+
+  test('isPdf sniffs the header', () => {
+    assert.strictEqual(isPdf(PAPER), true);
+    assert.strictEqual(isPdf(Buffer.from('<html></html>')), false);
+  });
+});
+
+describe('parseCMap', () => {
+  test('reads bfchar and bfrange mappings', () => {
+    const { codeLength, map } = parseCMap(TO_UNICODE);
+    assert.strictEqual(codeLength, 2);
+    assert.strictEqual(map.get(0x0001), 'H');
+    assert.strictEqual(map.get(0x0012), 'c');
+  });
+});
+
+describe('fetchArticleContent with PDFs', () => {
+  test('detects PDFs by content and returns their text', async () => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => new Response(PAPER, { headers: { 'content-type': 'application/octet-stream' } });
+    try {
+      const result = await fetchArticleContent('https://example.edu/paper');
+      assert.strictEqual(result.source, 'pdf');
+      assert.strictEqual(result.contentType, 'application/pdf');
+      assert.strictEqual(result.title, 'The Paper');
+      assert.strictEqual(result.pageCount, 2);
+      assert.ok(result.text.startsWith('Attention Is All You Need'));
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  test('reports unreadable binary content instead of passing noise along', async () => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => new Response(Buffer.from([0, 1, 2, 3]), { headers: { 'content-type': 'application/zip' } });
+    try {
+      const result = await fetchArticleContent('https://example.com/data.zip');
+      assert.strictEqual(result.text, null);
+      assert.match(result.note, /Unsupported content type/);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+});
@@ -0,0 +1,108 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fetchPodcastContent, findEpisode, parsePodcastFeed, parsePodcastPage } from '../src/extractors/podcast.js';
+import { classifyLink } from '../src/processor.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/podcast', name), 'utf8');
+
+async function withFetch(handler, fn) {
+  const requested = [];
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url) => {
+    requested.push(String(url));
+    return handler(String(url));
+  };
+  try {
+    return { result: await fn(), requested };
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+describe('parsePodcastFeed', () => {
+  test('reads the show and its episodes', () => {
+    const feed = parsePodcastFeed(readFixture('feed.xml'));
+    assert.strictEqual(feed.show, 'Systems & Stories');
+    assert.strictEqual(feed.author, 'Jo Example');
+    assert.strictEqual(feed.image, 'https://systems.example.fm/cover.jpg');
+    assert.strictEqual(feed.episodes.length, 2);
+
+    const [latest, previous] = feed.episodes;
+    assert.strictEqual(latest.title, 'Ep. 42: Consensus Without Tears');
+    assert.strictEqual(latest.audioUrl, 'https://cdn.example.fm/sys/42.mp3');
+    assert.strictEqual(latest.duration, 3723);
+    assert.strictEqual(latest.published, '2025-10-14T09:00:00.000Z');
+    assert.strictEqual(latest.description, 'Raft, Paxos and why your cluster disagrees.\nLinks:\nThe Raft paper');
+    assert.strictEqual(previous.duration, 2710);
+    assert.strictEqual(previous.description, 'Logical clocks, hybrid clocks & TrueTime.');
+  });
+});
+
+describe('findEpisode', () => {
+  const feed = parsePodcastFeed(readFixture('feed.xml'));
+
+  test('matches by link, audio URL or title', () => {
+    assert.strictEqual(findEpisode(feed, { url: 'https://systems.example.fm/episodes/41/' }).title, 'Ep. 41: Clocks');
+    assert.strictEqual(findEpisode(feed, { audioUrl: 'https://cdn.example.fm/sys/42.mp3?ref=x' }).guid, 'sys-42');
+    assert.strictEqual(findEpisode(feed, { title: 'ep 42 - consensus without tears' }).guid, 'sys-42');
+    assert.strictEqual(findEpisode(feed, { title: 'Something else' }), null);
+  });
+});
+
+describe('parsePodcastPage', () => {
+  test('splits aggregator titles and finds the audio and feed', () => {
+    const episode = parsePodcastPage(readFixture('overcast-episode.html'), 'https://overcast.fm/+AbCdEf');
+    assert.strictEqual(episode.show, 'Systems & Stories');
+    assert.strictEqual(episode.title, 'Ep. 42: Consensus Without Tears');
+    assert.strictEqual(episode.audioUrl, 'https://cdn.example.fm/sys/42.mp3');
+    assert.strictEqual(episode.feedUrl, 'https://systems.example.fm/feed.xml');
+  });
+
+  test('reads the show from Spotify descriptions', () => {
+    const html = '<html><head><meta property="og:title" content="Consensus Without Tears"><meta property="og:description" content="Listen to this episode from Systems &amp; Stories on Spotify. Raft and Paxos."></head></html>';
+    const episode = parsePodcastPage(html, 'https://open.spotify.com/episode/4rOoJ6Egrf8K2IrywzwOMk');
+    assert.strictEqual(episode.show, 'Systems & Stories');
+    assert.strictEqual(episode.title, 'Consensus Without Tears');
+    assert.strictEqual(episode.audioUrl, null);
+  });
+});
+
+describe('fetchPodcastContent', () => {
+  test('fills duration from the feed for episode pages', async () => {
+    const { result, requested } = await withFetch((url) => {
+      if (url.endsWith('feed.xml')) return new Response(readFixture('feed.xml'));
+      return new Response(readFixture('overcast-episode.html'), { headers: { 'content-type': 'text/html' } });
+    }, () => fetchPodcastContent('https://overcast.fm/+AbCdEf'));
+    assert.deepStrictEqual(requested, ['https://overcast.fm/+AbCdEf', 'https://systems.example.fm/feed.xml']);
+    assert.strictEqual(result.show, 'Systems & Stories');
+    assert.strictEqual(result.duration, 3723);
+    assert.strictEqual(result.published, '2025-10-14T09:00:00.000Z');
+  });
+
+  test('uses the iTunes lookup for Apple Podcasts', async () => {
+    const { result, requested } = await withFetch(() => Response.json({
+      results: [
+        { wrapperType: 'track', kind: 'podcast', collectionName: 'Systems & Stories', feedUrl: 'https://systems.example.fm/feed.xml' },
+        { wrapperType: 'podcastEpisode', kind: 'podcast-episode', trackId: 1000654321, trackName: 'Ep. 42: Consensus Without Tears',
+          episodeUrl: 'https://cdn.example.fm/sys/42.mp3', trackTimeMillis: 3723000, releaseDate: '2025-10-14T09:00:00Z' }
+      ]
+    }), () => fetchPodcastContent('https://podcasts.apple.com/us/podcast/systems-stories/id1234567?i=1000654321'));
+    assert.deepStrictEqual(requested, ['https://itunes.apple.com/lookup?id=1234567&entity=podcastEpisode&limit=200']);
+    assert.strictEqual(result.title, 'Ep. 42: Consensus Without Tears');
+    assert.strictEqual(result.audioUrl, 'https://cdn.example.fm/sys/42.mp3');
+    assert.strictEqual(result.duration, 3723);
+  });
+});
+
+describe('podcast links', () => {
+  test('classifyLink recognizes episode links', () => {
+    assert.strictEqual(classifyLink('https://podcasts.apple.com/us/podcast/x/id1234567?i=1000654321'), 'podcast');
+    assert.strictEqual(classifyLink('https://overcast.fm/+AbCdEf'), 'podcast');
+    assert.strictEqual(classifyLink('https://open.spotify.com/episode/4rOoJ6Egrf8K2IrywzwOMk'), 'podcast');
+    assert.strictEqual(classifyLink('https://open.spotify.com/track/4rOoJ6Egrf8K2IrywzwOMk'), 'article');
+  });
+});
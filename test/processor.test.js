@@ -1,9 +1,10 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { isPaywalled, stripQuerystring } from '../src/processor.js';
+import { isPaywalled, mergeIntoPending, stripQuerystring } from '../src/processor.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -27,6 +28,10 @@ describe('isPaywalled', () => {
   test('returns false for Twitter', () => {
     assert.strictEqual(isPaywalled('https://twitter.com/user/status/123'), false);
   });
+
+  test('does not match lookalike domains', () => {
+    assert.strictEqual(isPaywalled('https://notft.com/article'), false);
+  });
 });
 
 describe('stripQuerystring', () => {
@@ -78,6 +83,19 @@ describe('pending file handling', () => {
     const pendingIds = new Set((fixture.bookmarks || []).map(b => b.id.toString()));
     assert.strictEqual(pendingIds.size, 0);
   });
+
+  test('mergeIntoPending treats "bookmarks": null as empty', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-pending-'));
+    try {
+      const pendingFile = path.join(tmpDir, 'pending.json');
+      fs.writeFileSync(pendingFile, JSON.stringify({ generatedAt: 'x', bookmarks: null }));
+      const result = mergeIntoPending({ pendingFile }, [{ id: '1', createdAt: '2025-12-15T10:30:00Z' }], 'y');
+      assert.strictEqual(result.added, 1);
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(pendingFile, 'utf8')).bookmarks.map(b => b.id), ['1']);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
 });
 
 describe('sample bookmarks fixture', () => {
@@ -0,0 +1,127 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { decodeEntities, parseHtml, findAll, textContent } from '../src/html.js';
+import { extractArticle } from '../src/readability.js';
+import { fetchArticleContent } from '../src/processor.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/articles', name), 'utf8');
+
+describe('parseHtml', () => {
+  test('closes implied paragraphs and list items', () => {
+    const root = parseHtml('<p>one<p>two<ul><li>a<li>b</ul>');
+    assert.deepStrictEqual(findAll(root, n => n.tag === 'p').map(textContent), ['one', 'two']);
+    assert.deepStrictEqual(findAll(root, n => n.tag === 'li').map(textContent), ['a', 'b']);
+  });
+
+  test('treats script bodies as raw text', () => {
+    const root = parseHtml('<div><script>if (a < b) { x = "</div>"; }</script><p>after</p></div>');
+    assert.strictEqual(findAll(root, n => n.tag === 'p').length, 1);
+    assert.strictEqual(textContent(root), 'after');
+  });
+
+  test('finds raw-text close tags in any case, after non-ASCII text', () => {
+    const root = parseHtml('<p>İstanbul</p><SCRIPT>x = 1</Script><style>p{}</STYLE><p>after</p>');
+    assert.deepStrictEqual(findAll(root, n => n.tag === 'p').map(textContent), ['İstanbul', 'after']);
+    assert.deepStrictEqual(findAll(root, n => n.tag === 'script')[0].children.map(c => c.text), ['x = 1']);
+  });
+
+  test('decodes entities', () => {
+    assert.strictEqual(decodeEntities('a &amp; b &mdash; &#8220;c&#x201D; &bogus;'), 'a & b — “c” &bogus;');
+  });
+});
+
+describe('extractArticle', () => {
+  test('extracts the article body as markdown without page chrome', () => {
+    const article = extractArticle(readFixture('blog-post.html'), 'https://example.com/blog/sqlite');
+
+    assert.strictEqual(article.title, 'Why SQLite Is Enough');
+    assert.strictEqual(article.byline, 'Jane Doe');
+    assert.strictEqual(article.published, '2025-11-03T08:00:00Z');
+    assert.strictEqual(article.siteName, 'Example Engineering');
+
+    assert.ok(article.text.startsWith('Most side projects'));
+    assert.ok(article.text.includes('## The numbers'));
+    assert.ok(article.text.includes('**tens of thousands**'));
+    assert.ok(article.text.includes('[benchmarks](https://example.com/docs/benchmarks)'));
+    assert.ok(article.text.includes('- One file to back up\n- No network hop\n- Zero configuration'));
+    assert.ok(article.text.includes('> Think of SQLite'));
+    assert.ok(article.text.includes('```\nsqlite3 app.db'));
+
+    for (const noise of ['window.analytics', 'cookies', 'Popular posts', 'Share on Twitter', 'Great post', 'All rights reserved', 'About']) {
+      assert.ok(!article.text.includes(noise), `unexpected "${noise}" in extracted text`);
+    }
+    assert.ok(article.wordCount > 80 && article.wordCount < 140, `wordCount ${article.wordCount}`);
+  });
+
+  test('scores paragraphs when there is no <article> and reads JSON-LD', () => {
+    const article = extractArticle(readFixture('no-article-tag.html'), 'https://widget.example/blog/2-0');
+
+    assert.strictEqual(article.title, 'Widget 2.0 is out');
+    assert.strictEqual(article.byline, 'Sam Lee');
+    assert.strictEqual(article.published, '2025-10-01');
+    assert.strictEqual(article.siteName, 'Widget Co');
+    assert.ok(article.text.startsWith('Widget 2.0 ships today'));
+    assert.ok(!article.text.includes('Pricing'));
+    assert.ok(!article.text.includes('Widget 1.9'));
+  });
+
+  test('falls back to the hostname for site name', () => {
+    const article = extractArticle('<html><body><p>Short note.</p></body></html>', 'https://www.notes.example/x');
+    assert.strictEqual(article.siteName, 'notes.example');
+    assert.strictEqual(article.text, 'Short note.');
+    assert.strictEqual(article.wordCount, 2);
+  });
+});
+
+describe('fetchArticleContent', () => {
+  const withPage = async (body, contentType, fn) => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => new Response(body, { headers: { 'content-type': contentType } });
+    try {
+      return await fn();
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  };
+
+  test('stops reading a chunked body past the download limit', async () => {
+    let chunks = 0;
+    const endless = new ReadableStream({
+      pull(controller) {
+        chunks++;
+        controller.enqueue(new Uint8Array(1024 * 1024));
+      }
+    });
+    const result = await withPage(endless, 'text/html', () => fetchArticleContent('https://example.com/endless'));
+    assert.strictEqual(result.text, null);
+    assert.match(result.note, /Skipped download over 25MB/);
+    assert.ok(chunks < 30, `read ${chunks} chunks`);
+  });
+
+  test('returns extracted article text and metadata', async () => {
+    const result = await withPage(readFixture('blog-post.html'), 'text/html; charset=utf-8',
+      () => fetchArticleContent('https://example.com/blog/sqlite'));
+    assert.strictEqual(result.title, 'Why SQLite Is Enough');
+    assert.strictEqual(result.source, 'direct');
+    assert.strictEqual(result.paywalled, false);
+    assert.ok(result.text.startsWith('Most side projects'));
+    assert.ok(!result.text.includes('<'));
+  });
+
+  test('flags a teaser behind a subscribe prompt as paywalled', async () => {
+    const html = '<html><body><article><p>The first paragraph of a long investigation into something.</p>' +
+      '<p>Subscribe to continue reading.</p></article></body></html>';
+    const result = await withPage(html, 'text/html', () => fetchArticleContent('https://news.example/story'));
+    assert.strictEqual(result.paywalled, true);
+  });
+
+  test('passes plain text through', async () => {
+    const result = await withPage('just some notes', 'text/plain', () => fetchArticleContent('https://example.com/notes.txt'));
+    assert.strictEqual(result.text, 'just some notes');
+    assert.strictEqual(result.wordCount, 3);
+  });
+});
@@ -0,0 +1,144 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { resolveRedirects } from '../src/redirects.js';
+import { expandLink, expandTcoLink } from '../src/processor.js';
+
+function redirect(location, status = 301) {
+  return new Response(null, { status, headers: { location } });
+}
+
+/**
+ * Mock fetch from { 'METHOD url': response | () => response }; a plain
+ * 'url' key answers any method
+ */
+async function withRoutes(routes, fn) {
+  const requests = [];
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init = {}) => {
+    const method = init.method || 'GET';
+    requests.push(`${method} ${url}`);
+    const route = routes[`${method} ${url}`] ?? routes[String(url)];
+    if (route === undefined) return new Response('missing', { status: 404 });
+    return typeof route === 'function' ? route() : route.clone();
+  };
+  try {
+    return await fn(requests);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+describe('resolveRedirects', () => {
+  test('records every hop of the chain', async () => {
+    const routes = {
+      'https://t.co/abc': redirect('https://bit.ly/xyz'),
+      'https://bit.ly/xyz': redirect('/post', 302),
+      'https://bit.ly/post': redirect('https://example.com/post'),
+      'https://example.com/post': new Response('', { status: 200 })
+    };
+    const resolved = await withRoutes(routes, () => resolveRedirects('https://t.co/abc'));
+    assert.strictEqual(resolved.url, 'https://example.com/post');
+    assert.strictEqual(resolved.status, 200);
+    assert.strictEqual(resolved.dead, false);
+    assert.strictEqual(resolved.error, null);
+    assert.deepStrictEqual(resolved.chain.map(step => [step.url, step.status]), [
+      ['https://t.co/abc', 301],
+      ['https://bit.ly/xyz', 302],
+      ['https://bit.ly/post', 301],
+      ['https://example.com/post', 200]
+    ]);
+  });
+
+  test('retries with GET when HEAD is refused or fails', async () => {
+    const routes = {
+      'HEAD https://t.co/abc': redirect('https://example.com/a'),
+      'HEAD https://example.com/a': new Response(null, { status: 405 }),
+      'GET https://example.com/a': redirect('https://example.com/b'),
+      'HEAD https://example.com/b': () => { throw new TypeError('fetch failed'); },
+      'GET https://example.com/b': new Response('ok', { status: 200 })
+    };
+    const { resolved, requests } = await withRoutes(routes, async (requests) => ({
+      resolved: await resolveRedirects('https://t.co/abc'),
+      requests
+    }));
+    assert.strictEqual(resolved.url, 'https://example.com/b');
+    assert.deepStrictEqual(resolved.chain.map(step => step.method), ['HEAD', 'GET', 'GET']);
+    assert.deepStrictEqual(requests, [
+      'HEAD https://t.co/abc',
+      'HEAD https://example.com/a',
+      'GET https://example.com/a',
+      'HEAD https://example.com/b',
+      'GET https://example.com/b'
+    ]);
+  });
+
+  test('marks 404 and 410 destinations dead', async () => {
+    const routes = {
+      'https://t.co/abc': redirect('https://example.com/gone'),
+      'https://example.com/gone': new Response('gone', { status: 410 })
+    };
+    const resolved = await withRoutes(routes, () => resolveRedirects('https://t.co/abc'));
+    assert.strictEqual(resolved.status, 410);
+    assert.strictEqual(resolved.dead, true);
+  });
+
+  test('stops on loops and long chains', async () => {
+    const loop = await withRoutes({
+      'https://a.example/': redirect('https://b.example/'),
+      'https://b.example/': redirect('https://a.example/')
+    }, () => resolveRedirects('https://a.example/'));
+    assert.match(loop.error, /Redirect loop at https:\/\/a\.example\//);
+
+    const long = await withRoutes({
+      'https://a.example/1': redirect('https://a.example/2'),
+      'https://a.example/2': redirect('https://a.example/3'),
+      'https://a.example/3': redirect('https://a.example/4')
+    }, () => resolveRedirects('https://a.example/1', { maxHops: 1 }));
+    assert.strictEqual(long.error, 'More than 1 redirects');
+  });
+
+  test('reports a link that never answers', async () => {
+    const resolved = await withRoutes({
+      'https://t.co/abc': () => { throw new TypeError('fetch failed'); }
+    }, () => resolveRedirects('https://t.co/abc'));
+    assert.strictEqual(resolved.url, 'https://t.co/abc');
+    assert.strictEqual(resolved.status, null);
+    assert.deepStrictEqual(resolved.chain, []);
+    assert.strictEqual(resolved.error, 'fetch failed');
+  });
+});
+
+describe('expandLink', () => {
+  function memoryCache(entries = {}) {
+    const stored = { ...entries };
+    return {
+      stored,
+      remember: async (kind, key, fn, shouldStore) => {
+        if (`${kind} ${key}` in stored) return stored[`${kind} ${key}`];
+        const value = await fn();
+        if (shouldStore(value)) stored[`${kind} ${key}`] = value;
+        return value;
+      }
+    };
+  }
+
+  test('caches answers but not failures', async () => {
+    const cache = memoryCache();
+    await withRoutes({
+      'https://t.co/ok': redirect('https://example.com/'),
+      'https://example.com/': new Response('', { status: 200 }),
+      'https://t.co/down': () => { throw new TypeError('fetch failed'); }
+    }, async () => {
+      assert.strictEqual((await expandLink('https://t.co/ok', { cache })).url, 'https://example.com/');
+      assert.strictEqual((await expandLink('https://t.co/down', { cache })).error, 'fetch failed');
+    });
+    assert.deepStrictEqual(Object.keys(cache.stored), ['tco https://t.co/ok']);
+  });
+
+  test('reads URLs cached by older versions', async () => {
+    const cache = memoryCache({ 'tco https://t.co/old': 'https://example.com/old' });
+    const resolved = await expandLink('https://t.co/old', { cache });
+    assert.deepStrictEqual(resolved, { url: 'https://example.com/old', status: null, dead: false, chain: [], error: null });
+    assert.strictEqual(await expandTcoLink('https://t.co/old', 1000, { cache }), 'https://example.com/old');
+  });
+});
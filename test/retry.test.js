@@ -0,0 +1,165 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TwitterAuthError, classifySourceError, retryDelay, withRetries } from '../src/sources/retry.js';
+import { BirdError } from '../src/sources/bird.js';
+import { registerSourceAdapter } from '../src/sources/index.js';
+import { fetchBookmarks, fetchFromFolders } from '../src/processor.js';
+import job from '../src/job.js';
+
+function birdFailure(stderr, details = {}) {
+  return new BirdError(`bird bookmarks failed: ${stderr.trim().split('\n').pop()}`, { exitCode: 1, stderr, ...details });
+}
+
+/**
+ * Adapter whose fetchBookmarks fails with each error in turn, then succeeds
+ */
+function failingSource(errors) {
+  const calls = { count: 0 };
+  const name = `failing-${Math.random().toString(36).slice(2)}`;
+  registerSourceAdapter(name, () => ({
+    name,
+    fetchBookmarks() {
+      const error = errors[calls.count++];
+      if (error) throw error;
+      return { tweets: [{ id: '1', text: 'ok' }], nextCursor: null };
+    }
+  }));
+  return { name, calls };
+}
+
+const noWait = { attempts: 3, delayMs: 0, rateLimitDelayMs: 0 };
+
+describe('classifySourceError', () => {
+  test('sorts bird failures by cause', () => {
+    assert.strictEqual(classifySourceError(birdFailure('HTTP 429: Too Many Requests')), 'rate_limited');
+    assert.strictEqual(classifySourceError(birdFailure('Error: Rate limit exceeded')), 'rate_limited');
+    assert.strictEqual(classifySourceError(birdFailure('HTTP 403: Forbidden')), 'auth');
+    assert.strictEqual(classifySourceError(birdFailure('HTTP 401 Could not authenticate you')), 'auth');
+    assert.strictEqual(classifySourceError(birdFailure('Missing auth_token / ct0 cookies')), 'auth');
+    assert.strictEqual(classifySourceError(birdFailure('getaddrinfo ENOTFOUND x.com')), 'network');
+    assert.strictEqual(classifySourceError(new BirdError('bird read timed out after 15s', { timedOut: true })), 'network');
+    assert.strictEqual(classifySourceError(birdFailure('HTTP 503 Service Unavailable')), 'network');
+  });
+
+  test('leaves setup problems and bad output alone', () => {
+    assert.strictEqual(classifySourceError(new BirdError('bird bookmarks not found (bird)', { code: 'ENOENT' })), 'other');
+    assert.strictEqual(classifySourceError(new SyntaxError('Unexpected token < in JSON at position 0')), 'other');
+    assert.strictEqual(classifySourceError(birdFailure('Tweet 1800000000000004013 not found')), 'other');
+  });
+});
+
+describe('retryDelay', () => {
+  test('doubles from the base delay up to the cap', () => {
+    const settings = { delayMs: 1000, rateLimitDelayMs: 60000, maxDelayMs: 200000 };
+    assert.deepStrictEqual([1, 2, 3].map(n => retryDelay('network', n, settings)), [1000, 2000, 4000]);
+    assert.deepStrictEqual([1, 2, 3].map(n => retryDelay('rate_limited', n, settings)), [60000, 120000, 200000]);
+  });
+});
+
+describe('withRetries', () => {
+  test('retries transient failures with backoff', async () => {
+    const waits = [];
+    const errors = [birdFailure('HTTP 429'), birdFailure('ECONNRESET')];
+    let calls = 0;
+    const result = await withRetries(async () => {
+      if (calls < errors.length) throw errors[calls++];
+      return 'done';
+    }, { attempts: 3, delayMs: 10, rateLimitDelayMs: 100 }, { sleep: async ms => waits.push(ms) });
+    assert.strictEqual(result, 'done');
+    assert.deepStrictEqual(waits, [100, 20]);
+  });
+
+  test('gives up after the configured attempts', async () => {
+    let calls = 0;
+    await assert.rejects(withRetries(async () => {
+      calls++;
+      throw birdFailure('HTTP 429');
+    }, { ...noWait, attempts: 2 }), { kind: 'rate_limited' });
+    assert.strictEqual(calls, 3);
+  });
+
+  test('stops at once on expired cookies', async () => {
+    let calls = 0;
+    await assert.rejects(withRetries(async () => {
+      calls++;
+      throw birdFailure('HTTP 403: Forbidden');
+    }, noWait), (error) => {
+      assert.ok(error instanceof TwitterAuthError);
+      assert.match(error.message, /Refresh your auth_token\/ct0/);
+      assert.match(error.cause.message, /403/);
+      return true;
+    });
+    assert.strictEqual(calls, 1);
+  });
+});
+
+describe('Twitter fetches', () => {
+  test('fetchBookmarks recovers from a rate limit', async () => {
+    const { name, calls } = failingSource([birdFailure('HTTP 429')]);
+    const tweets = await fetchBookmarks({ sourceAdapter: name, retry: noWait }, 5);
+    assert.strictEqual(tweets.length, 1);
+    assert.strictEqual(calls.count, 2);
+  });
+
+  test('fetchBookmarks keeps the error kind when it gives up', async () => {
+    const { name } = failingSource([birdFailure('HTTP 429'), birdFailure('HTTP 429')]);
+    await assert.rejects(fetchBookmarks({ sourceAdapter: name, retry: { ...noWait, attempts: 1 } }, 5),
+      { message: 'Failed to fetch bookmarks: bird bookmarks failed: HTTP 429', kind: 'rate_limited' });
+  });
+
+  test('an auth failure in one folder stops the rest', async () => {
+    const { name, calls } = failingSource([birdFailure('HTTP 401 Unauthorized')]);
+    const config = { sourceAdapter: name, retry: noWait, folders: { '111': 'a', '222': 'b' } };
+    await assert.rejects(fetchFromFolders(config, 5), TwitterAuthError);
+    assert.strictEqual(calls.count, 1);
+  });
+});
+
+describe('job run with expired cookies', () => {
+  let tmpDir;
+  let configPath;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-retry-'));
+    const { name } = failingSource([birdFailure('HTTP 403: Forbidden')]);
+    configPath = path.join(tmpDir, 'smaug.config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      sourceAdapter: name,
+      archiveFile: path.join(tmpDir, 'bookmarks.md'),
+      pendingFile: path.join(tmpDir, '.state/pending-bookmarks.json'),
+      stateFile: path.join(tmpDir, '.state/bookmarks-state.json'),
+      webhookUrl: 'https://hooks.example/smaug',
+      webhookType: 'discord'
+    }));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('stops and asks for fresh cookies through the webhook', async () => {
+    const posted = [];
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, init) => {
+      posted.push({ url, body: JSON.parse(init.body) });
+      return new Response(null, { status: 204 });
+    };
+    let result;
+    try {
+      result = await job.run({ configPath });
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.authFailed, true);
+    assert.strictEqual(posted.length, 1);
+    const [embed] = posted[0].body.embeds;
+    assert.strictEqual(embed.title, 'Smaug: Twitter Login Expired');
+    assert.match(embed.description, /Refresh your auth_token\/ct0/);
+    assert.match(embed.description, /HTTP 403: Forbidden/);
+  });
+});
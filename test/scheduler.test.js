@@ -0,0 +1,220 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { createLimiter, createScheduler, createTokenBucket, runPool } from '../src/scheduler.js';
+import { expandLink, fetchContent } from '../src/processor.js';
+
+/**
+ * Clock that only moves when something sleeps, so rate tests run instantly
+ * and can check exactly when each request went out
+ */
+function fakeClock() {
+  const clock = {
+    time: 0,
+    now: () => clock.time,
+    sleep: async (ms) => {
+      clock.time += ms;
+    }
+  };
+  return clock;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('runPool', () => {
+  test('never runs more than the limit at once and keeps item order', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await runPool([30, 5, 20, 1, 10, 2], 3, async (delay, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return index;
+    });
+    assert.strictEqual(peak, 3);
+    assert.deepStrictEqual(results, [0, 1, 2, 3, 4, 5]);
+  });
+
+  test('starts the next item as soon as a slot frees up', async () => {
+    const started = [];
+    const release = {};
+    const run = runPool(['slow', 'fast', 'next'], 2, (item) => {
+      started.push(item);
+      return new Promise(resolve => { release[item] = resolve; });
+    });
+    await tick();
+    assert.deepStrictEqual(started, ['slow', 'fast']);
+    release.fast();
+    await tick();
+    assert.deepStrictEqual(started, ['slow', 'fast', 'next']);
+    release.next();
+    release.slow();
+    await run;
+  });
+
+  test('handles an empty list', async () => {
+    assert.deepStrictEqual(await runPool([], 5, async () => 1), []);
+  });
+});
+
+describe('createLimiter', () => {
+  test('queues tasks beyond the limit and runs them in arrival order', async () => {
+    const limiter = createLimiter(2);
+    const started = [];
+    const release = {};
+    const task = (name) => limiter.run(() => {
+      started.push(name);
+      return new Promise(resolve => { release[name] = () => resolve(name); });
+    });
+    const runs = ['a', 'b', 'c', 'd'].map(task);
+    await tick();
+    assert.deepStrictEqual(started, ['a', 'b']);
+    assert.strictEqual(limiter.active, 2);
+
+    release.b();
+    await tick();
+    assert.deepStrictEqual(started, ['a', 'b', 'c']);
+    assert.strictEqual(limiter.active, 2);
+
+    release.a();
+    release.c();
+    await tick();
+    release.d();
+    assert.deepStrictEqual(await Promise.all(runs), ['a', 'b', 'c', 'd']);
+    assert.strictEqual(limiter.active, 0);
+  });
+
+  test('frees the slot when a task fails', async () => {
+    const limiter = createLimiter(1);
+    await assert.rejects(limiter.run(async () => { throw new Error('boom'); }), /boom/);
+    assert.strictEqual(await limiter.run(async () => 'next'), 'next');
+  });
+});
+
+describe('createTokenBucket', () => {
+  test('allows a burst, then paces requests', async () => {
+    const clock = fakeClock();
+    const bucket = createTokenBucket(2, 3, clock);
+    const times = [];
+    for (let i = 0; i < 5; i++) {
+      await bucket.take();
+      times.push(clock.now());
+    }
+    assert.deepStrictEqual(times, [0, 0, 0, 500, 1000]);
+  });
+
+  test('refills while idle, up to the burst size', async () => {
+    const clock = fakeClock();
+    const bucket = createTokenBucket(1, 2, clock);
+    await bucket.take();
+    await bucket.take();
+    clock.time += 60000;
+    const times = [];
+    for (let i = 0; i < 3; i++) {
+      await bucket.take();
+      times.push(clock.now());
+    }
+    assert.deepStrictEqual(times, [60000, 60000, 61000]);
+  });
+});
+
+describe('createScheduler', () => {
+  const config = {
+    scheduler: { concurrency: 4, requestsPerSecond: 1, burst: 1 },
+    domains: {
+      'slow.example': { requestsPerSecond: 0.5 },
+      'open.example': { requestsPerSecond: null }
+    }
+  };
+
+  async function requestTimes(scheduler, clock, urls) {
+    const times = {};
+    for (const url of urls) {
+      await scheduler.throttle(url);
+      (times[url] ||= []).push(clock.now());
+    }
+    return times;
+  }
+
+  test('keeps a separate bucket for each host', async () => {
+    const clock = fakeClock();
+    const scheduler = createScheduler(config, { clock });
+    const times = await requestTimes(scheduler, clock, [
+      'https://a.example/1', 'https://b.example/1', 'https://a.example/2'
+    ]);
+    assert.deepStrictEqual(times, {
+      'https://a.example/1': [0],
+      'https://b.example/1': [0],
+      'https://a.example/2': [1000]
+    });
+  });
+
+  test('takes rates from domain rules, with null meaning no limit', async () => {
+    const clock = fakeClock();
+    const scheduler = createScheduler(config, { clock });
+    const times = await requestTimes(scheduler, clock, [
+      'https://open.example/', 'https://open.example/', 'https://open.example/',
+      'https://www.slow.example/', 'https://www.slow.example/'
+    ]);
+    assert.deepStrictEqual(times, {
+      'https://open.example/': [0, 0, 0],
+      'https://www.slow.example/': [0, 2000]
+    });
+    assert.strictEqual(scheduler.concurrency, 4);
+  });
+
+  test('slows the GitHub API down by default', async () => {
+    const clock = fakeClock();
+    const scheduler = createScheduler({ scheduler: { requestsPerSecond: null } }, { clock });
+    for (let i = 0; i < 11; i++) await scheduler.throttle('https://api.github.com/repos/a/b');
+    assert.strictEqual(clock.now(), 1000);
+  });
+
+  test('wrapFetch waits its turn and passes the request through', async () => {
+    const clock = fakeClock();
+    const scheduler = createScheduler(config, { clock });
+    const calls = [];
+    const fetchFn = scheduler.wrapFetch(async (input, init) => {
+      calls.push([String(input.url ?? input), init?.method, clock.now()]);
+      return new Response('ok');
+    });
+    await fetchFn('https://a.example/1', { method: 'HEAD' });
+    const response = await fetchFn(new Request('https://a.example/2'));
+    assert.strictEqual(await response.text(), 'ok');
+    assert.deepStrictEqual(calls, [
+      ['https://a.example/1', 'HEAD', 0],
+      ['https://a.example/2', undefined, 1000]
+    ]);
+  });
+});
+
+describe('scheduled fetch', () => {
+  test('link lookups use the fetch they are given, not the global one', async () => {
+    const requested = [];
+    const scheduledFetch = async (input) => {
+      const url = String(input);
+      requested.push(url);
+      if (url.startsWith('https://api.github.com/repos/')) {
+        return new Response(JSON.stringify({ name: 'b', full_name: 'a/b', html_url: 'https://github.com/a/b' }));
+      }
+      if (url.startsWith('https://api.github.com/')) return new Response('', { status: 404 });
+      return new Response('<html><head><title>Post</title></head><body><p>Hello there</p></body></html>', { headers: { 'content-type': 'text/html' } });
+    };
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => { throw new Error('global fetch should not be used'); };
+    try {
+      const options = { fetch: scheduledFetch };
+      const link = await expandLink('https://t.co/abc', options);
+      assert.strictEqual(link.status, 200);
+      const article = await fetchContent('https://example.com/post', 'article', {}, options);
+      assert.strictEqual(article.title, 'Post');
+      const repo = await fetchContent('https://github.com/a/b', 'github', {}, options);
+      assert.strictEqual(repo.fullName, 'a/b');
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+    assert.ok(requested.includes('https://t.co/abc'));
+    assert.ok(requested.includes('https://example.com/post'));
+    assert.ok(requested.includes('https://api.github.com/repos/a/b'));
+  });
+});
@@ -0,0 +1,138 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { expandMirrorTemplate, fetchFromSnapshots } from '../src/snapshots.js';
+import { fetchContent } from '../src/processor.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ARTICLE_HTML = fs.readFileSync(path.join(__dirname, 'fixtures/articles/blog-post.html'), 'utf8');
+const TEASER_HTML = '<html><body><article><p>The first paragraph of a long investigation.</p><p>Subscribe to continue reading.</p></article></body></html>';
+
+const html = (body, url) => {
+  const response = new Response(body, { headers: { 'content-type': 'text/html' } });
+  if (url) Object.defineProperty(response, 'url', { value: url });
+  return response;
+};
+
+/**
+ * Replace fetch with a router: the first route whose prefix matches handles the
+ * request; anything else is a 404. Returns the list of requested URLs.
+ */
+async function withRoutes(routes, fn) {
+  const requested = [];
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url) => {
+    url = String(url);
+    requested.push(url);
+    const route = Object.keys(routes).find(prefix => url.startsWith(prefix));
+    return route ? routes[route](url) : new Response('not found', { status: 404 });
+  };
+  try {
+    const result = await fn();
+    return { result, requested };
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+const config = { archiveFallback: { services: ['wayback', 'archive.today'], mirrors: [], minWords: 50 } };
+const PAGE = 'https://www.nytimes.com/2025/11/03/tech/sqlite.html';
+
+describe('expandMirrorTemplate', () => {
+  test('fills raw and encoded URL placeholders', () => {
+    assert.strictEqual(expandMirrorTemplate('https://m.example/{url}', 'https://a.com/x?y=1'), 'https://m.example/https://a.com/x?y=1');
+    assert.strictEqual(expandMirrorTemplate('https://m.example/?u={encodedUrl}', 'https://a.com/x?y=1'),
+      'https://m.example/?u=https%3A%2F%2Fa.com%2Fx%3Fy%3D1');
+  });
+});
+
+describe('fetchFromSnapshots', () => {
+  test('uses the Wayback Machine snapshot and records where it came from', async () => {
+    const { result, requested } = await withRoutes({
+      'https://archive.org/wayback/available': () => Response.json({
+        archived_snapshots: { closest: { available: true, url: `http://web.archive.org/web/20251104120000/${PAGE}`, timestamp: '20251104120000' } }
+      }),
+      'https://web.archive.org/web/20251104120000id_/': () => html(ARTICLE_HTML)
+    }, () => fetchFromSnapshots(PAGE, config));
+
+    assert.strictEqual(result.source, 'archive');
+    assert.strictEqual(result.archiveService, 'wayback');
+    assert.strictEqual(result.snapshotUrl, `http://web.archive.org/web/20251104120000/${PAGE}`);
+    assert.strictEqual(result.snapshotDate, '2025-11-04T12:00:00Z');
+    assert.strictEqual(result.title, 'Why SQLite Is Enough');
+    assert.strictEqual(result.paywalled, false);
+    assert.ok(!requested.some(u => u.includes('archive.ph')));
+  });
+
+  test('falls through to archive.today when Wayback has nothing', async () => {
+    const { result } = await withRoutes({
+      'https://archive.org/wayback/available': () => Response.json({ archived_snapshots: {} }),
+      'https://archive.ph/newest/': () => html(ARTICLE_HTML, 'https://archive.ph/AbCd1')
+    }, () => fetchFromSnapshots(PAGE, config));
+
+    assert.strictEqual(result.archiveService, 'archive.today');
+    assert.strictEqual(result.snapshotUrl, 'https://archive.ph/AbCd1');
+  });
+
+  test('ignores archive.today pages that are not captures', async () => {
+    const { result } = await withRoutes({
+      'https://archive.org/wayback/available': () => Response.json({ archived_snapshots: {} }),
+      'https://archive.ph/newest/': () => html(ARTICLE_HTML, `https://archive.ph/newest/${PAGE}`)
+    }, () => fetchFromSnapshots(PAGE, config));
+
+    assert.strictEqual(result, null);
+  });
+
+  test('tries user mirrors last and skips snapshots that are still teasers', async () => {
+    const mirrorConfig = { archiveFallback: { ...config.archiveFallback, services: ['wayback'], mirrors: ['https://mirror.example/read?u={encodedUrl}'] } };
+    const { result } = await withRoutes({
+      'https://archive.org/wayback/available': () => Response.json({
+        archived_snapshots: { closest: { available: true, url: 'http://web.archive.org/web/1/x', timestamp: '20200101000000' } }
+      }),
+      'https://web.archive.org/': () => html(TEASER_HTML),
+      'https://mirror.example/read': () => html(ARTICLE_HTML)
+    }, () => fetchFromSnapshots(PAGE, mirrorConfig));
+
+    assert.strictEqual(result.archiveService, 'mirror');
+    assert.strictEqual(result.snapshotUrl, `https://mirror.example/read?u=${encodeURIComponent(PAGE)}`);
+  });
+
+  test('does nothing when disabled', async () => {
+    const { result, requested } = await withRoutes({}, () =>
+      fetchFromSnapshots(PAGE, { archiveFallback: { enabled: false } }));
+    assert.strictEqual(result, null);
+    assert.strictEqual(requested.length, 0);
+  });
+});
+
+describe('fetchContent archive fallback', () => {
+  const waybackRoutes = {
+    'https://archive.org/wayback/available': () => Response.json({
+      archived_snapshots: { closest: { available: true, url: 'http://web.archive.org/web/2/x', timestamp: '20251104120000' } }
+    }),
+    'https://web.archive.org/': () => html(ARTICLE_HTML)
+  };
+
+  test('paywalled domains go straight to snapshots', async () => {
+    const { result, requested } = await withRoutes(waybackRoutes, () => fetchContent(PAGE, 'article', config));
+    assert.strictEqual(result.source, 'archive');
+    assert.ok(!requested.includes(PAGE));
+  });
+
+  test('pages flagged paywalled after a direct fetch use snapshots', async () => {
+    const page = 'https://news.example/story';
+    const { result } = await withRoutes({ ...waybackRoutes, [page]: () => html(TEASER_HTML) },
+      () => fetchContent(page, 'article', config));
+    assert.strictEqual(result.source, 'archive');
+    assert.strictEqual(result.archiveService, 'wayback');
+  });
+
+  test('keeps the paywalled note when no snapshot exists', async () => {
+    const { result } = await withRoutes({
+      'https://archive.org/wayback/available': () => Response.json({ archived_snapshots: {} })
+    }, () => fetchContent(PAGE, 'article', config));
+    assert.strictEqual(result.source, 'paywalled');
+  });
+});
@@ -0,0 +1,382 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getSourceAdapter, registerSourceAdapter } from '../src/sources/index.js';
+import { BirdError } from '../src/sources/bird.js';
+import {
+  collectConversation, collectThread, fetchAndPrepareBookmarks, fetchBookmarks, fetchFromFolders, fetchFromSource, fetchLikes, fetchPaginated, fetchTweet
+} from '../src/processor.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixtureDir = path.join(__dirname, 'fixtures/file-source');
+
+function writeTmpConfig(tmpDir, extra = {}) {
+  const configPath = path.join(tmpDir, 'smaug.config.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    sourceAdapter: 'file',
+    fileSource: { dir: fixtureDir },
+    archiveFile: path.join(tmpDir, 'bookmarks.md'),
+    pendingFile: path.join(tmpDir, '.state/pending-bookmarks.json'),
+    stateFile: path.join(tmpDir, '.state/bookmarks-state.json'),
+    timezone: 'UTC',
+    ...extra
+  }));
+  return configPath;
+}
+
+describe('getSourceAdapter', () => {
+  test('defaults to bird', () => {
+    assert.strictEqual(getSourceAdapter({}).name, 'bird');
+  });
+
+  test('rejects unknown adapters', () => {
+    assert.throws(() => getSourceAdapter({ sourceAdapter: 'carrier-pigeon' }), /Unknown source adapter/);
+  });
+
+  test('accepts registered adapters', () => {
+    registerSourceAdapter('empty', () => ({ name: 'empty' }));
+    assert.strictEqual(getSourceAdapter({ sourceAdapter: 'empty' }).name, 'empty');
+  });
+});
+
+describe('bird source adapter', () => {
+  let tmpDir;
+  let config;
+
+  // Stand-in for the bird CLI: logs each run, echoes its arguments, and
+  // fails for tweet ID 401
+  const FAKE_BIRD = `#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const args = process.argv.slice(2);
+const log = path.join(__dirname, 'runs.log');
+fs.appendFileSync(log, 'start\\n');
+setTimeout(() => {
+  fs.appendFileSync(log, 'end\\n');
+  if (args[1] === '401') {
+    process.stderr.write('warming up\\nHTTP 401: Unauthorized\\n');
+    process.exit(1);
+  }
+  const tweet = { id: args[1], author: { username: 'someone' }, args };
+  process.stdout.write(JSON.stringify(args[0] === 'read' ? tweet : { tweets: [tweet], nextCursor: null }));
+}, 150);
+`;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug bird test-'));
+    const birdPath = path.join(tmpDir, 'bird');
+    fs.writeFileSync(birdPath, FAKE_BIRD, { mode: 0o755 });
+    config = { sourceAdapter: 'bird', birdPath, birdConcurrency: 2 };
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('passes arguments without a shell', async () => {
+    const cursor = 'abc "quoted" $(touch pwned); next';
+    const result = await getSourceAdapter(config).fetchBookmarks({ all: true, cursor, maxPages: 1 });
+    assert.deepStrictEqual(result.tweets[0].args, ['bookmarks', '--all', '--max-pages', '1', '--cursor', cursor, '--json']);
+    assert.strictEqual(fs.existsSync('pwned'), false);
+  });
+
+  test('runs calls in parallel up to birdConcurrency', async () => {
+    const log = path.join(tmpDir, 'runs.log');
+    fs.rmSync(log, { force: true });
+    const ids = ['1', '2', '3', '4', '5'];
+    const tweets = await Promise.all(ids.map(id => fetchTweet(config, id)));
+    assert.deepStrictEqual(tweets.map(t => t.id), ids);
+
+    let running = 0;
+    let peak = 0;
+    for (const line of fs.readFileSync(log, 'utf8').trim().split('\n')) {
+      running += line === 'start' ? 1 : -1;
+      peak = Math.max(peak, running);
+    }
+    assert.strictEqual(peak, 2);
+  });
+
+  test('throws a BirdError with the exit code and stderr', async () => {
+    await assert.rejects(getSourceAdapter(config).readTweet('401'), (error) => {
+      assert.ok(error instanceof BirdError);
+      assert.strictEqual(error.message, 'bird read failed: HTTP 401: Unauthorized');
+      assert.strictEqual(error.exitCode, 1);
+      assert.match(error.stderr, /warming up/);
+      assert.deepStrictEqual(error.args, ['read', '401', '--json']);
+      assert.strictEqual(error.timedOut, false);
+      return true;
+    });
+  });
+
+  test('rejects folder IDs and cursors that could be misread', async () => {
+    const source = getSourceAdapter(config);
+    await assert.rejects(source.fetchBookmarks({ folderId: '1; rm -rf ~' }), /Invalid folder ID: "1; rm -rf ~"/);
+    await assert.rejects(source.fetchBookmarks({ all: true, cursor: '--help' }), /Invalid cursor/);
+    await assert.rejects(source.readTweet('../1'), /Invalid tweet ID/);
+  });
+
+  test('reports a missing bird binary', async () => {
+    const missing = { ...config, birdPath: path.join(tmpDir, 'no-such-bird') };
+    await assert.rejects(getSourceAdapter(missing).readTweet('1'), { name: 'BirdError', code: 'ENOENT' });
+  });
+});
+
+describe('file source adapter', () => {
+  const config = { sourceAdapter: 'file', fileSource: { dir: fixtureDir } };
+
+  test('fetches bookmarks with count limit', () => {
+    const result = getSourceAdapter(config).fetchBookmarks({ count: 1 });
+    assert.strictEqual(result.tweets.length, 1);
+    assert.strictEqual(result.nextCursor, null);
+  });
+
+  test('fetches likes', () => {
+    const result = getSourceAdapter(config).fetchLikes({ count: 10 });
+    assert.strictEqual(result.tweets[0].author.username, 'liked');
+  });
+
+  test('reads tweets from any fixture file', async () => {
+    assert.strictEqual((await fetchTweet(config, '1800000000000000001')).author.username, 'original');
+    assert.strictEqual((await fetchTweet(config, '1800000000000000003')).author.username, 'testuser');
+    assert.strictEqual(await fetchTweet(config, '404'), null);
+  });
+
+  test('lists folders', () => {
+    assert.deepStrictEqual(getSourceAdapter(config).listFolders(), [{ id: '1111111111', name: 'ai-tools' }]);
+  });
+
+  test('tags folder bookmarks', async () => {
+    const tweets = await fetchFromFolders({ ...config, folders: { '1111111111': 'ai-tools' } }, 10);
+    assert.strictEqual(tweets.length, 1);
+    assert.strictEqual(tweets[0]._folderTag, 'ai-tools');
+  });
+});
+
+describe('fetchAndPrepareBookmarks with file source', () => {
+  let tmpDir;
+  let configPath;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-test-'));
+    configPath = writeTmpConfig(tmpDir);
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('prepares bookmarks into the pending file', async () => {
+    const result = await fetchAndPrepareBookmarks({ configPath, count: 20 });
+    assert.strictEqual(result.count, 2);
+
+    const pending = JSON.parse(fs.readFileSync(path.join(tmpDir, '.state/pending-bookmarks.json'), 'utf8'));
+    assert.deepStrictEqual(pending.bookmarks.map(b => b.id), ['1800000000000000003', '1800000000000000002']);
+
+    const reply = pending.bookmarks[1];
+    assert.strictEqual(reply.isReply, true);
+    assert.strictEqual(reply.replyContext.author, 'original');
+    assert.deepStrictEqual(reply.conversation.map(t => t.id), ['1800000000000000001']);
+    assert.strictEqual(reply.date, 'Tuesday, December 16, 2025');
+  });
+
+  test('skips bookmarks already pending', async () => {
+    const result = await fetchAndPrepareBookmarks({ configPath, count: 20 });
+    assert.strictEqual(result.count, 0);
+  });
+});
+
+describe('fetchPaginated', () => {
+  const config = { sourceAdapter: 'file', fileSource: { dir: fixtureDir, pageSize: 1 } };
+  const NEWEST = '1800000000000000002';
+  const OLDER = '1800000000000000003';
+
+  test('stops at the page budget and returns a resume cursor', async () => {
+    const result = await fetchPaginated(config, { maxPages: 1 });
+    assert.deepStrictEqual(result.tweets.map(t => t.id), [NEWEST]);
+    assert.strictEqual(result.cursor, '1');
+    assert.strictEqual(result.newestId, NEWEST);
+  });
+
+  test('stops paging once it reaches a known ID', async () => {
+    const result = await fetchPaginated(config, { knownIds: new Set([NEWEST]) });
+    assert.deepStrictEqual(result.tweets.map(t => t.id), [NEWEST]);
+    assert.strictEqual(result.cursor, null);
+  });
+
+  test('catches up, then resumes an unfinished backfill', async () => {
+    const result = await fetchPaginated(config, { resume: { cursor: '1', newest_id: NEWEST } });
+    assert.deepStrictEqual(result.tweets.map(t => t.id), [NEWEST, OLDER]);
+    assert.strictEqual(result.cursor, null);
+  });
+
+  test('keeps the backfill cursor when catch-up runs out of pages', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-catchup-'));
+    try {
+      const ids = ['1', '2', '3', '4', '5', '6'].map(n => `190000000000000000${n}`);
+      fs.writeFileSync(path.join(tmpDir, 'bookmarks.json'), JSON.stringify(ids.map(id => ({ id, text: id }))));
+      const source = { sourceAdapter: 'file', fileSource: { dir: tmpDir, pageSize: 1 } };
+      // Last run saw ids[3] at the top and stopped a backfill before ids[5];
+      // ids[0..2] were bookmarked since
+      const saved = { bookmarks: { cursor: '5', newest_id: ids[3] } };
+
+      const first = { saved, updates: {}, knownIds: new Set([ids[3], ids[4]]) };
+      const tweets = await fetchBookmarks(source, 20, { all: true, maxPages: 2, pagination: first });
+      assert.deepStrictEqual(tweets.map(t => t.id), [ids[0], ids[1]]);
+      assert.deepStrictEqual(first.updates.bookmarks, {
+        cursor: '5', newest_id: ids[3], catchup_cursor: '2', catchup_newest_id: ids[0]
+      });
+
+      const second = { saved: first.updates, updates: {}, knownIds: new Set([ids[0], ids[1], ids[3], ids[4]]) };
+      const rest = await fetchBookmarks(source, 20, { all: true, maxPages: 3, pagination: second });
+      assert.deepStrictEqual(rest.map(t => t.id), [ids[2], ids[3], ids[5]]);
+      assert.deepStrictEqual(second.updates.bookmarks, { cursor: null, newest_id: ids[0] });
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('likes', () => {
+  let tmpDir;
+  let config;
+
+  const tweet = (id, text) => ({ id, text, author: { username: 'someone' }, createdAt: `2025-12-1${id.slice(-1)}T09:00:00Z` });
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-likes-'));
+    const dir = path.join(tmpDir, 'fixtures');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'bookmarks.json'), JSON.stringify([tweet('1900000000000000001', 'saved'), tweet('1900000000000000002', 'saved and liked')]));
+    fs.writeFileSync(path.join(dir, 'likes.json'), JSON.stringify([
+      tweet('1900000000000000002', 'saved and liked'), tweet('1900000000000000003', 'liked'), tweet('1900000000000000004', 'liked too')
+    ]));
+    config = { sourceAdapter: 'file', fileSource: { dir, pageSize: 1 } };
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('paginate with their own cursor', async () => {
+    const pagination = { saved: {}, updates: {}, knownIds: new Set() };
+    const likes = await fetchLikes(config, 20, { all: true, maxPages: 2, pagination });
+    assert.deepStrictEqual(likes.map(t => t.id), ['1900000000000000002', '1900000000000000003']);
+    assert.deepStrictEqual(pagination.updates, { likes: { cursor: '2', newest_id: '1900000000000000002' } });
+
+    const resumed = await fetchLikes(config, 20, {
+      all: true,
+      pagination: { saved: pagination.updates, updates: {}, knownIds: new Set(['1900000000000000002']) }
+    });
+    assert.deepStrictEqual(resumed.map(t => t.id), ['1900000000000000002', '1900000000000000004']);
+  });
+
+  test('both: per-source limits and origins', async () => {
+    const tweets = await fetchFromSource({ ...config, source: 'both' }, 2, { likesCount: 3 });
+    assert.deepStrictEqual(tweets.map(t => [t.id, t._origin]), [
+      ['1900000000000000001', 'bookmark'],
+      ['1900000000000000002', 'both'],
+      ['1900000000000000003', 'like'],
+      ['1900000000000000004', 'like']
+    ]);
+
+    const paged = await fetchFromSource({ ...config, source: 'both' }, 20, { all: true, maxPages: 2, likesMaxPages: 1 });
+    assert.deepStrictEqual(paged.map(t => t.id), ['1900000000000000001', '1900000000000000002']);
+  });
+
+  test('origin reaches the pending file', async () => {
+    const configPath = writeTmpConfig(tmpDir, { fileSource: config.fileSource });
+    await fetchAndPrepareBookmarks({ configPath, source: 'both', count: 20 });
+    const pending = JSON.parse(fs.readFileSync(path.join(tmpDir, '.state/pending-bookmarks.json'), 'utf8'));
+    assert.deepStrictEqual(Object.fromEntries(pending.bookmarks.map(b => [b.id, b.origin])), {
+      '1900000000000000001': 'bookmark',
+      '1900000000000000002': 'both',
+      '1900000000000000003': 'like',
+      '1900000000000000004': 'like'
+    });
+  });
+});
+
+describe('fetchAndPrepareBookmarks incremental pagination', () => {
+  let tmpDir;
+  let configPath;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-test-'));
+    configPath = writeTmpConfig(tmpDir, { fileSource: { dir: fixtureDir, pageSize: 1 } });
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const readState = () => JSON.parse(fs.readFileSync(path.join(tmpDir, '.state/bookmarks-state.json'), 'utf8'));
+
+  test('saves the cursor when the page budget runs out', async () => {
+    const result = await fetchAndPrepareBookmarks({ configPath, all: true, maxPages: 1 });
+    assert.strictEqual(result.count, 1);
+    assert.deepStrictEqual(readState().pagination.bookmarks, { cursor: '1', newest_id: '1800000000000000002' });
+  });
+
+  test('resumes from the saved cursor on the next run', async () => {
+    const result = await fetchAndPrepareBookmarks({ configPath, all: true, maxPages: 2 });
+    assert.deepStrictEqual(result.bookmarks.map(b => b.id), ['1800000000000000003']);
+    assert.strictEqual(readState().pagination.bookmarks.cursor, null);
+  });
+});
+
+describe('collectThread', () => {
+  const config = { sourceAdapter: 'file', fileSource: { dir: fixtureDir } };
+
+  test('walks the self-reply chain in both directions', async () => {
+    const middle = await fetchTweet(config, '1800000000000000022');
+    const thread = await collectThread(config, middle);
+    assert.deepStrictEqual(thread.map(t => t.id), [
+      '1800000000000000021',
+      '1800000000000000022',
+      '1800000000000000024'
+    ]);
+  });
+
+  test('respects the tweet limit', async () => {
+    const root = await fetchTweet(config, '1800000000000000021');
+    const thread = await collectThread(config, root, 2);
+    assert.deepStrictEqual(thread.map(t => t.id), ['1800000000000000021', '1800000000000000022']);
+  });
+
+  test('returns null for a standalone tweet', async () => {
+    const tweet = await fetchTweet(config, '1800000000000000001');
+    assert.strictEqual(await collectThread(config, tweet), null);
+  });
+});
+
+describe('collectConversation', () => {
+  const config = { sourceAdapter: 'file', fileSource: { dir: fixtureDir } };
+  const reply = {
+    id: '1800000000000000034',
+    text: 'Usually around write contention',
+    author: { username: 'responder' },
+    inReplyToStatusId: '1800000000000000033'
+  };
+
+  test('walks to the conversation root, oldest first', async () => {
+    const ancestors = await collectConversation(config, reply, 'root');
+    assert.deepStrictEqual(ancestors.map(t => t.id), [
+      '1800000000000000031',
+      '1800000000000000032',
+      '1800000000000000033'
+    ]);
+  });
+
+  test('stops at the configured depth', async () => {
+    const ancestors = await collectConversation(config, reply, 2);
+    assert.deepStrictEqual(ancestors.map(t => t.id), ['1800000000000000032', '1800000000000000033']);
+  });
+
+  test('does not repeat skipped tweets', async () => {
+    const ancestors = await collectConversation(config, reply, 'root', ['1800000000000000032']);
+    assert.deepStrictEqual(ancestors.map(t => t.id), ['1800000000000000033']);
+  });
+});
@@ -0,0 +1,268 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  expandCommand,
+  findLocalMedia,
+  findPendingTranscripts,
+  parseCaptions,
+  readFrontmatter,
+  transcribePending,
+  writeTranscript
+} from '../src/transcribe.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const node = process.execPath;
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/captions', name), 'utf8');
+
+const NOTE = `---
+title: "Consensus Without Tears"
+type: podcast
+source: "https://overcast.fm/+AbCdEf"
+audio: "https://cdn.example.fm/sys/42.mp3"
+status: needs_transcript
+---
+
+Raft and Paxos.
+
+## Transcript
+
+*Pending transcription*
+
+## Links
+
+- [Episode](https://overcast.fm/+AbCdEf)
+`;
+
+describe('parseCaptions', () => {
+  test('flattens roll-up WebVTT captions into paragraphs', () => {
+    assert.strictEqual(parseCaptions(readFixture('auto.en.vtt')),
+      'welcome back to the show today we talk about consensus\n\nRaft & Paxos, mostly.');
+  });
+
+  test('reads SRT', () => {
+    assert.strictEqual(parseCaptions(readFixture('episode.srt')), 'Hello and welcome. This is the second line.');
+  });
+});
+
+describe('writeTranscript', () => {
+  test('replaces the placeholder and flips the status', () => {
+    const updated = writeTranscript(NOTE, 'First paragraph.\n\nSecond.', 'captions');
+    assert.match(updated, /^status: transcribed\ntranscript_source: captions$/m);
+    assert.ok(!updated.includes('needs_transcript'));
+    assert.ok(!updated.includes('Pending transcription'));
+    assert.ok(updated.includes('## Transcript\n\nFirst paragraph.\n\nSecond.\n\n## Links\n'));
+  });
+
+  test('appends a section when the note has none', () => {
+    const updated = writeTranscript('---\nstatus: needs_transcript\n---\n\nNotes.\n', 'Words.');
+    assert.strictEqual(updated, '---\nstatus: transcribed\n---\n\nNotes.\n\n## Transcript\n\nWords.\n');
+  });
+
+  test('keeps $ sequences in the transcript literally', () => {
+    assert.ok(writeTranscript(NOTE, 'It costs $1 or $& more.').includes('It costs $1 or $& more.'));
+  });
+});
+
+describe('readFrontmatter', () => {
+  test('reads flat fields and unquotes values', () => {
+    const fields = readFrontmatter(NOTE);
+    assert.strictEqual(fields.title, 'Consensus Without Tears');
+    assert.strictEqual(fields.status, 'needs_transcript');
+  });
+});
+
+describe('expandCommand', () => {
+  test('splits into arguments and fills placeholders without quoting', () => {
+    assert.deepStrictEqual(expandCommand('whisper -f {audio} -of {output} {other}', { audio: "it's here.mp3", output: 'out' }),
+      ['whisper', '-f', "it's here.mp3", '-of', 'out', '{other}']);
+  });
+
+  test('groups quoted words and expands ~/', () => {
+    assert.deepStrictEqual(expandCommand(`tool -m "~/my models/base.bin" --name 'a b' x\\ y -o{output}.txt`, { output: '$(id)' }),
+      ['tool', '-m', path.join(os.homedir(), 'my models/base.bin'), '--name', 'a b', 'x y', '-o$(id).txt']);
+  });
+
+  test('rejects shell syntax', () => {
+    assert.throws(() => expandCommand('cat {audio} > {output}.txt', {}), /without a shell; ">"/);
+    assert.throws(() => expandCommand('a && b', {}), /without a shell/);
+    assert.throws(() => expandCommand('say "hi', {}), /Unterminated "/);
+  });
+});
+
+describe('transcribePending', () => {
+  let tmpDir;
+  let config;
+  let notesDir;
+  let mediaDir;
+
+  beforeEach(() => {
+    // Progress lines printed between test reports can garble the runner's
+    // stdout stream, so keep them quiet
+    mock.method(console, 'log', () => {});
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-transcribe-'));
+    notesDir = path.join(tmpDir, 'podcasts');
+    mediaDir = path.join(tmpDir, 'media');
+    fs.mkdirSync(notesDir);
+    fs.mkdirSync(mediaDir);
+    config = {
+      categories: {
+        podcast: { folder: notesDir, action: 'transcribe' },
+        article: { folder: path.join(tmpDir, 'missing'), action: 'file' }
+      },
+      transcription: { mediaDir, command: null, downloadAudio: true, downloadCommand: null, timeoutMinutes: 1 }
+    };
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('finds notes waiting for a transcript', () => {
+    fs.writeFileSync(path.join(notesDir, 'consensus.md'), NOTE);
+    fs.writeFileSync(path.join(notesDir, 'done.md'), NOTE.replace('needs_transcript', 'transcribed'));
+    const pending = findPendingTranscripts(config);
+    assert.deepStrictEqual(pending, [{
+      file: path.join(notesDir, 'consensus.md'),
+      slug: 'consensus',
+      source: 'https://overcast.fm/+AbCdEf',
+      audio: 'https://cdn.example.fm/sys/42.mp3'
+    }]);
+  });
+
+  test('matches media by slug, including language suffixes', () => {
+    fs.writeFileSync(path.join(mediaDir, 'consensus.en.vtt'), '');
+    fs.writeFileSync(path.join(mediaDir, 'consensus.m4a'), '');
+    fs.writeFileSync(path.join(mediaDir, 'consensus-part-2.mp3'), '');
+    assert.deepStrictEqual(findLocalMedia(mediaDir, 'consensus'), {
+      captions: path.join(mediaDir, 'consensus.en.vtt'),
+      audio: path.join(mediaDir, 'consensus.m4a')
+    });
+  });
+
+  test('prefers captions over audio', async () => {
+    fs.writeFileSync(path.join(notesDir, 'consensus.md'), NOTE);
+    fs.writeFileSync(path.join(mediaDir, 'consensus.srt'), readFixture('episode.srt'));
+    fs.writeFileSync(path.join(mediaDir, 'consensus.mp3'), 'audio');
+    config.transcription.command = 'false';
+
+    const result = await transcribePending(config, { offline: true });
+    assert.strictEqual(result.transcribed, 1);
+    const note = fs.readFileSync(path.join(notesDir, 'consensus.md'), 'utf8');
+    assert.ok(note.includes('Hello and welcome. This is the second line.'));
+    assert.match(note, /^transcript_source: captions$/m);
+  });
+
+  test('runs the transcriber command on local audio', async () => {
+    fs.writeFileSync(path.join(notesDir, 'consensus.md'), NOTE);
+    fs.writeFileSync(path.join(mediaDir, 'consensus.mp3'), 'spoken words');
+    config.transcription.command = `${node} -e "fs.copyFileSync(process.argv[1], process.argv[2] + '.txt')" {audio} {output}`;
+
+    const result = await transcribePending(config, { offline: true });
+    assert.strictEqual(result.transcribed, 1);
+    const note = fs.readFileSync(path.join(notesDir, 'consensus.md'), 'utf8');
+    assert.ok(note.includes('## Transcript\n\nspoken words\n'));
+    assert.match(note, /^transcript_source: transcriber$/m);
+  });
+
+  test('uses the command output when it writes no file', async () => {
+    fs.writeFileSync(path.join(notesDir, 'consensus.md'), NOTE);
+    fs.writeFileSync(path.join(mediaDir, 'consensus.wav'), 'from stdout');
+    config.transcription.command = 'cat {audio}';
+
+    await transcribePending(config, { offline: true });
+    assert.ok(fs.readFileSync(path.join(notesDir, 'consensus.md'), 'utf8').includes('from stdout'));
+  });
+
+  test('skips notes without media when offline', async () => {
+    fs.writeFileSync(path.join(notesDir, 'consensus.md'), NOTE);
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => assert.fail('offline run must not fetch');
+    try {
+      const result = await transcribePending(config, { offline: true });
+      assert.strictEqual(result.skipped, 1);
+      assert.strictEqual(fs.readFileSync(path.join(notesDir, 'consensus.md'), 'utf8'), NOTE);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  test('downloads podcast audio before transcribing', async () => {
+    fs.writeFileSync(path.join(notesDir, 'consensus.md'), NOTE);
+    config.transcription.command = 'cat {audio}';
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url) => {
+      assert.strictEqual(String(url), 'https://cdn.example.fm/sys/42.mp3');
+      return new Response('downloaded audio');
+    };
+    try {
+      const result = await transcribePending(config);
+      assert.strictEqual(result.transcribed, 1);
+      assert.ok(fs.existsSync(path.join(mediaDir, 'consensus.mp3')));
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  test('stops downloading audio past maxAudioMB', async () => {
+    fs.writeFileSync(path.join(notesDir, 'consensus.md'), NOTE);
+    config.transcription.command = 'cat {audio}';
+    config.transcription.maxAudioMB = 1;
+    const chunk = new Uint8Array(64 * 1024);
+    let sent = 0;
+    const originalFetch = globalThis.fetch;
+    // No content-length, and more data than the limit
+    globalThis.fetch = async () => new Response(new ReadableStream({
+      pull(controller) {
+        sent++;
+        controller.enqueue(chunk);
+      }
+    }));
+    try {
+      const result = await transcribePending(config);
+      assert.strictEqual(result.failed, 1);
+      assert.ok(sent < 40);
+      assert.deepStrictEqual(fs.readdirSync(mediaDir), []);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  test('only passes http(s) sources to the download command', async () => {
+    const marker = path.join(tmpDir, 'ran');
+    fs.writeFileSync(path.join(notesDir, 'consensus.md'), NOTE.replace('https://overcast.fm/+AbCdEf"', '--exec=rm"'));
+    config.transcription.command = 'cat {audio}';
+    config.transcription.downloadAudio = false;
+    config.transcription.downloadCommand = `${node} -e "fs.writeFileSync(process.argv[1], '')" ${marker} -- {url}`;
+
+    const result = await transcribePending(config);
+    assert.strictEqual(result.failed, 1);
+    assert.ok(!fs.existsSync(marker));
+  });
+
+  test('runs a list of commands in turn', async () => {
+    fs.writeFileSync(path.join(notesDir, 'consensus.md'), NOTE);
+    fs.writeFileSync(path.join(mediaDir, 'consensus.mp3'), 'two steps');
+    config.transcription.command = [
+      `${node} -e "fs.copyFileSync(process.argv[1], process.argv[2] + '.wav')" {audio} {output}`,
+      'cat {output}.wav'
+    ];
+
+    await transcribePending(config, { offline: true });
+    assert.ok(fs.readFileSync(path.join(notesDir, 'consensus.md'), 'utf8').includes('two steps'));
+  });
+
+  test('reports transcriber failures without touching the note', async () => {
+    fs.writeFileSync(path.join(notesDir, 'consensus.md'), NOTE);
+    fs.writeFileSync(path.join(mediaDir, 'consensus.mp3'), 'audio');
+    config.transcription.command = `${node} -e "console.error('model not found'); process.exit(3)"`;
+
+    const result = await transcribePending(config, { offline: true });
+    assert.strictEqual(result.failed, 1);
+    assert.strictEqual(fs.readFileSync(path.join(notesDir, 'consensus.md'), 'utf8'), NOTE);
+  });
+});
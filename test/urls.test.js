@@ -0,0 +1,112 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { canonicalizeUrl, tweetIdFromUrl } from '../src/urls.js';
+import { classifyLink, getExistingBookmarkIds } from '../src/processor.js';
+import job from '../src/job.js';
+
+describe('canonicalizeUrl', () => {
+  test('drops tracking parameters and keeps the rest in order', () => {
+    assert.strictEqual(
+      canonicalizeUrl('https://example.com/post?utm_source=twitter&id=7&fbclid=abc&utm_medium=social&page=2&ref=hn'),
+      'https://example.com/post?id=7&page=2');
+    assert.strictEqual(canonicalizeUrl('https://example.com/search?q=a%20b&tags=x,y'), 'https://example.com/search?q=a%20b&tags=x,y');
+  });
+
+  test('only drops share parameters on the sites that use them', () => {
+    assert.strictEqual(canonicalizeUrl('https://x.com/jack/status/20?s=20&t=abc'), 'https://x.com/jack/status/20');
+    assert.strictEqual(canonicalizeUrl('https://youtu.be/dQw4w9WgXcQ?si=xyz&t=42'), 'https://youtu.be/dQw4w9WgXcQ?t=42');
+    assert.strictEqual(canonicalizeUrl('https://example.com/docs?s=install'), 'https://example.com/docs?s=install');
+    assert.strictEqual(canonicalizeUrl('https://github.com/example/kv/blob/main/x.md?ref=v2'), 'https://github.com/example/kv/blob/main/x.md?ref=v2');
+  });
+
+  test('folds twitter.com and mobile hosts', () => {
+    assert.strictEqual(canonicalizeUrl('https://twitter.com/jack/status/20'), 'https://x.com/jack/status/20');
+    assert.strictEqual(canonicalizeUrl('https://mobile.twitter.com/jack/status/20'), 'https://x.com/jack/status/20');
+    assert.strictEqual(canonicalizeUrl('https://en.m.wikipedia.org/wiki/Raft'), 'https://en.wikipedia.org/wiki/Raft');
+    assert.strictEqual(canonicalizeUrl('https://m.youtube.com/watch?v=dQw4w9WgXcQ'), 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.strictEqual(canonicalizeUrl('https://m.example.com/page'), 'https://m.example.com/page');
+    assert.strictEqual(canonicalizeUrl('HTTPS://Example.COM./Post/'), 'https://example.com/Post');
+  });
+
+  test('unwraps AMP copies', () => {
+    assert.strictEqual(canonicalizeUrl('https://example-com.cdn.ampproject.org/c/s/example.com/news/story'), 'https://example.com/news/story');
+    assert.strictEqual(canonicalizeUrl('https://www.google.com/amp/s/example.com/news/story/amp/'), 'https://example.com/news/story');
+    assert.strictEqual(canonicalizeUrl('https://amp.theguardian.com/world/story'), 'https://theguardian.com/world/story');
+    assert.strictEqual(canonicalizeUrl('https://www.bbc.com/news/world-123.amp'), 'https://www.bbc.com/news/world-123');
+    assert.strictEqual(canonicalizeUrl('https://example.com/story?amp=1&id=3'), 'https://example.com/story?id=3');
+  });
+
+  test('drops fragments and trailing slashes but keeps hash routes', () => {
+    assert.strictEqual(canonicalizeUrl('https://example.com/docs/#install'), 'https://example.com/docs');
+    assert.strictEqual(canonicalizeUrl('https://example.com/app#/settings'), 'https://example.com/app#/settings');
+    assert.strictEqual(canonicalizeUrl('https://example.com'), 'https://example.com/');
+  });
+
+  test('leaves non-http strings alone', () => {
+    assert.strictEqual(canonicalizeUrl('not a url'), 'not a url');
+    assert.strictEqual(canonicalizeUrl('mailto:someone@example.com'), 'mailto:someone@example.com');
+    assert.strictEqual(canonicalizeUrl(null), null);
+  });
+});
+
+describe('tweetIdFromUrl', () => {
+  test('reads status IDs from any tweet URL form', () => {
+    assert.strictEqual(tweetIdFromUrl('https://x.com/jack/status/20'), '20');
+    assert.strictEqual(tweetIdFromUrl('https://twitter.com/jack/status/20/photo/1'), '20');
+    assert.strictEqual(tweetIdFromUrl('https://x.com/i/web/status/20?s=20'), '20');
+    assert.strictEqual(tweetIdFromUrl('https://x.com/jack'), null);
+    assert.strictEqual(tweetIdFromUrl('https://nottwitter.com/jack/status/20'), null);
+  });
+
+  test('classifyLink matches tweets by host, not substring', () => {
+    assert.strictEqual(classifyLink('https://x.com/jack/status/20'), 'tweet');
+    assert.strictEqual(classifyLink('https://www.netflix.com/title/1'), 'article');
+  });
+});
+
+describe('canonical URLs in dedupe and reprocess state', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smaug-urls-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('getExistingBookmarkIds finds twitter.com and x.com entries', () => {
+    const archiveFile = path.join(tmpDir, 'bookmarks.md');
+    fs.writeFileSync(archiveFile, [
+      '## @jack - First',
+      '- **Tweet:** https://twitter.com/jack/status/20',
+      '## @dana - Second',
+      '- **Tweet:** https://x.com/dana/status/21?s=20',
+      '- **Link:** https://x.com/i/web/status/22)'
+    ].join('\n'));
+    assert.deepStrictEqual([...getExistingBookmarkIds({ archiveFile })].sort(), ['20', '21', '22']);
+  });
+
+  test('syncReprocessState keys entries by canonical URL', () => {
+    const archiveFile = path.join(tmpDir, 'bookmarks.md');
+    fs.writeFileSync(archiveFile, [
+      '## @jack - A repo',
+      '> Check this out',
+      '- **Tweet:** https://x.com/jack/status/20',
+      '- **Link:** https://github.com/example/kv/?utm_source=twitter',
+      ''
+    ].join('\n'));
+    const state = {
+      entries: {
+        'https://github.com/example/kv/': { status: 'completed', type: 'github' },
+        'https://github.com/example/kv?utm_source=twitter': { status: 'pending', type: 'github' }
+      }
+    };
+    job.syncReprocessState({ archiveFile }, state);
+    assert.deepStrictEqual(Object.keys(state.entries), ['https://github.com/example/kv']);
+    assert.strictEqual(state.entries['https://github.com/example/kv'].status, 'completed');
+  });
+});
@@ -0,0 +1,137 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fetchVideoContent, parseChapters, parseYouTubeId, parseYouTubePage } from '../src/extractors/video.js';
+import { classifyLink, fetchContent } from '../src/processor.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WATCH_PAGE = fs.readFileSync(path.join(__dirname, 'fixtures/video/youtube-watch.html'), 'utf8');
+
+async function withFetch(handler, fn) {
+  const requested = [];
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url) => {
+    requested.push(String(url));
+    return handler(String(url));
+  };
+  try {
+    return { result: await fn(), requested };
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+describe('parseYouTubeId', () => {
+  test('handles watch, short and embed URLs', () => {
+    assert.strictEqual(parseYouTubeId('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42'), 'dQw4w9WgXcQ');
+    assert.strictEqual(parseYouTubeId('https://youtu.be/dQw4w9WgXcQ?si=abc'), 'dQw4w9WgXcQ');
+    assert.strictEqual(parseYouTubeId('https://m.youtube.com/shorts/dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+    assert.strictEqual(parseYouTubeId('https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+  });
+
+  test('returns null for channels and other sites', () => {
+    assert.strictEqual(parseYouTubeId('https://www.youtube.com/@systemsexplained'), null);
+    assert.strictEqual(parseYouTubeId('https://notyoutube.com/watch?v=dQw4w9WgXcQ'), null);
+  });
+});
+
+describe('parseChapters', () => {
+  test('reads timestamp lines starting at 0:00', () => {
+    const chapters = parseChapters('Intro text\n\n0:00 Intro\n(2:15) - The log\n1:05:00 Q&A');
+    assert.deepStrictEqual(chapters, [
+      { start: 0, title: 'Intro' },
+      { start: 135, title: 'The log' },
+      { start: 3900, title: 'Q&A' }
+    ]);
+  });
+
+  test('ignores stray timestamps', () => {
+    assert.deepStrictEqual(parseChapters('Skip to 2:15 for the demo\n5:00 Outro'), []);
+    assert.deepStrictEqual(parseChapters('0:00 Intro\n3:00 Middle\n1:00 Back'), []);
+  });
+});
+
+describe('parseYouTubePage', () => {
+  test('reads the player response and chapter markers', () => {
+    const video = parseYouTubePage(WATCH_PAGE, 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.strictEqual(video.videoId, 'dQw4w9WgXcQ');
+    assert.strictEqual(video.title, 'Building a Database in 40 Minutes');
+    assert.strictEqual(video.channel, 'Systems Explained');
+    assert.strictEqual(video.channelUrl, 'http://www.youtube.com/@systemsexplained');
+    assert.strictEqual(video.duration, 2412);
+    assert.ok(video.description.startsWith('We write a tiny key-value store'));
+    assert.strictEqual(video.published, '2025-09-12T05:00:00-07:00');
+    assert.strictEqual(video.thumbnail, 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg');
+    assert.strictEqual(video.viewCount, 48211);
+    // Player markers win over the description's timestamps
+    assert.strictEqual(video.chapters.length, 4);
+    assert.deepStrictEqual(video.chapters[3], { start: 2000, title: 'Benchmarks' });
+  });
+
+  test('falls back to page metadata without player data', () => {
+    const html = WATCH_PAGE.replace(/<script[\s\S]*<\/script>/, '');
+    const video = parseYouTubePage(html, 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.strictEqual(video.title, 'Building a Database in 40 Minutes');
+    assert.strictEqual(video.channel, null);
+    assert.strictEqual(video.duration, 2412);
+    assert.deepStrictEqual(video.chapters, []);
+  });
+});
+
+describe('fetchVideoContent', () => {
+  test('uses oEmbed when the watch page is unavailable', async () => {
+    const { result, requested } = await withFetch((url) => {
+      if (url.includes('/oembed')) {
+        return Response.json({ title: 'Building a Database', author_name: 'Systems Explained', author_url: 'https://www.youtube.com/@systemsexplained' });
+      }
+      return new Response('consent', { status: 429 });
+    }, () => fetchVideoContent('https://youtu.be/dQw4w9WgXcQ'));
+    assert.strictEqual(requested[0], 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.strictEqual(result.title, 'Building a Database');
+    assert.strictEqual(result.channel, 'Systems Explained');
+    assert.strictEqual(result.platform, 'youtube');
+    assert.strictEqual(result.duration, null);
+  });
+
+  test('reads duration and description from Vimeo oEmbed', async () => {
+    const { result, requested } = await withFetch(() => Response.json({
+      type: 'video',
+      provider_name: 'Vimeo',
+      title: 'Shader Basics',
+      author_name: 'Pixel Lab',
+      author_url: 'https://vimeo.com/pixellab',
+      duration: 754,
+      description: 'A walkthrough.\n0:00 Setup\n1:30 Vertex\n8:00 Fragment',
+      upload_date: '2024-03-01 10:00:00',
+      video_id: 123456
+    }), () => fetchVideoContent('https://vimeo.com/123456'));
+    assert.ok(requested[0].startsWith('https://vimeo.com/api/oembed.json?url=https%3A%2F%2Fvimeo.com%2F123456'));
+    assert.strictEqual(result.channel, 'Pixel Lab');
+    assert.strictEqual(result.duration, 754);
+    assert.strictEqual(result.chapters.length, 3);
+    assert.strictEqual(result.platform, 'vimeo');
+  });
+});
+
+describe('video links', () => {
+  test('classifyLink recognizes video platforms', () => {
+    assert.strictEqual(classifyLink('https://www.youtube.com/watch?v=dQw4w9WgXcQ'), 'video');
+    assert.strictEqual(classifyLink('https://vimeo.com/123456'), 'video');
+    assert.strictEqual(classifyLink('https://www.loom.com/share/abc'), 'video');
+  });
+
+  test('fetchContent returns video details', async () => {
+    const { result } = await withFetch(() => new Response(WATCH_PAGE, { headers: { 'content-type': 'text/html' } }),
+      () => fetchContent('https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'video', {}));
+    assert.strictEqual(result.source, 'video');
+    assert.strictEqual(result.channel, 'Systems Explained');
+  });
+
+  test('fetchContent returns null when nothing is found', async () => {
+    const { result } = await withFetch(() => new Response('gone', { status: 404 }),
+      () => fetchContent('https://vimeo.com/999', 'video', {}));
+    assert.strictEqual(result, null);
+  });
+});